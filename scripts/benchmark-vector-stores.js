@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Recall@k and latency of every vector store on a synthetic
+ * corpus, with exact full-precision search as the reference: Orama,
+ * truncated (Matryoshka) and quantized codes with and without rescoring,
+ * and HNSW. Fails when a store that should be exact (Orama's index) misses
+ * true neighbours.
+ *
+ * Usage: npm run bench:vectors
+ * Corpus size and dimensions: BENCH_VECTORS=20000 BENCH_DIMENSIONS=512 npm run bench:vectors
+ * HNSW is measured when the native hnswlib-node addon is built.
+ */
+
+import { create, insertMultiple } from '@orama/orama';
+import { ExactVectorStore, HNSWVectorStore, OramaVectorStore, QuantizedVectorStore } from '../src/services/vectorStore.service.js';
+import { benchmarkStore, syntheticVectors } from '../src/utils/vectorBenchmark.js';
+
+const COUNT = Number(process.env.BENCH_VECTORS) || 5000;
+const DIMENSIONS = Number(process.env.BENCH_DIMENSIONS) || 256;
+const QUERIES = 100;
+const K = 10;
+
+// Peso decrescente por dimensão, como nos embeddings Matryoshka
+const DECAY = 4 / DIMENSIONS;
+
+const corpus = syntheticVectors(COUNT, DIMENSIONS, { decay: DECAY }).map((vector, i) => ({ id: `v${i}`, vector }));
+const queries = syntheticVectors(QUERIES, DIMENSIONS, { decay: DECAY, sampleSeed: 2 });
+const vectorsById = new Map(corpus.map(({ id, vector }) => [id, vector]));
+const FULL_BYTES = DIMENSIONS * 4;
+
+/**
+ * Stores to measure, each built from the corpus by `build`
+ */
+const candidates = [
+  {
+    name: 'exact',
+    exact: true,
+    bytes: FULL_BYTES,
+    build: async () => {
+      const store = new ExactVectorStore();
+      store.add(corpus);
+      return store;
+    }
+  },
+  {
+    name: 'orama',
+    exact: true,
+    bytes: FULL_BYTES,
+    build: async () => {
+      const db = await create({ schema: { id: 'string', embedding: `vector[${DIMENSIONS}]` } });
+      await insertMultiple(db, corpus.map(({ id, vector }) => ({ id, embedding: vector })));
+      return new OramaVectorStore({ getDb: () => db });
+    }
+  }
+];
+
+// Códigos truncados e quantizados; `oversample: 0` mostra a ordem dos códigos sem reavaliar
+[
+  { mode: 'int8', dimensions: DIMENSIONS, oversample: 0 },
+  { mode: 'int8', dimensions: DIMENSIONS, oversample: 4 },
+  { mode: 'int8', dimensions: DIMENSIONS / 2, oversample: 4 },
+  { mode: 'int8', dimensions: DIMENSIONS / 4, oversample: 4 },
+  { mode: 'binary', dimensions: DIMENSIONS, oversample: 0 },
+  { mode: 'binary', dimensions: DIMENSIONS, oversample: 4 },
+  { mode: 'binary', dimensions: DIMENSIONS, oversample: 10 }
+].forEach(options => {
+  const store = new QuantizedVectorStore({ ...options, rescoreVectors: vectorsById });
+  candidates.push({
+    name: `${options.mode} d=${options.dimensions} ${options.oversample ? `rescore×${options.oversample}` : 'sem rescore'}`,
+    exact: false,
+    bytes: store.bytesPerVector(DIMENSIONS),
+    build: async () => {
+      store.add(corpus);
+      return store;
+    }
+  });
+});
+
+try {
+  const hnswlib = await import('hnswlib-node');
+  [{ m: 16, efSearch: 64 }, { m: 32, efSearch: 200 }].forEach(options => candidates.push({
+    name: `hnsw m=${options.m} ef=${options.efSearch}`,
+    exact: false,
+    bytes: FULL_BYTES,
+    build: async () => {
+      const store = new HNSWVectorStore(hnswlib, { ...options, initialCapacity: COUNT });
+      store.add(corpus);
+      return store;
+    }
+  }));
+} catch (error) {
+  console.warn(`HNSW ignorado: hnswlib-node não carregou (${error.message.split('\n')[0]})`);
+}
+
+// Vizinhos verdadeiros: a busca exata é o oráculo
+const oracle = new ExactVectorStore();
+oracle.add(corpus);
+const truth = await Promise.all(queries.map(async query =>
+  (await oracle.search(query, { limit: K, threshold: -1 })).map(match => match.id)));
+
+const results = [];
+for (const { name, exact, bytes, build } of candidates) {
+  const start = performance.now();
+  const store = await build();
+  const buildMs = performance.now() - start;
+  results.push({ name, exact, bytes, buildMs, ...await benchmarkStore(store, { queries, truth, k: K }) });
+}
+
+console.log(`${COUNT} vetores de ${DIMENSIONS} dimensões, ${QUERIES} consultas, k=${K}`);
+console.table(results.map(({ name, bytes, buildMs, recall, minRecall, meanMs, p50Ms, p95Ms }) => ({
+  store: name,
+  'bytes/vetor': bytes,
+  'build (ms)': Math.round(buildMs),
+  [`recall@${K}`]: recall.toFixed(3),
+  'min recall': minRecall.toFixed(2),
+  'mean (ms)': meanMs.toFixed(2),
+  'p50 (ms)': p50Ms.toFixed(2),
+  'p95 (ms)': p95Ms.toFixed(2)
+})));
+
+const failures = results.filter(result => result.exact && result.recall < 0.99);
+if (failures.length > 0) {
+  throw new Error(`Busca exata perdeu vizinhos em: ${failures.map(result => result.name).join(', ')}`);
+}
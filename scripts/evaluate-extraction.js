@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Score every extraction strategy against the text-item corpus.
+ * Fails when the heuristic strategy regresses on any fixture.
+ *
+ * Usage: npm run eval:extraction
+ */
+
+import { EXTRACTION_CORPUS } from '../src/utils/extractionCorpus.js';
+import { evaluateCorpus } from '../src/utils/extractionQuality.js';
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+const { results, summary, failures } = evaluateCorpus(EXTRACTION_CORPUS);
+
+console.table(results.map(({ fixture, strategy, exact, charAccuracy, wordAccuracy }) => ({
+  fixture,
+  strategy,
+  exact,
+  chars: percent(charAccuracy),
+  words: percent(wordAccuracy)
+})));
+
+console.table(summary.map(({ strategy, exact, total, charAccuracy, wordAccuracy }) => ({
+  strategy,
+  exact: `${exact}/${total}`,
+  chars: percent(charAccuracy),
+  words: percent(wordAccuracy)
+})));
+
+if (failures.length > 0) {
+  failures.forEach(({ fixture, text }) => {
+    const { expected } = EXTRACTION_CORPUS.find(entry => entry.id === fixture);
+    console.error(`✗ ${fixture}\n  esperado: ${JSON.stringify(expected)}\n  obtido:   ${JSON.stringify(text)}`);
+  });
+  throw new Error(`${failures.length} fixture(s) regrediram na estratégia heurística`);
+}
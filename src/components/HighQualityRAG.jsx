@@ -5,6 +5,7 @@ import {
   Typography,
   Button,
   Textarea,
+  Input,
   Progress,
   Alert,
   Chip,
@@ -36,9 +37,36 @@ import {
   SparklesIcon,
   FolderIcon,
   TrashIcon,
+  PauseIcon,
+  PlayIcon,
+  StopIcon,
 } from '@heroicons/react/24/outline';
 import { HighQualityRAGService } from '../services/highQualityRAG.service';
+import { QUERY_MODES } from '../services/queryRewriting.service';
 import { ConfigService } from '../services/config.service';
+import { JOB_STATUS } from '../utils/ingestionJob.js';
+import { getAcceptedExtensions } from '../loaders';
+import { validateDocumentFile } from '../utils/validation.js';
+import { getLanguageProfile, UNKNOWN_LANGUAGE } from '../utils/language.js';
+import { SECTION_PATH_SEPARATOR } from '../utils/sections.js';
+
+// Rótulos dos níveis de confiança dos resultados
+const CONFIDENCE_LABELS = { high: 'alta', medium: 'média', low: 'baixa' };
+
+// Filtros da busca escolhidos na interface
+const EMPTY_FILTERS = { source: [], sectionPath: [], language: [], pageFrom: '', pageTo: '' };
+
+// Filtros da interface no formato de searchSemantic({ where })
+const toSearchFilters = ({ source, sectionPath, language, pageFrom, pageTo }) => {
+  const from = parseInt(pageFrom, 10);
+  const to = parseInt(pageTo, 10);
+  return {
+    source,
+    sectionPath,
+    language,
+    ...((from || to) && { pageNumber: { ...(from && { gte: from }), ...(to && { lte: to }) } })
+  };
+};
 
 export function HighQualityRAG() {
   const [ragService] = useState(() => new HighQualityRAGService());
@@ -50,11 +78,18 @@ export function HighQualityRAG() {
   const [response, setResponse] = useState(null);
   const [error, setError] = useState(null);
   const [stats, setStats] = useState(null);
+  const [facets, setFacets] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [queryMode, setQueryMode] = useState(() => ragService.config.queryMode);
   const [showStats, setShowStats] = useState(false);
+  const [precisionReport, setPrecisionReport] = useState(null);
+  const [isMeasuringPrecision, setIsMeasuringPrecision] = useState(false);
   const [isStreaming, setIsStreaming] = useState(false);
   const [savedIndexes, setSavedIndexes] = useState([]);
   const [showSavedIndexes, setShowSavedIndexes] = useState(false);
   const [queryHistory, setQueryHistory] = useState([]);
+  const [ingestionJob, setIngestionJob] = useState(null);
+  const [jobStatus, setJobStatus] = useState(null);
   const fileInputRef = useRef(null);
   const indexInputRef = useRef(null);
 
@@ -85,35 +120,22 @@ export function HighQualityRAG() {
     };
   }, [ragService]);
 
-  // Processar PDF
-  const handleFileUpload = useCallback(async (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
-
-    if (file.type !== 'application/pdf') {
-      setError('Por favor, selecione um arquivo PDF');
-      return;
-    }
+  // Executar (ou retomar) um job de ingestão
+  const runIngestion = useCallback(async (job) => {
+    const file = job.file;
 
-    if (file.size > 100 * 1024 * 1024) {
-      setError('Arquivo muito grande. Máximo: 100MB');
-      return;
-    }
-
-    setUploadedFile(file);
     setIsProcessing(true);
     setError(null);
-    setProgress(null);
-    setResponse(null);
 
     try {
-      const result = await ragService.processPDF(file, (prog) => {
+      const result = await ragService.processDocument(file, (prog) => {
         setProgress(prog);
-      });
+      }, { job });
 
       // Obter estatísticas
       const docStats = await ragService.analyzeDocument();
       setStats(docStats);
+      setFacets(await ragService.getFacets());
 
       // Salvar metadados
       const metadata = {
@@ -126,9 +148,10 @@ export function HighQualityRAG() {
       ConfigService.saveIndexMetadata(metadata);
 
       setProgress(null);
+      setIngestionJob(null);
       
       // Notificação de sucesso
-      const notification = `✅ PDF processado com sucesso!\n\n` +
+      const notification = `✅ Documento processado com sucesso!\n\n` +
         `📄 ${result.totalPages} páginas\n` +
         `📦 ${result.totalChunks} chunks\n` +
         `⏱️ ${(result.processingTime / 1000).toFixed(1)}s\n` +
@@ -137,12 +160,48 @@ export function HighQualityRAG() {
       alert(notification);
       
     } catch (err) {
-      setError(err.message);
+      if (err.name !== 'AbortError') {
+        setError(err.message);
+      }
     } finally {
       setIsProcessing(false);
     }
   }, [ragService]);
 
+  // Processar documento
+  const handleFileUpload = useCallback(async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const { isValid, error: validationError } = validateDocumentFile(file);
+    if (!isValid) {
+      setError(validationError);
+      return;
+    }
+
+    const job = ragService.createIngestionJob(file, {
+      onStatusChange: (status) => setJobStatus(status)
+    });
+
+    setUploadedFile(file);
+    setIngestionJob(job);
+    setProgress(null);
+    setResponse(null);
+
+    await runIngestion(job);
+  }, [ragService, runIngestion]);
+
+  // Retomar job pausado ou reiniciar a partir do checkpoint
+  const handleResume = useCallback(() => {
+    if (!ingestionJob) return;
+
+    if (ingestionJob.status === JOB_STATUS.PAUSED) {
+      ingestionJob.resume();
+    } else if (ingestionJob.canRestart) {
+      runIngestion(ingestionJob);
+    }
+  }, [ingestionJob, runIngestion]);
+
   // Fazer pergunta
   const handleQuery = useCallback(async () => {
     if (!query.trim()) return;
@@ -155,19 +214,24 @@ export function HighQualityRAG() {
     try {
       const startTime = Date.now();
       const result = await ragService.generateResponse(query, {
-        streamResponse: true
+        streamResponse: true,
+        where: toSearchFilters(filters),
+        queryMode: queryMode
       });
 
-      // Processar stream
-      let fullResponse = '';
+      // Processar stream (sem resultados confiáveis a resposta já vem pronta)
+      let fullResponse = result.answer || '';
       setResponse({ 
-        answer: '', 
+        answer: fullResponse, 
         sources: result.sources, 
-        isStreaming: true,
+        rewrite: result.rewrite,
+        confidence: result.confidence,
+        noGoodMatch: result.noGoodMatch || false,
+        isStreaming: Boolean(result.stream),
         startTime: startTime 
       });
 
-      for await (const chunk of result.stream) {
+      for await (const chunk of result.stream || []) {
         const content = chunk.choices[0]?.delta?.content || '';
         fullResponse += content;
         
@@ -205,7 +269,30 @@ export function HighQualityRAG() {
       setIsProcessing(false);
       setIsStreaming(false);
     }
-  }, [query, ragService, queryHistory]);
+  }, [query, filters, queryMode, ragService, queryHistory]);
+
+  // Ligar/desligar um valor de filtro (documento, seção ou idioma)
+  const toggleFilter = (key, value) => {
+    setFilters(prev => ({
+      ...prev,
+      [key]: prev[key].includes(value) ? prev[key].filter(item => item !== value) : [...prev[key], value]
+    }));
+  };
+
+  const hasFilters = filters.source.length > 0 || filters.sectionPath.length > 0 ||
+    filters.language.length > 0 || filters.pageFrom !== '' || filters.pageTo !== '';
+
+  const renderFilterChip = (key, value, label, count, color) => (
+    <button key={`${key}:${value}`} type="button" onClick={() => toggleFilter(key, value)} disabled={isProcessing}>
+      <Chip
+        value={`${label} (${count})`}
+        size="sm"
+        color={color}
+        variant={filters[key].includes(value) ? 'filled' : 'outlined'}
+        className="cursor-pointer normal-case"
+      />
+    </button>
+  );
 
   // Exportar índice
   const handleExport = useCallback(async () => {
@@ -236,6 +323,7 @@ export function HighQualityRAG() {
     try {
       const metadata = await ragService.importIndex(file);
       setStats(metadata.stats);
+      setFacets(await ragService.getFacets());
       setUploadedFile({ name: metadata.stats?.documentName || 'Documento importado' });
       
       alert(`✅ Índice importado com sucesso!\n\n` +
@@ -249,6 +337,18 @@ export function HighQualityRAG() {
     }
   }, [ragService]);
 
+  // Comparar vetores truncados e quantizados com a busca em precisão total
+  const handlePrecisionReport = useCallback(async () => {
+    setIsMeasuringPrecision(true);
+    try {
+      setPrecisionReport(await ragService.vectorPrecisionReport());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsMeasuringPrecision(false);
+    }
+  }, [ragService]);
+
   // Carregar query do histórico
   const loadFromHistory = (item) => {
     setQuery(item.query);
@@ -363,7 +463,7 @@ export function HighQualityRAG() {
                   Estimativa de Custos
                 </Typography>
                 {(() => {
-                  const costs = ragService.estimateCost(stats.totalChunks);
+                  const costs = ragService.estimateCost(stats.totalTokens);
                   return (
                     <div className="space-y-3">
                       <div className="p-3 bg-white rounded">
@@ -413,6 +513,102 @@ export function HighQualityRAG() {
                 {stats.duplicateChunks} chunks duplicados foram detectados e otimizados
               </Alert>
             )}
+            {ragService.retrievalStats.suppressedDuplicates > 0 && (
+              <Alert color="gray" className="flex items-center">
+                <ExclamationCircleIcon className="h-5 w-5 mr-2" />
+                {ragService.retrievalStats.suppressedDuplicates} resultados quase duplicados foram suprimidos
+                em {ragService.retrievalStats.searches} buscas (MMR)
+              </Alert>
+            )}
+            {stats.calibration && (
+              <Alert color="gray" className="flex items-center">
+                <ExclamationCircleIcon className="h-5 w-5 mr-2" />
+                {stats.calibration.calibrated
+                  ? `Corte de similaridade calibrado: ${stats.calibration.threshold.toFixed(3)} ` +
+                    `(supera ${Math.round(stats.calibration.quantile * 100)}% das ${stats.calibration.samples} similaridades ` +
+                    `de trechos não relacionados em ${stats.calibration.queries} consultas de amostra)`
+                  : `Corte de similaridade fixo: ${stats.calibration.threshold} (índice não calibrado)`}
+              </Alert>
+            )}
+            {stats.vectors && (
+              <Card className="bg-blue-gray-50">
+                <CardBody>
+                  <div className="flex items-center justify-between mb-3">
+                    <Typography variant="h6">Precisão dos Vetores</Typography>
+                    <Button
+                      size="sm"
+                      variant="outlined"
+                      onClick={handlePrecisionReport}
+                      disabled={isMeasuringPrecision}
+                    >
+                      {isMeasuringPrecision ? 'Medindo...' : 'Comparar quantizações'}
+                    </Button>
+                  </div>
+                  <Typography variant="small" color="gray">
+                    Índice {stats.vectors.store}, {stats.vectors.dimensions} dimensões
+                    {stats.vectors.truncateDimensions && ' truncadas (Matryoshka)'}
+                    {stats.vectors.quantization &&
+                      ` (códigos ${stats.vectors.quantization.mode} de ${stats.vectors.quantization.dimensions} dimensões, ` +
+                      (stats.vectors.quantization.rescore
+                        ? `reavaliando ${stats.vectors.quantization.oversample}× os candidatos)`
+                        : 'sem reavaliação)')}
+                  </Typography>
+                  {precisionReport?.length > 0 && (
+                    <table className="w-full mt-3 text-sm text-left">
+                      <thead>
+                        <tr className="text-blue-gray-500">
+                          <th className="py-1">Modo</th>
+                          <th className="py-1">Dimensões</th>
+                          <th className="py-1">Bytes/vetor</th>
+                          <th className="py-1">Recall@10</th>
+                          <th className="py-1">Reavaliado</th>
+                          <th className="py-1">ms/busca</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {precisionReport.map(row => (
+                          <tr key={`${row.mode}-${row.dimensions}`} className="border-t border-blue-gray-100">
+                            <td className="py-1">{row.mode}</td>
+                            <td className="py-1">{row.dimensions}</td>
+                            <td className="py-1">
+                              {row.bytesPerVector} ({Math.round(row.fullBytesPerVector / row.bytesPerVector)}× menor)
+                            </td>
+                            <td className="py-1">{row.recall.toFixed(3)}</td>
+                            <td className="py-1">{row.rescoredRecall.toFixed(3)}</td>
+                            <td className="py-1">{row.rescoredMs.toFixed(2)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </CardBody>
+              </Card>
+            )}
+            {Object.keys(stats.languages || {}).length > 0 && (
+              <Alert color="gray" className="flex items-center">
+                <ExclamationCircleIcon className="h-5 w-5 mr-2" />
+                Idiomas dos chunks:{' '}
+                {Object.entries(stats.languages)
+                  .sort((a, b) => b[1] - a[1])
+                  .map(([code, count]) => `${getLanguageProfile(code)?.label || 'Indeterminado'} (${count})`)
+                  .join(', ')}
+              </Alert>
+            )}
+            {stats.boilerplate?.removedLines > 0 && (
+              <Alert color="blue" className="flex items-start">
+                <ExclamationCircleIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+                <div>
+                  {stats.boilerplate.removedLines} linhas de cabeçalho, rodapé ou numeração de página foram removidas:
+                  <ul className="mt-1 list-disc list-inside text-sm">
+                    {stats.boilerplate.patterns.slice(0, 5).map((pattern, index) => (
+                      <li key={index}>
+                        "{pattern.text}" ({pattern.position === 'header' ? 'cabeçalho' : 'rodapé'}, {pattern.pageCount} páginas)
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              </Alert>
+            )}
           </div>
         )}
       </DialogBody>
@@ -561,11 +757,11 @@ export function HighQualityRAG() {
           </div>
           
           <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
-            {/* Upload PDF */}
+            {/* Upload de documento */}
             <input
               ref={fileInputRef}
               type="file"
-              accept=".pdf"
+              accept={getAcceptedExtensions().join(',')}
               onChange={handleFileUpload}
               disabled={isProcessing}
               className="hidden"
@@ -577,7 +773,7 @@ export function HighQualityRAG() {
               className="flex items-center justify-center gap-2"
             >
               <DocumentIcon className="h-5 w-5" />
-              Novo PDF
+              Novo documento
             </Button>
 
             {/* Importar Índice */}
@@ -645,7 +841,7 @@ export function HighQualityRAG() {
                 <div>
                   <Typography variant="small" color="gray">Custo</Typography>
                   <Typography className="font-bold text-green-600">
-                    ${ragService.estimateCost(stats.totalChunks).total.toFixed(3)}
+                    ${ragService.estimateCost(stats.totalTokens).total.toFixed(3)}
                   </Typography>
                 </div>
               </div>
@@ -667,6 +863,16 @@ export function HighQualityRAG() {
                   {Math.round(progress.percentage)}%
                 </Typography>
               </div>
+              {jobStatus === JOB_STATUS.PAUSED && (
+                <Typography variant="small" color="amber">
+                  Pausado
+                </Typography>
+              )}
+              {jobStatus === JOB_STATUS.CANCELLED && (
+                <Typography variant="small" color="red">
+                  Cancelado. Os chunks já gerados foram mantidos.
+                </Typography>
+              )}
               <Progress 
                 value={progress.percentage} 
                 color="blue" 
@@ -677,6 +883,46 @@ export function HighQualityRAG() {
                   {progress.current} de {progress.total} processados
                 </Typography>
               )}
+              {ingestionJob && (
+                <div className="flex justify-end gap-2">
+                  {/* A extração no worker não para no meio: a pausa só vale a partir da próxima fase */}
+                  {jobStatus === JOB_STATUS.RUNNING && progress.phase !== 'extraction' && (
+                    <Button
+                      size="sm"
+                      variant="outlined"
+                      onClick={() => ingestionJob.pause()}
+                      className="flex items-center gap-2"
+                    >
+                      <PauseIcon className="h-4 w-4" />
+                      Pausar
+                    </Button>
+                  )}
+                  {(jobStatus === JOB_STATUS.PAUSED || ingestionJob.canRestart) && (
+                    <Button
+                      size="sm"
+                      color="blue"
+                      disabled={ingestionJob.canRestart && isProcessing}
+                      onClick={handleResume}
+                      className="flex items-center gap-2"
+                    >
+                      <PlayIcon className="h-4 w-4" />
+                      Retomar
+                    </Button>
+                  )}
+                  {(jobStatus === JOB_STATUS.RUNNING || jobStatus === JOB_STATUS.PAUSED) && (
+                    <Button
+                      size="sm"
+                      variant="outlined"
+                      color="red"
+                      onClick={() => ingestionJob.cancel()}
+                      className="flex items-center gap-2"
+                    >
+                      <StopIcon className="h-4 w-4" />
+                      Cancelar
+                    </Button>
+                  )}
+                </div>
+              )}
             </div>
           </CardBody>
         </Card>
@@ -708,6 +954,72 @@ export function HighQualityRAG() {
                   Ctrl+Enter para enviar
                 </Typography>
               </div>
+
+              {/* Reescrita da pergunta antes da busca */}
+              <div className="flex flex-wrap items-center gap-2">
+                <Typography variant="small" color="gray" className="font-medium">
+                  Consulta
+                </Typography>
+                {Object.values(QUERY_MODES).map(mode => (
+                  <Tooltip key={mode.id} content={mode.description}>
+                    <button type="button" onClick={() => setQueryMode(mode.id)} disabled={isProcessing}>
+                      <Chip
+                        value={mode.label}
+                        size="sm"
+                        color="green"
+                        variant={queryMode === mode.id ? 'filled' : 'outlined'}
+                        className="cursor-pointer normal-case"
+                      />
+                    </button>
+                  </Tooltip>
+                ))}
+              </div>
+
+              {/* Filtros: documento, seção, idioma e intervalo de páginas */}
+              {facets?.total > 0 && (
+                <div className="space-y-2">
+                  <div className="flex items-center justify-between">
+                    <Typography variant="small" color="gray" className="font-medium">
+                      Filtros
+                    </Typography>
+                    {hasFilters && (
+                      <Button variant="text" size="sm" onClick={() => setFilters(EMPTY_FILTERS)}>
+                        Limpar filtros
+                      </Button>
+                    )}
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    {Object.entries(facets.sources).map(([source, count]) =>
+                      renderFilterChip('source', source, source, count, 'blue'))}
+                    {Object.entries(facets.sections)
+                      .filter(([path]) => !path.includes(SECTION_PATH_SEPARATOR))
+                      .slice(0, 12)
+                      .map(([path, count]) => renderFilterChip('sectionPath', path, path, count, 'blue-gray'))}
+                    {Object.keys(facets.languages).length > 1 && Object.entries(facets.languages).map(([code, count]) =>
+                      renderFilterChip('language', code, getLanguageProfile(code)?.label || 'Indeterminado', count, 'teal'))}
+                  </div>
+                  <div className="flex gap-2">
+                    <Input
+                      type="number"
+                      min={1}
+                      label="Da página"
+                      value={filters.pageFrom}
+                      onChange={(e) => setFilters(prev => ({ ...prev, pageFrom: e.target.value }))}
+                      disabled={isProcessing}
+                      containerProps={{ className: 'min-w-0' }}
+                    />
+                    <Input
+                      type="number"
+                      min={1}
+                      label="Até a página"
+                      value={filters.pageTo}
+                      onChange={(e) => setFilters(prev => ({ ...prev, pageTo: e.target.value }))}
+                      disabled={isProcessing}
+                      containerProps={{ className: 'min-w-0' }}
+                    />
+                  </div>
+                </div>
+              )}
               
               <Button
                 onClick={handleQuery}
@@ -731,6 +1043,22 @@ export function HighQualityRAG() {
             <div className="flex justify-between items-start mb-4">
               <Typography variant="h5">Resposta</Typography>
               <div className="flex items-center gap-2">
+                {response.noGoodMatch && (
+                  <Chip
+                    value="Sem trechos confiáveis"
+                    color="amber"
+                    size="sm"
+                    icon={<ExclamationCircleIcon className="h-4 w-4" />}
+                  />
+                )}
+                {response.confidence && !response.noGoodMatch && (
+                  <Chip
+                    value={`Confiança ${CONFIDENCE_LABELS[response.confidence.level]}`}
+                    color={response.confidence.level === 'low' ? 'amber' : 'green'}
+                    size="sm"
+                    variant="ghost"
+                  />
+                )}
                 {response.cached && (
                   <Chip
                     value="Cache"
@@ -764,6 +1092,21 @@ export function HighQualityRAG() {
               </Typography>
             </div>
 
+            {response.rewrite?.queries.length > 0 && (
+              <div className="mt-6 pt-4 border-t">
+                <Typography variant="h6" className="mb-2">
+                  {response.rewrite.mode === 'hyde' ? 'Resposta hipotética usada na busca' : 'Consultas usadas'}
+                </Typography>
+                <ul className="list-disc pl-5 space-y-1">
+                  {response.rewrite.queries.map((rewritten, idx) => (
+                    <li key={idx}>
+                      <Typography variant="small" color="gray">{rewritten}</Typography>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
             {response.sources && response.sources.length > 0 && (
               <div className="mt-6 pt-4 border-t">
                 <Typography variant="h6" className="mb-3">
@@ -774,17 +1117,43 @@ export function HighQualityRAG() {
                     <Card key={idx} className="bg-gray-50">
                       <CardBody className="p-3">
                         <div className="flex items-center justify-between mb-1">
-                          <Chip
-                            value={`Página ${source.pageNumber}`}
-                            size="sm"
-                            color="blue"
-                          />
+                          <div className="flex items-center gap-1">
+                            <Chip
+                              value={ragService.formatPageRange(source)}
+                              size="sm"
+                              color="blue"
+                            />
+                            {source.type === 'figure' && (
+                              <Chip value="Figura" size="sm" color="purple" variant="ghost" />
+                            )}
+                          </div>
                           <Typography variant="small" color="gray">
-                            Relevância: {((source.importance || 1) * 100).toFixed(0)}%
+                            {source.confidence
+                              ? `Confiança ${CONFIDENCE_LABELS[source.confidence.level]}: ${(source.confidence.score * 100).toFixed(0)}% ` +
+                                `(similaridade ${source.confidence.similarity.toFixed(2)})`
+                              : `Relevância: ${((source.importance || 1) * 100).toFixed(0)}%`}
                           </Typography>
                         </div>
+                        {source.sectionPath && (
+                          <Typography variant="small" color="blue-gray" className="font-medium mb-1">
+                            {source.sectionPath}
+                          </Typography>
+                        )}
+                        {source.scoring && (
+                          <Typography variant="small" color="gray" className="mb-1">
+                            {[
+                              source.scoring.vector && `Vetorial #${source.scoring.vector.rank} (${source.scoring.vector.score.toFixed(2)})`,
+                              source.scoring.fulltext && `Texto #${source.scoring.fulltext.rank} (BM25 ${source.scoring.fulltext.score.toFixed(2)})`,
+                              source.scoring.queries && `${source.scoring.queries.filter(Boolean).length}/${source.scoring.queries.length} consultas`
+                            ].filter(Boolean).join(' • ')}
+                          </Typography>
+                        )}
                         <Typography variant="small" color="gray">
                           Chunk #{source.chunkIndex + 1} • {source.totalTokens} tokens
+                          {source.contextChunks?.length > 1 && ` • +${source.contextChunks.length - 1} vizinhos`}
+                          {source.matchedChildren?.length > 0 && ` • ${source.matchedChildren.length} ${source.matchedChildren.length === 1 ? 'trecho encontrado' : 'trechos encontrados'}`}
+                          {source.language && source.language !== UNKNOWN_LANGUAGE && ` • ${source.language.toUpperCase()}`}
+                          {source.ocr && ` • OCR (confiança ${source.ocrConfidence}%)`}
                         </Typography>
                       </CardBody>
                     </Card>
@@ -12,10 +12,12 @@ import {
   Alert,
   Progress,
 } from '@material-tailwind/react';
-import { DocumentIcon, CloudArrowUpIcon } from '@heroicons/react/24/outline';
+import { DocumentIcon, CloudArrowUpIcon, ArrowsRightLeftIcon } from '@heroicons/react/24/outline';
 import { CheckCircleIcon } from '@heroicons/react/24/solid';
 import { usePDF } from '../../hooks/usePDF';
 import { SUCCESS_MESSAGES } from '../../constants';
+import { EXTRACTION_STRATEGIES } from '../../utils/extractionStrategies';
+import { StrategyComparison } from './StrategyComparison';
 
 /**
  * PDFUploader component for handling PDF file uploads with drag & drop
@@ -25,6 +27,7 @@ import { SUCCESS_MESSAGES } from '../../constants';
  * @param {function} props.onTextExtracted - Callback when text is extracted from PDF
  * @param {function} [props.onFileSelect] - Callback when file is selected
  * @param {function} [props.onError] - Callback for error handling
+ * @param {string} [props.defaultStrategy='simple'] - Initially selected extraction strategy
  * @returns {JSX.Element}
  * 
  * @example
@@ -33,14 +36,20 @@ import { SUCCESS_MESSAGES } from '../../constants';
  *   onError={handleError}
  * />
  */
-export function PDFUploader({ onTextExtracted, onFileSelect, onError }) {
+export function PDFUploader({ onTextExtracted, onFileSelect, onError, defaultStrategy = 'simple' }) {
   const [fileName, setFileName] = useState('');
   const [isDragging, setIsDragging] = useState(false);
+  const [currentFile, setCurrentFile] = useState(null);
+  const [strategy, setStrategy] = useState(defaultStrategy);
+  const [comparePage, setComparePage] = useState(1);
   
   const { 
     extractText, 
+    compareStrategies,
     validateFile, 
+    comparison,
     isProcessing, 
+    isComparing,
     progress, 
     error,
     clearError 
@@ -64,8 +73,9 @@ export function PDFUploader({ onTextExtracted, onFileSelect, onError }) {
 
     try {
       if (onFileSelect) onFileSelect(file);
+      setCurrentFile(file);
       
-      const result = await extractText(file);
+      const result = await extractText(file, { strategy });
       onTextExtracted(result);
       
     } catch (err) {
@@ -74,6 +84,17 @@ export function PDFUploader({ onTextExtracted, onFileSelect, onError }) {
     }
   };
 
+  /**
+   * Show the selected page extracted with every strategy
+   */
+  const handleCompare = async () => {
+    try {
+      await compareStrategies(currentFile, comparePage);
+    } catch (err) {
+      if (onError) onError(err.message);
+    }
+  };
+
   /**
    * Handle file input change
    * @param {Event} event - File input change event
@@ -158,6 +179,52 @@ export function PDFUploader({ onTextExtracted, onFileSelect, onError }) {
             Selecionar arquivo PDF
           </Button>
         </label>
+
+        {/* Extraction strategy */}
+        <label className="block mt-4">
+          <Typography variant="small" color="blue-gray" className="mb-1 font-medium">
+            Estratégia de extração
+          </Typography>
+          <select
+            value={strategy}
+            onChange={(event) => setStrategy(event.target.value)}
+            disabled={isProcessing}
+            className="w-full rounded-lg border border-gray-300 bg-white px-3 py-2 text-sm"
+          >
+            {Object.values(EXTRACTION_STRATEGIES).map(({ id, label }) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+          <Typography variant="small" color="gray" className="mt-1 text-xs">
+            {EXTRACTION_STRATEGIES[strategy]?.description}
+          </Typography>
+        </label>
+
+        {/* Strategy comparison for one page */}
+        {currentFile && !isProcessing && (
+          <div className="mt-4 flex items-center gap-2">
+            <input
+              type="number"
+              min={1}
+              max={comparison?.totalPages}
+              value={comparePage}
+              onChange={(event) => setComparePage(Math.max(1, Number(event.target.value) || 1))}
+              className="w-20 rounded-lg border border-gray-300 px-3 py-2 text-sm"
+              aria-label="Página a comparar"
+            />
+            <Button
+              variant="outlined"
+              color="blue"
+              size="sm"
+              className="flex items-center gap-2 flex-1 justify-center"
+              onClick={handleCompare}
+              disabled={isComparing}
+            >
+              {isComparing ? <Spinner className="h-4 w-4" /> : <ArrowsRightLeftIcon className="h-4 w-4" />}
+              Comparar estratégias
+            </Button>
+          </div>
+        )}
       
         {/* Processing state */}
         {isProcessing && (
@@ -239,6 +306,8 @@ export function PDFUploader({ onTextExtracted, onFileSelect, onError }) {
             ou clique no botão acima para selecionar
           </Typography>
         </div>
+
+        <StrategyComparison comparison={comparison} />
       </CardBody>
     </Card>
   );
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Side-by-side view of one PDF page extracted with each strategy
+ */
+
+import { Card, CardBody, Typography, Chip } from '@material-tailwind/react';
+import { EXTRACTION_STRATEGIES } from '../../utils/extractionStrategies';
+
+/**
+ * StrategyComparison component showing the text every extraction strategy
+ * produces for the same page
+ *
+ * @component
+ * @param {Object} props
+ * @param {Object} props.comparison - Result of `PDFService.compareStrategies`
+ * @param {number} props.comparison.pageNumber - Compared page
+ * @param {number} props.comparison.totalPages - Pages in the document
+ * @param {Array<{strategy: string, label: string, text: string}>} props.comparison.results - Text per strategy
+ * @returns {JSX.Element|null}
+ *
+ * @example
+ * <StrategyComparison comparison={comparison} />
+ */
+export function StrategyComparison({ comparison }) {
+  if (!comparison) return null;
+
+  const { pageNumber, totalPages, results } = comparison;
+
+  return (
+    <Card className="w-full mt-6">
+      <CardBody>
+        <Typography variant="h6" color="blue-gray" className="mb-4">
+          Comparação de estratégias — página {pageNumber} de {totalPages}
+        </Typography>
+
+        <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
+          {results.map(({ strategy, label, text }) => {
+            const words = text.split(/\s+/).filter(Boolean).length;
+            return (
+              <div key={strategy} className="flex flex-col border border-gray-200 rounded-lg">
+                <div className="flex items-center justify-between gap-2 p-3 border-b border-gray-200 bg-gray-50">
+                  <Typography className="font-medium text-sm" color="blue-gray">
+                    {label}
+                  </Typography>
+                  <Chip size="sm" variant="ghost" value={`${words} palavras`} />
+                </div>
+                <Typography variant="small" color="gray" className="px-3 pt-2 text-xs">
+                  {EXTRACTION_STRATEGIES[strategy]?.description}
+                </Typography>
+                <pre className="p-3 text-xs whitespace-pre-wrap break-words max-h-96 overflow-y-auto font-mono text-gray-800">
+                  {text || '(sem texto)'}
+                </pre>
+              </div>
+            );
+          })}
+        </div>
+      </CardBody>
+    </Card>
+  );
+}
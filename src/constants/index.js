@@ -24,10 +24,57 @@ export const API_ENDPOINTS = {
  * PDF processing configuration
  */
 export const PDF_CONFIG = {
-  MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
-  ACCEPTED_TYPES: ['application/pdf'],
   MAX_TEXT_PREVIEW: 1000,
   MAX_CONTEXT_LENGTH: 3000,
+  PDFJS_WORKER_SRC: 'https://cdn.jsdelivr.net/npm/pdfjs-dist@5.3.31/build/pdf.worker.min.mjs',
+};
+
+/**
+ * Document ingestion configuration (all formats; see `validateDocumentFile`)
+ */
+export const DOCUMENT_CONFIG = {
+  MAX_FILE_SIZE: 100 * 1024 * 1024, // 100MB
+};
+
+/**
+ * OCR fallback configuration for pages without a text layer
+ */
+export const OCR_CONFIG = {
+  LANGUAGES: ['por', 'eng'], // Bundled with the build (see vite.config.js)
+  ASSETS_PATH: 'tesseract', // Where the tesseract worker, core and language data are served
+  RENDER_SCALE: 2, // ~150 DPI for a 72 DPI PDF page
+};
+
+/**
+ * Figure extraction and captioning
+ */
+export const FIGURE_CONFIG = {
+  RENDER_SCALE: 2, // Resolution of the cropped figure images
+  CAPTION_MODEL: 'gpt-4o-mini',
+  CAPTION_MAX_TOKENS: 300,
+};
+
+/**
+ * Search result reranking
+ */
+export const RERANK_CONFIG = {
+  MODEL: 'gpt-4o-mini',
+  PASSAGE_CHARS: 600, // Passage text sent to the LLM reranker
+  MMR_LAMBDA: 0.7, // Relevance vs. diversity in the lexical reranker (1 = relevance only)
+  RETRIEVAL_WEIGHT: 0.5, // Share of the retrieval score kept by the lexical reranker
+};
+
+/**
+ * Message types exchanged with the PDF extraction worker
+ */
+export const PDF_WORKER_MESSAGES = {
+  PROCESS: 'process-pdf',
+  COMPARE: 'compare-page',
+  CANCEL: 'cancel',
+  PROGRESS: 'progress',
+  COMPLETE: 'complete',
+  CANCELLED: 'cancelled',
+  ERROR: 'error',
 };
 
 /**
@@ -61,8 +108,6 @@ export const ERROR_MESSAGES = {
   MICROPHONE_ACCESS: 'Erro ao acessar o microfone. Verifique as permissões.',
   TRANSCRIPTION_FAILED: 'Erro ao transcrever o áudio. Tente novamente.',
   CHAT_REQUEST_FAILED: 'Erro ao processar sua solicitação. Tente novamente.',
-  FILE_TOO_LARGE: 'Arquivo muito grande. Tamanho máximo permitido: 10MB.',
-  INVALID_FILE_TYPE: 'Tipo de arquivo não suportado. Apenas PDFs são aceitos.',
 };
 
 /**
@@ -49,10 +49,10 @@ export const useOpenAI = (apiKey) => {
   /**
    * Transcribe audio to text
    * @param {Blob} audioBlob - Audio data
-   * @param {string} language - Language code
+   * @param {string} [language] - Language code; omitted, it is detected from the audio
    * @returns {Promise<string>} Transcribed text
    */
-  const transcribeAudio = useCallback(async (audioBlob, language = 'pt') => {
+  const transcribeAudio = useCallback(async (audioBlob, language) => {
     if (!openAIService) {
       throw new Error('OpenAI service not initialized');
     }
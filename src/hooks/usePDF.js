@@ -14,6 +14,8 @@ export const usePDF = () => {
   const [isProcessing, setIsProcessing] = useState(false);
   const [progress, setProgress] = useState(0);
   const [error, setError] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [isComparing, setIsComparing] = useState(false);
 
   // Memoize service instance
   const pdfService = useMemo(() => createPDFService(), []);
@@ -21,9 +23,10 @@ export const usePDF = () => {
   /**
    * Extract text from PDF file
    * @param {File} file - PDF file to process
+   * @param {Object} [options] - Extraction options, e.g. `{ strategy: 'heuristic' }`; see `PDFService.extractText`
    * @returns {Promise<Object>} Extracted text data
    */
-  const extractText = useCallback(async (file) => {
+  const extractText = useCallback(async (file, options = {}) => {
     setIsProcessing(true);
     setProgress(0);
     setError(null);
@@ -31,7 +34,7 @@ export const usePDF = () => {
     try {
       const result = await pdfService.extractText(file, (progressData) => {
         setProgress(progressData.progress);
-      });
+      }, options);
 
       setExtractedText(result);
       return result;
@@ -44,6 +47,29 @@ export const usePDF = () => {
     }
   }, [pdfService]);
 
+  /**
+   * Extract one page with every strategy, for side-by-side comparison
+   * @param {File} file - PDF file
+   * @param {number} pageNumber - Page to compare (1-based)
+   * @param {Object} [options] - See `PDFService.compareStrategies`
+   * @returns {Promise<Object>} Comparison result
+   */
+  const compareStrategies = useCallback(async (file, pageNumber, options = {}) => {
+    setIsComparing(true);
+    setError(null);
+
+    try {
+      const result = await pdfService.compareStrategies(file, pageNumber, options);
+      setComparison(result);
+      return result;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsComparing(false);
+    }
+  }, [pdfService]);
+
   /**
    * Get PDF metadata
    * @param {File} file - PDF file
@@ -78,6 +104,7 @@ export const usePDF = () => {
    */
   const clearText = useCallback(() => {
     setExtractedText(null);
+    setComparison(null);
     setProgress(0);
     setError(null);
   }, []);
@@ -91,12 +118,15 @@ export const usePDF = () => {
 
   return {
     extractText,
+    compareStrategies,
     getMetadata,
     validateFile,
     clearText,
     clearError,
     extractedText,
+    comparison,
     isProcessing,
+    isComparing,
     progress,
     error,
   };
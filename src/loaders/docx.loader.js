@@ -0,0 +1,30 @@
+/**
+ * @fileoverview DOCX loader: mammoth converts the document to HTML, whose
+ * "Heading N" paragraphs become the section hierarchy
+ */
+
+import { parseHTMLBlocks, buildPagesFromBlocks } from './structuredText.js';
+
+/**
+ * @type {import('./index.js').DocumentLoader}
+ */
+export const docxLoader = {
+  id: 'docx',
+  label: 'Word',
+  extensions: ['.docx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+
+  async load(file, { splitter = null, onProgress, signal } = {}) {
+    const [{ default: mammoth }, arrayBuffer] = await Promise.all([import('mammoth'), file.arrayBuffer()]);
+    signal?.throwIfAborted();
+
+    const { value: html, messages } = await mammoth.convertToHtml({ arrayBuffer });
+    messages
+      .filter(message => message.type === 'error')
+      .forEach(message => console.warn('Aviso ao converter DOCX:', message.message));
+    signal?.throwIfAborted();
+
+    onProgress?.({ current: 1, total: 1 });
+    return buildPagesFromBlocks([parseHTMLBlocks(html)], { splitter });
+  }
+};
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview EPUB loader: every spine document (usually a chapter) becomes
+ * one page; its h1-h6 headings become the section hierarchy
+ */
+
+import { parseHTMLBlocks, buildPagesFromBlocks } from './structuredText.js';
+
+/**
+ * @param {string} base - Path of the file the reference appears in
+ * @param {string} href - Relative reference
+ * @returns {string} Path inside the archive
+ */
+const resolvePath = (base, href) => {
+  const parts = base.split('/').slice(0, -1);
+  decodeURIComponent(href.split('#')[0]).split('/').forEach(part => {
+    if (part === '..') parts.pop();
+    else if (part && part !== '.') parts.push(part);
+  });
+  return parts.join('/');
+};
+
+/**
+ * @param {Object} zip - JSZip archive
+ * @param {string} path - File path inside the archive
+ * @returns {Promise<Document>} Parsed XML document
+ */
+const readXML = async (zip, path) => {
+  const entry = zip.file(path);
+  if (!entry) {
+    throw new Error(`EPUB inválido: ${path} não encontrado`);
+  }
+  return new DOMParser().parseFromString(await entry.async('string'), 'application/xml');
+};
+
+/**
+ * @type {import('./index.js').DocumentLoader}
+ */
+export const epubLoader = {
+  id: 'epub',
+  label: 'EPUB',
+  extensions: ['.epub'],
+  mimeTypes: ['application/epub+zip'],
+
+  async load(file, { splitter = null, onProgress, signal } = {}) {
+    const [{ default: JSZip }, arrayBuffer] = await Promise.all([import('jszip'), file.arrayBuffer()]);
+    const zip = await JSZip.loadAsync(arrayBuffer);
+
+    const container = await readXML(zip, 'META-INF/container.xml');
+    const opfPath = container.getElementsByTagName('rootfile')[0]?.getAttribute('full-path');
+    if (!opfPath) {
+      throw new Error('EPUB inválido: pacote OPF não declarado');
+    }
+    const opf = await readXML(zip, opfPath);
+
+    const manifest = new Map();
+    Array.from(opf.getElementsByTagName('item')).forEach(item => {
+      manifest.set(item.getAttribute('id'), {
+        href: item.getAttribute('href'),
+        mediaType: item.getAttribute('media-type')
+      });
+    });
+
+    const chapters = Array.from(opf.getElementsByTagName('itemref'))
+      .map(itemref => manifest.get(itemref.getAttribute('idref')))
+      .filter(item => item && /html/.test(item.mediaType || ''));
+
+    const pageBlocks = [];
+    for (let i = 0; i < chapters.length; i++) {
+      signal?.throwIfAborted();
+
+      const entry = zip.file(resolvePath(opfPath, chapters[i].href));
+      if (entry) {
+        const blocks = parseHTMLBlocks(await entry.async('string'), 'application/xhtml+xml');
+        // Cover and other image-only documents have no text
+        if (blocks.length > 0) pageBlocks.push(blocks);
+      }
+
+      onProgress?.({ current: i + 1, total: chapters.length });
+    }
+
+    return buildPagesFromBlocks(pageBlocks, { splitter });
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * @fileoverview HTML loader: h1-h6 become the section hierarchy
+ */
+
+import { parseHTMLBlocks, buildPagesFromBlocks } from './structuredText.js';
+
+/**
+ * @type {import('./index.js').DocumentLoader}
+ */
+export const htmlLoader = {
+  id: 'html',
+  label: 'HTML',
+  extensions: ['.html', '.htm', '.xhtml'],
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+
+  async load(file, { splitter = null, onProgress, signal } = {}) {
+    const html = await file.text();
+    signal?.throwIfAborted();
+
+    onProgress?.({ current: 1, total: 1 });
+    return buildPagesFromBlocks([parseHTMLBlocks(html)], { splitter });
+  }
+};
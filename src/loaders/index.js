@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Document loader registry
+ *
+ * A loader reads one file format and returns the same structure the PDF
+ * worker produces - pages (or chapters) with their text, section-aware
+ * chunks, and the section tree - so the rest of the ingestion pipeline is
+ * format-agnostic. Files are matched by extension first, then MIME type,
+ * because browsers often report an empty type for .md or .epub files.
+ */
+
+import { pdfLoader } from './pdf.loader.js';
+import { docxLoader } from './docx.loader.js';
+import { markdownLoader } from './markdown.loader.js';
+import { htmlLoader } from './html.loader.js';
+import { epubLoader } from './epub.loader.js';
+import { textLoader } from './text.loader.js';
+
+/**
+ * @typedef {Object} DocumentLoader
+ * @property {string} id - Unique loader id
+ * @property {string} label - Format name shown to users
+ * @property {string[]} extensions - Lower-case file extensions, with the dot
+ * @property {string[]} mimeTypes - MIME types handled
+ * @property {function(File, Object): Promise<{totalPages: number, pages: Array<Object>, chunks: Array<Object>, sections: Array<Object>}>} load -
+ *   Reads the file. Options: `splitter` (SimpleTextSplitter options, or null to skip chunking),
+ *   `onProgress` (`{ current, total }`), `signal`, plus format-specific ones such as
+ *   `pdfWorker`, `strategy`, `strategyOptions`, `ocr`, `sections`, `boilerplate`,
+ *   `figures` and `debugLayout` for PDFs
+ */
+
+const loaders = [];
+
+/**
+ * Add a loader, replacing any loader with the same id
+ * @param {DocumentLoader} loader - Loader to register
+ */
+export function registerLoader(loader) {
+  const index = loaders.findIndex(existing => existing.id === loader.id);
+  if (index === -1) {
+    loaders.push(loader);
+  } else {
+    loaders[index] = loader;
+  }
+}
+
+/**
+ * @param {string} name - File name
+ * @returns {string} Lower-case extension with the dot, or ''
+ */
+const getExtension = (name = '') => {
+  const dot = name.lastIndexOf('.');
+  return dot === -1 ? '' : name.slice(dot).toLowerCase();
+};
+
+/**
+ * Find the loader for a file
+ * @param {File} file - File to load
+ * @returns {DocumentLoader|null} Matching loader, or null when the format is not supported
+ */
+export function getLoaderForFile(file) {
+  const extension = getExtension(file?.name);
+  return loaders.find(loader => extension && loader.extensions.includes(extension)) ||
+    loaders.find(loader => file?.type && loader.mimeTypes.includes(file.type)) ||
+    null;
+}
+
+/**
+ * @returns {string[]} Extensions of every registered loader, for `<input accept>`
+ */
+export function getAcceptedExtensions() {
+  return loaders.flatMap(loader => loader.extensions);
+}
+
+/**
+ * @returns {DocumentLoader[]} Registered loaders
+ */
+export function getLoaders() {
+  return [...loaders];
+}
+
+[pdfLoader, docxLoader, markdownLoader, htmlLoader, epubLoader, textLoader].forEach(registerLoader);
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Markdown loader: ATX ("## Title") and setext headings become
+ * the section hierarchy; "#" lines inside code fences are left alone
+ */
+
+import { buildPagesFromBlocks } from './structuredText.js';
+
+/**
+ * Split Markdown source into heading and text blocks
+ * @param {string} markdown - Markdown source
+ * @returns {Array<{type: 'heading'|'text', text: string, level?: number}>} Blocks in order
+ */
+export function parseMarkdownBlocks(markdown) {
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let fence = null;
+
+  const flushParagraph = () => {
+    const text = paragraph.join('\n').trim();
+    if (text) blocks.push({ type: 'text', text });
+    paragraph = [];
+  };
+
+  // YAML front matter is metadata, not content
+  let start = 0;
+  if (lines[0] === '---') {
+    const end = lines.indexOf('---', 1);
+    if (end > 0) start = end + 1;
+  }
+
+  for (let i = start; i < lines.length; i++) {
+    const line = lines[i];
+    const fenceMatch = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+
+    if (fence) {
+      paragraph.push(line);
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+        flushParagraph();
+      }
+      continue;
+    }
+
+    if (fenceMatch) {
+      flushParagraph();
+      fence = fenceMatch[1];
+      paragraph.push(line);
+      continue;
+    }
+
+    const atx = line.match(/^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+    if (atx) {
+      flushParagraph();
+      if (atx[2]) blocks.push({ type: 'heading', level: atx[1].length, text: atx[2] });
+      continue;
+    }
+
+    // Setext heading: a single text line underlined with === or ---
+    const setext = line.match(/^\s{0,3}(=+|-+)\s*$/);
+    if (setext && paragraph.length === 1) {
+      const text = paragraph[0].trim();
+      paragraph = [];
+      blocks.push({ type: 'heading', level: setext[1][0] === '=' ? 1 : 2, text });
+      continue;
+    }
+
+    if (!line.trim()) {
+      flushParagraph();
+      continue;
+    }
+    paragraph.push(line);
+  }
+  flushParagraph();
+
+  return blocks;
+}
+
+/**
+ * @type {import('./index.js').DocumentLoader}
+ */
+export const markdownLoader = {
+  id: 'markdown',
+  label: 'Markdown',
+  extensions: ['.md', '.markdown', '.mdown'],
+  mimeTypes: ['text/markdown', 'text/x-markdown'],
+
+  async load(file, { splitter = null, onProgress, signal } = {}) {
+    const markdown = await file.text();
+    signal?.throwIfAborted();
+
+    onProgress?.({ current: 1, total: 1 });
+    return buildPagesFromBlocks([parseMarkdownBlocks(markdown)], { splitter });
+  }
+};
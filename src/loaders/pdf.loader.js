@@ -0,0 +1,18 @@
+/**
+ * @fileoverview PDF loader: extraction, OCR and chunking run in the PDF worker
+ */
+
+/**
+ * @type {import('./index.js').DocumentLoader}
+ */
+export const pdfLoader = {
+  id: 'pdf',
+  label: 'PDF',
+  extensions: ['.pdf'],
+  mimeTypes: ['application/pdf'],
+
+  async load(file, { pdfWorker, strategy, strategyOptions, splitter = null, ocr = false, sections = false, boilerplate = false, figures = false, debugLayout = false, onProgress, signal } = {}) {
+    const arrayBuffer = await file.arrayBuffer();
+    return pdfWorker.process(arrayBuffer, { strategy, strategyOptions, splitter, ocr, sections, boilerplate, figures, debugLayout, onProgress, signal });
+  }
+};
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Shared helpers for loaders of structured (non-PDF) documents
+ *
+ * Loaders reduce their format to blocks - headings and text - grouped into
+ * pages (a chapter, a form-feed page or the whole document). The blocks are
+ * then turned into the same `{ totalPages, pages, sections }` result the PDF
+ * worker produces, so chunking, embedding and search do not care about the
+ * source format.
+ */
+
+import { buildTree } from '../utils/sections.js';
+import { formatMarkdownTable } from '../utils/pageText.js';
+import { SimpleTextSplitter } from '../utils/textSplitter.js';
+import { detectLanguage } from '../utils/language.js';
+import { chunkDocument } from '../utils/documentStream.js';
+
+/**
+ * Elements that start a new block; everything else is inline text
+ */
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'caption', 'dd', 'details', 'div', 'dl', 'dt',
+  'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr',
+  'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'ul'
+]);
+
+/**
+ * Elements whose content is never document text
+ */
+const SKIPPED_TAGS = new Set(['head', 'script', 'style', 'noscript', 'template', 'svg', 'math', 'iframe']);
+
+/**
+ * @param {string} text - Any text
+ * @returns {string} Text with runs of whitespace collapsed to one space
+ */
+const normalizeSpace = (text) => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * @param {HTMLTableElement} table - Table element
+ * @returns {string} The table as Markdown, or '' when it has no cells
+ */
+function tableToMarkdown(table) {
+  const rows = Array.from(table.rows)
+    .map(row => Array.from(row.cells).map(cell => normalizeSpace(cell.textContent)))
+    .filter(cells => cells.some(Boolean));
+  if (rows.length === 0) return '';
+
+  const width = Math.max(...rows.map(cells => cells.length));
+  return formatMarkdownTable(rows.map(cells => [...cells, ...new Array(width - cells.length).fill('')]));
+}
+
+/**
+ * Reduce an HTML element to heading and text blocks, in document order.
+ * Tables become Markdown tables, list items are prefixed with "- " and
+ * `<pre>` keeps its line breaks.
+ * @param {Element} root - Element to read (usually `document.body`)
+ * @returns {Array<{type: 'heading'|'text', text: string, level?: number}>} Blocks
+ */
+export function htmlToBlocks(root) {
+  const blocks = [];
+
+  const visit = (node) => {
+    let inline = '';
+    const flushInline = () => {
+      const text = normalizeSpace(inline);
+      if (text) blocks.push({ type: 'text', text });
+      inline = '';
+    };
+
+    node.childNodes.forEach(child => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        inline += child.textContent;
+        return;
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE) return;
+
+      const tag = child.tagName.toLowerCase();
+      if (SKIPPED_TAGS.has(tag)) return;
+      if (tag === 'br') {
+        inline += ' ';
+        return;
+      }
+      if (!BLOCK_TAGS.has(tag)) {
+        inline += child.textContent;
+        return;
+      }
+
+      flushInline();
+      const heading = tag.match(/^h([1-6])$/);
+      if (heading) {
+        const text = normalizeSpace(child.textContent);
+        if (text) blocks.push({ type: 'heading', level: Number(heading[1]), text });
+      } else if (tag === 'table') {
+        const text = tableToMarkdown(child);
+        if (text) blocks.push({ type: 'text', text });
+      } else if (tag === 'pre') {
+        const text = child.textContent.trim();
+        if (text) blocks.push({ type: 'text', text });
+      } else if (tag === 'li') {
+        const start = blocks.length;
+        visit(child);
+        if (blocks[start]?.type === 'text') {
+          blocks[start].text = `- ${blocks[start].text}`;
+        }
+      } else {
+        visit(child);
+      }
+    });
+
+    flushInline();
+  };
+
+  visit(root);
+  return blocks;
+}
+
+/**
+ * Parse an HTML string and reduce its body to blocks
+ * @param {string} html - HTML or XHTML markup
+ * @param {string} [type='text/html'] - DOMParser content type
+ * @returns {Array<{type: 'heading'|'text', text: string, level?: number}>} Blocks
+ */
+export function parseHTMLBlocks(html, type = 'text/html') {
+  const doc = new DOMParser().parseFromString(html, type);
+  if (doc.querySelector('parsererror')) {
+    // Malformed XHTML: the lenient HTML parser still gets the text out
+    return type === 'text/html' ? [] : parseHTMLBlocks(html, 'text/html');
+  }
+  return htmlToBlocks(doc.body || doc.documentElement);
+}
+
+/**
+ * Turn pages of blocks into the loader result: the section tree from the
+ * headings, page text, and (when `splitter` is set) document chunks that
+ * never mix two sections, carry their `sectionPath` and may cross pages.
+ * @param {Array<Array<{type: 'heading'|'text', text: string, level?: number}>>} pageBlocks - Blocks per page
+ * @param {Object} [options]
+ * @param {Object|null} [options.splitter=null] - SimpleTextSplitter options; null skips chunking
+ * @returns {Promise<{totalPages: number, pages: Array<{pageNumber: number, text: string, language: string, segments: Array<{text: string, sectionPath: string, startsSection: boolean, start: number}>, ocr: boolean, ocrConfidence: number|null}>, chunks: Array<{text: string, sectionPath: string, startsSection: boolean, language: string|null, start: number, end: number, pageStart: number, pageEnd: number}>, sections: Array<Object>}>}
+ */
+export async function buildPagesFromBlocks(pageBlocks, { splitter = null } = {}) {
+  const textSplitter = splitter ? new SimpleTextSplitter(splitter) : null;
+
+  // Heading records in document order; buildTree sets their `path`
+  const headingOf = new Map();
+  pageBlocks.forEach((blocks, index) => blocks
+    .filter(block => block.type === 'heading')
+    .forEach(block => headingOf.set(block, { title: block.text, level: block.level, pageNumber: index + 1 })));
+  const sections = buildTree([...headingOf.values()]);
+
+  const pages = [];
+  let currentPath = '';
+
+  for (let index = 0; index < pageBlocks.length; index++) {
+    const blocks = pageBlocks[index];
+    const segments = [];
+    let parts = [];
+    let startsSection = false;
+    // Offset of the next block in the page text (blocks are joined with a blank line)
+    let offset = 0;
+    let segmentStart = 0;
+
+    const flushSegment = () => {
+      const joined = parts.join('\n\n');
+      const text = joined.trim();
+      if (text) segments.push({ text, sectionPath: currentPath, startsSection, start: segmentStart + joined.indexOf(text) });
+      parts = [];
+      startsSection = false;
+      segmentStart = offset;
+    };
+
+    blocks.forEach(block => {
+      if (block.type === 'heading') {
+        flushSegment();
+        currentPath = headingOf.get(block).path;
+        startsSection = true;
+      }
+      parts.push(block.text);
+      offset += block.text.length + 2;
+    });
+    flushSegment();
+
+    const text = blocks.map(block => block.text).join('\n\n');
+    pages.push({
+      pageNumber: index + 1,
+      text,
+      language: detectLanguage(text).language,
+      segments,
+      ocr: false,
+      ocrConfidence: null
+    });
+  }
+
+  const chunks = textSplitter ? await chunkDocument(pages, textSplitter) : [];
+  return { totalPages: pages.length, pages, chunks, sections };
+}
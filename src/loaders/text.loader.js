@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Plain-text loader; form feeds (\f) separate pages
+ */
+
+import { buildPagesFromBlocks } from './structuredText.js';
+
+/**
+ * @type {import('./index.js').DocumentLoader}
+ */
+export const textLoader = {
+  id: 'text',
+  label: 'Texto',
+  extensions: ['.txt', '.text'],
+  mimeTypes: ['text/plain'],
+
+  async load(file, { splitter = null, onProgress, signal } = {}) {
+    const text = (await file.text()).replace(/\r\n?/g, '\n');
+    signal?.throwIfAborted();
+
+    const pageBlocks = text.split('\f').map(page => {
+      const trimmed = page.trim();
+      return trimmed ? [{ type: 'text', text: trimmed }] : [];
+    });
+
+    onProgress?.({ current: pageBlocks.length, total: pageBlocks.length });
+    return buildPagesFromBlocks(pageBlocks, { splitter });
+  }
+};
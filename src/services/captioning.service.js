@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Figure captioners: turn a figure image into searchable text
+ *
+ * A captioner is any object with `caption(image, context)` resolving to
+ * `{ text }`. `OpenAICaptioner` asks a vision-capable chat model;
+ * `StubCaptioner` works offline and is meant for tests and demos.
+ */
+
+import { FIGURE_CONFIG } from '../constants/index.js';
+import { getLanguageProfile } from '../utils/language.js';
+
+/**
+ * @typedef {Object} CaptionContext
+ * @property {number} pageNumber - Page the figure is on
+ * @property {number[]} bbox - Figure box `[x0, y0, x1, y1]` in PDF units
+ * @property {string} [pageText] - Text of the page, to ground the description
+ * @property {string} [language] - Language of the page; the caption is written in it
+ * @property {AbortSignal} [signal] - Cancels the request
+ */
+
+const CAPTION_PROMPT = 'Descreva esta figura extraída de um documento para que ela possa ser encontrada por busca. ' +
+  'Diga o tipo (foto, gráfico, diagrama, tabela, logotipo...), o que ela mostra e, para gráficos, ' +
+  'os eixos, as séries, os valores legíveis e a tendência principal. ' +
+  'Use no máximo 120 palavras, sem introduções.';
+
+/**
+ * Read a blob as a `data:` URL
+ * @param {Blob} blob - Image
+ * @returns {Promise<string>} Data URL
+ */
+const blobToDataURL = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${blob.type || 'image/png'};base64,${btoa(binary)}`;
+};
+
+/**
+ * Captioner backed by a vision-capable OpenAI chat model
+ */
+export class OpenAICaptioner {
+  /**
+   * @param {Object} openai - OpenAI client
+   * @param {Object} [options]
+   * @param {string} [options.model] - Chat model with image input
+   * @param {number} [options.maxTokens] - Longest caption
+   */
+  constructor(openai, { model = FIGURE_CONFIG.CAPTION_MODEL, maxTokens = FIGURE_CONFIG.CAPTION_MAX_TOKENS } = {}) {
+    this.id = 'openai';
+    this.openai = openai;
+    this.model = model;
+    this.maxTokens = maxTokens;
+  }
+
+  /**
+   * Describe a figure
+   * @param {Blob} image - Figure image
+   * @param {CaptionContext} context - Where the figure comes from
+   * @returns {Promise<{text: string}>} Caption
+   */
+  async caption(image, { pageText = '', language, signal } = {}) {
+    const { prompts } = getLanguageProfile(language) || getLanguageProfile('pt');
+    const content = [
+      { type: 'text', text: `${CAPTION_PROMPT} ${prompts.caption}.` },
+      { type: 'image_url', image_url: { url: await blobToDataURL(image), detail: 'low' } }
+    ];
+    if (pageText) {
+      content.push({ type: 'text', text: `Texto da página onde a figura aparece:\n${pageText.slice(0, 1500)}` });
+    }
+
+    const response = await this.openai.chat.completions.create({
+      model: this.model,
+      messages: [{ role: 'user', content }],
+      max_tokens: this.maxTokens,
+      temperature: 0
+    }, { signal });
+
+    return { text: response.choices[0]?.message?.content?.trim() || '' };
+  }
+}
+
+/**
+ * Offline captioner: describes the figure from its position and size only
+ */
+export class StubCaptioner {
+  constructor() {
+    this.id = 'stub';
+  }
+
+  /**
+   * @param {Blob} image - Figure image
+   * @param {CaptionContext} context - Where the figure comes from
+   * @returns {Promise<{text: string}>} Deterministic caption
+   */
+  async caption(image, { pageNumber, bbox }) {
+    const [x0, y0, x1, y1] = bbox;
+    return {
+      text: `Figura na página ${pageNumber} (${Math.round(x1 - x0)}×${Math.round(y1 - y0)} pt, ` +
+        `posição ${Math.round(x0)},${Math.round(y0)}; imagem de ${image?.size || 0} bytes)`
+    };
+  }
+}
+
+/**
+ * Create a captioner by name
+ * @param {'openai'|'stub'} type - Captioner kind
+ * @param {Object} [options]
+ * @param {Object} [options.openai] - OpenAI client (required for `openai`)
+ * @param {string} [options.model] - Chat model for `openai`
+ * @returns {OpenAICaptioner|StubCaptioner} Captioner
+ * @throws {Error} For unknown kinds or a missing client
+ */
+export const createCaptioner = (type, { openai, model } = {}) => {
+  switch (type) {
+    case 'openai':
+      if (!openai) {
+        throw new Error('Cliente OpenAI necessário para legendar figuras');
+      }
+      return new OpenAICaptioner(openai, { model });
+    case 'stub':
+      return new StubCaptioner();
+    default:
+      throw new Error(`Legendador desconhecido: ${type}`);
+  }
+};
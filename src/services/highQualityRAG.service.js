@@ -1,7 +1,26 @@
 import OpenAI from 'openai';
-import { create, insert, search, save, load } from '@orama/orama';
+import { create, insert, remove, getByID, search, save, load } from '@orama/orama';
+import { ConfigService } from './config.service.js';
+import { createPDFWorkerService } from './pdfWorker.service.js';
+import { createCaptioner } from './captioning.service.js';
+import { createReranker, completeRanking } from './reranking.service.js';
+import { createChatModel, rewriteQuery as rewriteWithMode } from './queryRewriting.service.js';
+import { createVectorStore, ExactVectorStore, QuantizedVectorStore } from './vectorStore.service.js';
+import { IngestionJob } from '../utils/ingestionJob.js';
 import { SimpleTextSplitter } from '../utils/textSplitter.js';
-import { ConfigService } from './config.service';
+import { getChunkingStrategy } from '../utils/chunkingStrategies.js';
+import { chunkDocument } from '../utils/documentStream.js';
+import { getLoaderForFile } from '../loaders/index.js';
+import { detectLanguage, dominantLanguage, getLanguageProfile, UNKNOWN_LANGUAGE } from '../utils/language.js';
+import { countTokens, loadEncoder, truncateToTokens, EMBEDDING_MAX_TOKENS } from '../utils/tokenizer.js';
+import { joinSpans, spansOverlap } from '../utils/contextWindow.js';
+import { fuseRankings } from '../utils/rankFusion.js';
+import { diversify } from '../utils/mmr.js';
+import { cosineSimilarity } from '../utils/vectors.js';
+import { buildWhere, matchesFilters, sectionAncestors } from '../utils/searchFilters.js';
+import { assessConfidence, calibrate, fixedCalibration } from '../utils/scoreCalibration.js';
+import { MATRYOSHKA_DIMENSIONS, truncateEmbedding } from '../utils/quantization.js';
+import { benchmarkStore } from '../utils/vectorBenchmark.js';
 
 export class HighQualityRAGService {
   constructor() {
@@ -12,27 +31,88 @@ export class HighQualityRAGService {
     // Configurações otimizadas para qualidade máxima
     this.config = {
       embeddingModel: 'text-embedding-3-large',
-      embeddingDimensions: 3072,
+      embeddingDimensions: 3072, // Dimensões pedidas à API
+      truncateDimensions: null, // Matryoshka: 256, 512 ou 1024 cortam e renormalizam cada embedding antes de guardá-lo (menos memória e exportação); null guarda o vetor completo
       chatModel: 'gpt-4o-mini', // Updated to current available model
       chunkSize: 800,
       chunkOverlap: 200,
+      childChunkSize: 200, // Chunks filhos (em tokens) embutidos no lugar de cada chunk; 0 desativa
+      childChunkOverlap: 0,
+      retrievalMode: 'parent', // 'parent' devolve a seção (chunk pai) de cada filho encontrado; 'chunk' devolve o próprio trecho
       temperature: 0.2,
       maxTokens: 4000,
       topK: 10,
-      similarityThreshold: 0.7,
+      similarityThreshold: 0.7, // Corte fixo da similaridade, usado enquanto o índice não é calibrado
+      calibrationQueries: 20, // Consultas de amostra da calibração do corte (ver calibrateThreshold)
+      calibrationQuantile: 0.9, // Parte das similaridades de trechos não relacionados que o corte deve superar
+      autoCalibrate: true, // Recalibrar o corte depois de ingerir ou importar documentos
+      vectorStore: 'orama', // Índice vetorial: 'orama', 'exact' (exato, para poucos milhares de chunks), 'quantized' ou 'hnsw' (ver setVectorStore)
+      quantization: { mode: 'int8', dimensions: 512, oversample: 4, rescore: true }, // Índice 'quantized': guarda só códigos int8 ou binários dos primeiros `dimensions` valores. Com rescore, os vetores completos ficam em memória (fora dos documentos e da exportação) e os limit × oversample melhores candidatos são reavaliados com eles; sem eles (ou depois de importar), valem as notas dos códigos, e a confiança e o MMR usam vetores reconstruídos dos códigos
+      searchMode: 'hybrid', // 'vector', 'fulltext' (BM25) ou 'hybrid' (as duas em paralelo, fundidas)
+      fusionMethod: 'rrf', // Fusão da busca híbrida: 'rrf' ou 'weighted' (ver FUSION_METHODS)
+      fusionOptions: { k: 60, weights: { vector: 1, fulltext: 1 } },
+      mmrLambda: 0.7, // MMR: peso da relevância contra a diversidade dos resultados (1 = só relevância)
+      duplicateThreshold: 0.95, // Similaridade a partir da qual dois resultados contam como quase duplicados
+      contextWindow: 1, // Chunks vizinhos incluídos de cada lado de um resultado (includeContext)
+      contextMaxTokens: 1500, // Tamanho máximo de um resultado expandido com os vizinhos
       batchSize: 5,
       maxRetries: 3,
-      retryDelay: 1000
+      retryDelay: 1000,
+      extractionStrategy: 'heuristic', // Estratégia de extração de texto do PDF (ver EXTRACTION_STRATEGIES)
+      chunkingStrategy: 'recursive', // Estratégia de divisão em chunks (ver CHUNKING_STRATEGIES)
+      stripBoilerplate: true, // Remover cabeçalhos, rodapés e números de página repetidos
+      captionFigures: true, // Descrever figuras dos PDFs com um modelo de visão e indexá-las
+      captioner: 'openai', // Legendador de figuras: 'openai' ou 'stub' (offline, para testes)
+      reranker: 'llm', // Reranker dos resultados: 'llm' (notas estruturadas) ou 'lexical' (offline: termos + MMR)
+      queryMode: 'none', // Reescrita da pergunta: 'none', 'multi-query', 'hyde' ou 'decompose' (ver QUERY_MODES)
+      queryRewriteCount: 3, // Paráfrases geradas no modo 'multi-query'
+      queryModel: 'openai', // Modelo da reescrita: 'openai' ou 'mock' (offline, para testes)
+      defaultLanguage: 'pt', // Idioma das respostas quando o da pergunta não é reconhecido
+      debug: false, // Registrar no console o texto extraído de cada página e do documento (com o total de chunks e os cabeçalhos/rodapés removidos), os duplicados suprimidos pelo MMR e as calibrações
+      debugLayout: false // Registrar no console os blocos de layout detectados por página
     };
 
-    this.splitter = new SimpleTextSplitter({
+    // Opções do SimpleTextSplitter, aplicadas pelo loader de cada formato
+    this.splitterOptions = {
       chunkSize: this.config.chunkSize,
       chunkOverlap: this.config.chunkOverlap,
-      separators: ["\n\n", "\n", ". ", "! ", "? ", "; ", ": ", " "]
-    });
+      strategy: this.config.chunkingStrategy,
+      model: this.config.embeddingModel, // Tamanho dos chunks em tokens do modelo de embeddings
+      language: 'auto', // Separadores e contagem de tokens conforme o idioma de cada trecho
+      // Small-to-big: cada chunk também é cortado em filhos menores, que são os embutidos
+      children: this.config.childChunkSize > 0
+        ? { chunkSize: this.config.childChunkSize, chunkOverlap: this.config.childChunkOverlap }
+        : null
+    };
+    
+    this.pdfWorker = createPDFWorkerService();
     
     // Cache de embeddings para evitar reprocessamento
     this.embeddingCache = new Map();
+    
+    // Legendador de figuras (criado sob demanda, ver getCaptioner)
+    this.captioner = null;
+    
+    // Rerankers por nome (criados sob demanda, ver getReranker)
+    this.rerankers = new Map();
+    
+    // Modelo de chat da reescrita de perguntas (criado sob demanda, ver getQueryModel)
+    this.queryModel = null;
+    
+    // Índice vetorial da busca (criado sob demanda, ver getVectorStore)
+    this.vectorStore = null;
+    
+    // Vetores completos da reavaliação do índice quantizado, por id: só em memória
+    this.rescoreVectors = null;
+    
+    // Corte de similaridade calibrado para este índice (ver calibrateThreshold)
+    this.calibration = null;
+    
+    // Buscas feitas e resultados quase duplicados suprimidos pelo MMR
+    this.retrievalStats = { searches: 0, suppressedDuplicates: 0 };
+    
+    // Cabeçalhos/rodapés removidos na ingestão, por documento
+    this.boilerplateReports = new Map();
   }
 
   async initialize() {
@@ -55,20 +135,14 @@ export class HighQualityRAGService {
         throw new Error(`Erro na API OpenAI: ${apiError.message}`);
       }
 
-      // Criar banco vetorial otimizado
-      this.db = await create({
-        schema: {
-          id: 'string',
-          text: 'string',
-          embedding: `vector[${this.config.embeddingDimensions}]`,
-          pageNumber: 'number',
-          source: 'string', 
-          chunkIndex: 'number',
-          totalTokens: 'number',
-          importance: 'number',
-          hash: 'string'
-        }
-      });
+      this.validateTruncateDimensions(this.config.truncateDimensions);
+
+      // Vocabulários dos modelos usados: sem eles, as contagens de tokens são estimadas
+      await Promise.all([loadEncoder(this.config.embeddingModel), loadEncoder(this.config.chatModel)]);
+
+      this.db = await this.createDatabase();
+      this.getVectorStore().clear();
+      this.rescoreVectors?.clear();
 
       this.initialized = true;
     } catch (error) {
@@ -77,127 +151,427 @@ export class HighQualityRAGService {
     }
   }
 
-  // Processar PDF
-  async processPDF(file, onProgress) {
+  // Criar banco vetorial otimizado (o esquema depende do índice vetorial e da dimensão dos vetores)
+  createDatabase() {
+    return create({
+      schema: {
+        id: 'string',
+        text: 'string',
+        // Com outro índice vetorial o Orama não indexa os vetores: ficam só nos documentos
+        ...(this.config.vectorStore === 'orama' && { embedding: `vector[${this.vectorDimensions()}]` }),
+        pageNumber: 'number',
+        pageStart: 'number',
+        pageEnd: 'number',
+        charStart: 'number',
+        charEnd: 'number',
+        // Campos enum: filtros exatos (where) e facetas; 'string' casaria por termos
+        source: 'enum',
+        sectionPath: 'string',
+        sections: 'enum[]', // A seção e as que a contêm, para filtrar por seção com subseções
+        language: 'enum',
+        type: 'enum',
+        role: 'enum',
+        parentId: 'string',
+        bbox: 'number[]',
+        chunkIndex: 'number',
+        childIndex: 'number',
+        totalTokens: 'number',
+        importance: 'number',
+        hash: 'string',
+        ocr: 'boolean',
+        ocrConfidence: 'number'
+      }
+    });
+  }
+
+  // Legendador de figuras configurado (ou o definido com setCaptioner)
+  getCaptioner() {
+    if (!this.captioner) {
+      this.captioner = createCaptioner(this.config.captioner, { openai: this.openai });
+    }
+    return this.captioner;
+  }
+
+  // Usar um legendador próprio: qualquer objeto com caption(image, context) => { text }
+  setCaptioner(captioner) {
+    this.captioner = captioner;
+  }
+
+  // Reranker pelo nome (ou o próprio objeto, se já for um reranker)
+  getReranker(reranker = this.config.reranker) {
+    if (typeof reranker === 'object') {
+      return reranker;
+    }
+    if (!this.rerankers.has(reranker)) {
+      this.rerankers.set(reranker, createReranker(reranker, { openai: this.openai }));
+    }
+    return this.rerankers.get(reranker);
+  }
+
+  // Usar um reranker próprio por padrão: qualquer objeto com id e rerank(query, passages) => [{ index, score }]
+  setReranker(reranker) {
+    this.rerankers.set(reranker.id, reranker);
+    this.config.reranker = reranker.id;
+  }
+
+  // Modelo de chat configurado para reescrever perguntas (ou o definido com setQueryModel)
+  getQueryModel() {
+    if (!this.queryModel) {
+      this.queryModel = createChatModel(this.config.queryModel, { openai: this.openai, model: this.config.chatModel });
+    }
+    return this.queryModel;
+  }
+
+  // Usar um modelo próprio na reescrita: qualquer objeto com complete(messages, { task }) => texto
+  setQueryModel(queryModel) {
+    this.queryModel = queryModel;
+  }
+
+  // Índice vetorial configurado (ou o definido com setVectorStore)
+  getVectorStore() {
+    if (!this.vectorStore) {
+      this.rescoreVectors = this.config.vectorStore === 'quantized' && this.config.quantization.rescore ? new Map() : null;
+      this.vectorStore = createVectorStore(this.config.vectorStore, {
+        getDb: () => this.db,
+        quantization: this.config.quantization,
+        rescoreVectors: this.rescoreVectors
+      });
+    }
+    return this.vectorStore;
+  }
+
+  // Usar outro índice vetorial, já preenchido com os embeddings guardados. O HNSW precisa do
+  // hnswlib-node, que só carrega no Node: createVectorStore('hnsw', { hnswlib })
+  async setVectorStore(vectorStore) {
+    await this.rebuildVectorStore(vectorStore);
+    this.vectorStore = vectorStore;
+  }
+
+  // Criar job de ingestão que pode ser pausado, cancelado e retomado
+  createIngestionJob(file, options = {}) {
+    return new IngestionJob(file, options);
+  }
+
+  // Processar documento (PDF, DOCX, Markdown, HTML, EPUB ou texto).
+  // Passar o mesmo `job` novamente retoma a partir do checkpoint.
+  async processDocument(file, onProgress, { job = new IngestionJob(file) } = {}) {
     if (!this.initialized) {
       await this.initialize();
     }
 
+    job.start();
+
     try {
       const startTime = Date.now();
-      const arrayBuffer = await file.arrayBuffer();
       
-      // Dynamic import para evitar erro se pdfjs não estiver disponível
-      const pdfjsLib = await import('pdfjs-dist');
-      pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@5.3.31/build/pdf.worker.min.mjs';
+      // Checkpoint: a extração só roda na primeira execução do job
+      if (!job.chunks) {
+        const { totalPages, chunks, sections, boilerplate } = await this.extractChunks(file, onProgress, job);
+        job.totalPages = totalPages;
+        job.sections = sections;
+        job.boilerplate = boilerplate;
+        job.chunks = chunks;
+      }
+      
+      const allChunks = job.chunks;
       
-      const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-      const totalPages = pdf.numPages;
-      const allChunks = [];
+      // Process embeddings
+      await this.generateAndStoreEmbeddings(allChunks, file.name, onProgress, job);
       
-      // Process pages in batches
-      const PAGES_PER_BATCH = 3; // Menor para evitar travar a UI
+      this.boilerplateReports.set(file.name, job.boilerplate);
       
-      for (let startPage = 1; startPage <= totalPages; startPage += PAGES_PER_BATCH) {
-        const endPage = Math.min(startPage + PAGES_PER_BATCH - 1, totalPages);
-        
-        for (let pageNum = startPage; pageNum <= endPage; pageNum++) {
-          const page = await pdf.getPage(pageNum);
-          const textContent = await page.getTextContent();
-          
-          // Enhanced text reconstruction with proper spacing
-          const pageText = this.reconstructPageText(textContent);
-          
-          // Log do texto extraído da página
-          console.log(`📄 Texto extraído da página ${pageNum}:`, pageText);
-          
-          if (pageText) {
-            const chunks = await this.splitter.splitText(pageText);
-            
-            chunks.forEach((chunkData, index) => {
-              // Handle both string and object chunks
-              const chunkText = typeof chunkData === 'string' ? chunkData : chunkData.text;
-              
-              if (!chunkText || typeof chunkText !== 'string') {
-                console.warn('Invalid chunk detected:', chunkData);
-                return;
-              }
-              
-              const hash = this.generateHash(chunkText);
-              
-              allChunks.push({
-                text: chunkText,
-                metadata: {
-                  pageNumber: pageNum,
-                  chunkIndex: index,
-                  source: file.name,
-                  totalTokens: this.estimateTokens(chunkText),
-                  importance: this.calculateImportance(chunkText, pageNum, totalPages),
-                  hash: hash
-                }
-              });
-            });
-          }
-          
-          page.cleanup();
+      // O índice mudou: o corte calibrado pode não valer mais
+      if (this.config.autoCalibrate) {
+        await this.calibrateThreshold().catch(error => console.warn('Calibration failed, keeping the previous threshold:', error));
+      }
+      job.complete();
+      
+      const processingTime = Date.now() - startTime;
+      return {
+        success: true,
+        documentName: file.name,
+        totalPages: job.totalPages,
+        totalChunks: allChunks.length,
+        sections: job.sections,
+        boilerplate: job.boilerplate,
+        processingTime: processingTime,
+        estimatedCost: this.estimateCost(allChunks
+          .filter(chunk => this.isEmbedded(chunk.metadata))
+          .reduce((sum, chunk) => sum + chunk.metadata.totalTokens, 0))
+      };
+    } catch (error) {
+      job.fail(error);
+      if (error.name === 'AbortError' || job.signal.aborted) {
+        throw error;
+      }
+      throw new Error(`Erro no processamento do documento: ${error.message}`);
+    }
+  }
+
+  // Extrair e dividir o documento em chunks com o loader do formato. A extração não para
+  // no meio (roda no worker ou no loader); a pausa vale depois dela e antes de cada figura
+  async extractChunks(file, onProgress, job = new IngestionJob(file)) {
+    const { signal } = job;
+    const loader = getLoaderForFile(file);
+    if (!loader) {
+      throw new Error(`Formato não suportado: ${file.name}`);
+    }
+    
+    // Estratégias que precisam de embeddings rodam aqui, não no worker nem no loader
+    const chunkOnMainThread = getChunkingStrategy(this.splitterOptions.strategy).needsEmbeddings;
+    
+    const { totalPages, pages, chunks: loadedChunks = [], sections, boilerplate = [] } = await loader.load(file, {
+      pdfWorker: this.pdfWorker,
+      strategy: this.config.extractionStrategy,
+      splitter: chunkOnMainThread ? null : this.splitterOptions,
+      ocr: true,
+      sections: true,
+      boilerplate: this.config.stripBoilerplate,
+      figures: this.config.captionFigures,
+      debugLayout: this.config.debugLayout,
+      signal,
+      onProgress: ({ current, total }) => {
+        onProgress?.({
+          phase: 'extraction',
+          current: current,
+          total: total,
+          percentage: (current / total) * 30, // 0-30%
+          message: `Extraindo texto (${loader.label}): ${current}/${total}`
+        });
+      }
+    });
+    
+    // Aguarda se pausado e interrompe se cancelado
+    await job.checkpoint();
+    
+    let chunks = loadedChunks;
+    if (chunkOnMainThread) {
+      onProgress?.({
+        phase: 'chunking',
+        current: 0,
+        total: totalPages,
+        percentage: 30,
+        message: 'Dividindo o documento em chunks'
+      });
+      const splitter = new SimpleTextSplitter({
+        ...this.splitterOptions,
+        embed: texts => this.generateEmbeddingsBatch(texts, { signal })
+      });
+      chunks = await chunkDocument(pages, splitter);
+    }
+    
+    const allChunks = [];
+    let removedLines = 0;
+    const pagesByNumber = new Map(pages.map(page => [page.pageNumber, page]));
+    
+    pages.forEach(({ pageNumber, text, ocr, ocrConfidence, boilerplateLines = 0, layout }) => {
+      removedLines += boilerplateLines;
+      // Log do texto extraído da página
+      if (this.config.debug) {
+        console.log(`📄 Texto extraído da página ${pageNumber}${ocr === true ? ` (OCR, confiança ${ocrConfidence}%)` : ''}:`, text);
+      }
+      if (layout) {
+        console.log(`🧩 Layout da página ${pageNumber}:`, layout);
+      }
+    });
+    
+    // Metadados de um trecho do documento: as páginas que ele cobre definem OCR e confiança
+    const spanMetadata = ({ text: spanText, start, end, pageStart, pageEnd }) => {
+      const coveredPages = [];
+      for (let number = pageStart; number <= pageEnd; number++) {
+        if (pagesByNumber.has(number)) coveredPages.push(pagesByNumber.get(number));
+      }
+      const ocrPages = coveredPages.filter(page => page.ocr === true);
+      return {
+        pageNumber: pageStart,
+        pageStart: pageStart,
+        pageEnd: pageEnd,
+        charStart: start,
+        charEnd: end,
+        totalTokens: this.estimateTokens(spanText),
+        hash: this.generateHash(spanText),
+        ocr: ocrPages.length > 0,
+        ...(ocrPages.length > 0 && { ocrConfidence: Math.min(...ocrPages.map(page => page.ocrConfidence)) })
+      };
+    };
+    
+    // Chunks do documento inteiro: podem começar numa página e terminar em outra
+    chunks.forEach((chunk, index) => {
+      const { text: chunkText, sectionPath, startsSection, language, pageStart, children = [] } = chunk;
+      // Trechos curtos demais para detectar o idioma herdam o da página
+      const chunkLanguage = language && language !== UNKNOWN_LANGUAGE
+        ? language
+        : pagesByNumber.get(pageStart)?.language || UNKNOWN_LANGUAGE;
+      const importance = this.calculateImportance(chunkText, pageStart, totalPages, { startsSection });
+      
+      // Com filhos, o chunk vira pai: guardado sem embedding, só para ser devolvido no lugar deles
+      allChunks.push({
+        text: chunkText,
+        metadata: {
+          type: 'text',
+          role: children.length > 0 ? 'parent' : 'chunk',
+          ...spanMetadata(chunk),
+          chunkIndex: index,
+          source: file.name,
+          sectionPath: sectionPath,
+          language: chunkLanguage,
+          importance: importance
         }
+      });
+      
+      const parentId = this.getChunkId(file.name, index);
+      children.forEach((child, childIndex) => {
+        allChunks.push({
+          text: child.text,
+          metadata: {
+            type: 'text',
+            role: 'child',
+            parentId: parentId,
+            ...spanMetadata(child),
+            chunkIndex: index,
+            childIndex: childIndex,
+            source: file.name,
+            sectionPath: sectionPath,
+            language: chunkLanguage,
+            importance: importance
+          }
+        });
+      });
+    });
+    
+    // Figuras: legendadas e indexadas como chunks do tipo "figure"
+    const totalFigures = pages.reduce((sum, page) => sum + (page.figures?.length || 0), 0);
+    let captionedFigures = 0;
+    
+    for (const { pageNumber, text, language: pageLanguage = UNKNOWN_LANGUAGE, figures = [] } of pages) {
+      // Seção em vigor na página: a do último chunk que começa nela ou antes
+      const sectionPath = chunks.filter(chunk => chunk.pageStart <= pageNumber).pop()?.sectionPath || '';
+      
+      for (const { bbox, image } of figures) {
+        await job.checkpoint();
         
         onProgress?.({
-          phase: 'extraction',
-          current: endPage,
-          total: totalPages,
-          percentage: (endPage / totalPages) * 40,
-          message: `Extraindo texto: ${endPage}/${totalPages} páginas`
+          phase: 'captioning',
+          current: captionedFigures + 1,
+          total: totalFigures,
+          percentage: 30 + (captionedFigures / totalFigures) * 10, // 30-40%
+          message: `Descrevendo figuras: ${captionedFigures + 1}/${totalFigures}`
         });
+        captionedFigures++;
+        
+        let caption;
+        try {
+          caption = await this.getCaptioner().caption(image, { pageNumber, bbox, pageText: text, language: pageLanguage, signal });
+        } catch (error) {
+          if (error.name === 'AbortError' || signal?.aborted) throw error;
+          console.warn(`Falha ao descrever figura da página ${pageNumber}:`, error);
+          continue;
+        }
+        if (!caption.text) continue;
         
-        // Yield to main thread
-        await new Promise(resolve => setTimeout(resolve, 0));
+        const figureText = `[${this.getPrompts(pageLanguage).figure}] ${caption.text}`;
+        allChunks.push({
+          text: figureText,
+          metadata: {
+            type: 'figure',
+            role: 'chunk',
+            bbox: bbox,
+            pageNumber: pageNumber,
+            pageStart: pageNumber,
+            pageEnd: pageNumber,
+            // Sem posição no texto; o índice continua depois dos chunks de texto
+            chunkIndex: chunks.length + captionedFigures - 1,
+            source: file.name,
+            sectionPath: sectionPath,
+            language: pageLanguage,
+            totalTokens: this.estimateTokens(figureText),
+            importance: this.calculateImportance(figureText, pageNumber, totalPages),
+            hash: this.generateHash(figureText),
+            ocr: false
+          }
+        });
       }
-      
-      // Log do texto completo extraído
-      const fullText = allChunks.map(chunk => chunk.text).join('\n\n');
-      console.log('📄 TEXTO COMPLETO DO PDF EXTRAÍDO:');
+    }
+    
+    // Log do texto completo extraído (os filhos repetem o texto dos pais)
+    if (this.config.debug) {
+      const fullText = allChunks.filter(chunk => chunk.metadata.role !== 'child').map(chunk => chunk.text).join('\n\n');
+      console.log('📄 TEXTO COMPLETO DO DOCUMENTO EXTRAÍDO:');
       console.log('=====================================');
       console.log(fullText);
       console.log('=====================================');
-      console.log(`Total de chunks: ${allChunks.length}`);
+      console.log(`Total de chunks: ${allChunks.length} (${allChunks.filter(chunk => chunk.metadata.role === 'child').length} filhos)`);
+    }
+    if (this.config.debug && boilerplate.length > 0) {
+      console.log(`🧹 ${removedLines} linhas repetidas removidas (cabeçalhos/rodapés):`, boilerplate);
+    }
+    
+    return { totalPages, chunks: allChunks, sections, boilerplate: { patterns: boilerplate, removedLines } };
+  }
+
+  // ID estável de um chunk no índice (filhos acrescentam sua posição dentro do pai).
+  // O índice do chunk é único no documento, então o vizinho de um chunk tem ID conhecido
+  getChunkId(sourceName, chunkIndex, childIndex) {
+    const id = `${sourceName}_c${chunkIndex}`;
+    return childIndex === undefined ? id : `${id}_s${childIndex}`;
+  }
+
+  // Chunks pais não são embutidos: a busca vetorial encontra seus filhos
+  isEmbedded(metadata) {
+    return metadata.role !== 'parent';
+  }
+
+  // Checkpoint: registrar no job os chunks que já estão no Orama com o mesmo hash
+  // e remover versões desatualizadas, para que só os faltantes sejam gerados
+  async syncStoredChunks(chunks, sourceName, job) {
+    for (const chunk of chunks) {
+      const id = this.getChunkId(sourceName, chunk.metadata.chunkIndex, chunk.metadata.childIndex);
+      if (job.storedIds.has(id)) continue;
       
-      // Process embeddings
-      await this.generateAndStoreEmbeddings(allChunks, file.name, onProgress);
+      const stored = await getByID(this.db, id);
       
-      const processingTime = Date.now() - startTime;
-      return {
-        success: true,
-        documentName: file.name,
-        totalPages: totalPages,
-        totalChunks: allChunks.length,
-        processingTime: processingTime,
-        estimatedCost: this.estimateCost(allChunks.length)
-      };
-    } catch (error) {
-      throw new Error(`Erro no processamento do PDF: ${error.message}`);
+      if (stored?.hash === chunk.metadata.hash) {
+        job.markStored(id);
+      } else if (stored) {
+        await remove(this.db, id);
+        this.getVectorStore().remove([id]);
+        this.rescoreVectors?.delete(id);
+      }
     }
   }
 
   // Gerar e armazenar embeddings com retry e cache
-  async generateAndStoreEmbeddings(chunks, sourceName, onProgress) {
+  async generateAndStoreEmbeddings(chunks, sourceName, onProgress, job = new IngestionJob(null)) {
+    await this.syncStoredChunks(chunks, sourceName, job);
+    
+    const pendingChunks = chunks.filter(chunk =>
+      !job.storedIds.has(this.getChunkId(sourceName, chunk.metadata.chunkIndex, chunk.metadata.childIndex)));
     const totalChunks = chunks.length;
-    let processedChunks = 0;
+    let processedChunks = totalChunks - pendingChunks.length;
     
     // Processar em batches
-    for (let i = 0; i < totalChunks; i += this.config.batchSize) {
-      const batch = chunks.slice(i, i + this.config.batchSize);
+    for (let i = 0; i < pendingChunks.length; i += this.config.batchSize) {
+      // Aguarda se pausado e interrompe se cancelado
+      await job.checkpoint();
+      
+      const batch = pendingChunks.slice(i, i + this.config.batchSize);
       
       // Verificar cache primeiro
       const embeddings = await Promise.all(
         batch.map(async (chunk) => {
+          if (!this.isEmbedded(chunk.metadata)) {
+            return null;
+          }
           if (this.embeddingCache.has(chunk.metadata.hash)) {
             return this.embeddingCache.get(chunk.metadata.hash);
           }
           
           // Gerar com retry
-          const embedding = await this.generateEmbeddingWithRetry(chunk.text);
-          this.embeddingCache.set(chunk.metadata.hash, embedding);
+          const embedding = await this.generateEmbeddingWithRetry(chunk.text, 0, { signal: job.signal });
+          // O índice quantizado não guarda vetores completos, nem no cache
+          if (this.getVectorStore().id !== 'quantized') {
+            this.embeddingCache.set(chunk.metadata.hash, embedding);
+          }
           return embedding;
         })
       );
@@ -206,18 +580,40 @@ export class HighQualityRAGService {
       for (let j = 0; j < batch.length; j++) {
         const chunk = batch[j];
         const embedding = embeddings[j];
+        const id = this.getChunkId(sourceName, chunk.metadata.chunkIndex, chunk.metadata.childIndex);
         
+        const store = this.getVectorStore();
         await insert(this.db, {
-          id: `${sourceName}_p${chunk.metadata.pageNumber}_c${chunk.metadata.chunkIndex}`,
+          id: id,
           text: chunk.text,
-          embedding: embedding,
+          // O índice quantizado guarda o código no lugar do vetor
+          ...(embedding && store.id !== 'quantized' && { embedding }),
           pageNumber: chunk.metadata.pageNumber,
+          pageStart: chunk.metadata.pageStart,
+          pageEnd: chunk.metadata.pageEnd,
+          charStart: chunk.metadata.charStart,
+          charEnd: chunk.metadata.charEnd,
           source: chunk.metadata.source,
+          sectionPath: chunk.metadata.sectionPath,
+          sections: sectionAncestors(chunk.metadata.sectionPath),
+          language: chunk.metadata.language,
+          type: chunk.metadata.type,
+          role: chunk.metadata.role,
+          parentId: chunk.metadata.parentId,
+          bbox: chunk.metadata.bbox,
           chunkIndex: chunk.metadata.chunkIndex,
+          childIndex: chunk.metadata.childIndex,
           totalTokens: chunk.metadata.totalTokens,
           importance: chunk.metadata.importance,
-          hash: chunk.metadata.hash
+          hash: chunk.metadata.hash,
+          ocr: chunk.metadata.ocr,
+          ocrConfidence: chunk.metadata.ocrConfidence
         });
+        if (embedding) {
+          store.add([{ id, vector: embedding }]);
+          this.rescoreVectors?.set(id, Float32Array.from(embedding));
+        }
+        job.markStored(id);
       }
       
       processedChunks += batch.length;
@@ -231,26 +627,80 @@ export class HighQualityRAGService {
       });
       
       // Rate limiting
-      if (i + this.config.batchSize < totalChunks) {
+      if (i + this.config.batchSize < pendingChunks.length) {
         await new Promise(resolve => setTimeout(resolve, 200));
       }
     }
   }
 
+  // Cortar entradas acima do limite do modelo de embeddings (a API rejeitaria a requisição)
+  fitEmbeddingInput(text) {
+    return truncateToTokens(text, EMBEDDING_MAX_TOKENS, this.config.embeddingModel);
+  }
+
+  // Dimensão dos vetores guardados e buscados: a do truncamento ou a pedida à API
+  vectorDimensions() {
+    return this.config.truncateDimensions || this.config.embeddingDimensions;
+  }
+
+  // Conferir o truncamento: um tamanho Matryoshka que caiba nos vetores da API, ou null
+  validateTruncateDimensions(dimensions) {
+    if (dimensions == null) return;
+    const allowed = MATRYOSHKA_DIMENSIONS.filter(value => value <= this.config.embeddingDimensions);
+    if (!allowed.includes(dimensions)) {
+      throw new Error(`Truncamento para ${dimensions} dimensões inválido: use ${allowed.join(', ')} ou null`);
+    }
+  }
+
+  // Embedding como é guardado e comparado: cortado e renormalizado quando há truncateDimensions
+  fitEmbedding(embedding) {
+    const dimensions = this.config.truncateDimensions;
+    if (!dimensions || dimensions >= embedding.length) return embedding;
+    return Array.from(truncateEmbedding(embedding, dimensions));
+  }
+
+  // Gerar embeddings de vários textos por requisição (usado na divisão semântica)
+  async generateEmbeddingsBatch(texts, { signal } = {}, retries = 0) {
+    const embeddings = [];
+    try {
+      for (let i = 0; i < texts.length; i += 100) {
+        const response = await this.openai.embeddings.create({
+          model: this.config.embeddingModel,
+          input: texts.slice(i, i + 100).map(text => this.fitEmbeddingInput(text)),
+          dimensions: this.config.embeddingDimensions
+        }, { signal });
+        embeddings.push(...response.data.map(item => this.fitEmbedding(item.embedding)));
+      }
+      return embeddings;
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      if (retries < this.config.maxRetries) {
+        await new Promise(resolve => setTimeout(resolve, this.config.retryDelay * (retries + 1)));
+        return this.generateEmbeddingsBatch(texts, { signal }, retries + 1);
+      }
+      throw error;
+    }
+  }
+
   // Gerar embedding com retry automático
-  async generateEmbeddingWithRetry(text, retries = 0) {
+  async generateEmbeddingWithRetry(text, retries = 0, { signal } = {}) {
     try {
       const response = await this.openai.embeddings.create({
         model: this.config.embeddingModel,
-        input: text,
+        input: this.fitEmbeddingInput(text),
         dimensions: this.config.embeddingDimensions
-      });
+      }, { signal });
       
-      return response.data[0].embedding;
+      return this.fitEmbedding(response.data[0].embedding);
     } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
       if (retries < this.config.maxRetries) {
         await new Promise(resolve => setTimeout(resolve, this.config.retryDelay * (retries + 1)));
-        return this.generateEmbeddingWithRetry(text, retries + 1);
+        return this.generateEmbeddingWithRetry(text, retries + 1, { signal });
       }
       throw error;
     }
@@ -269,129 +719,570 @@ export class HighQualityRAGService {
 
       const {
         limit = this.config.topK,
-        threshold = this.config.similarityThreshold,
+        threshold = this.getCalibration().threshold,
         useReranking = true,
-        includeContext = true
+        reranker = this.config.reranker,
+        diversifyResults = true,
+        mmrLambda = this.config.mmrLambda,
+        includeContext = true,
+        contextWindow = this.config.contextWindow,
+        contextMaxTokens = this.config.contextMaxTokens,
+        retrievalMode = this.config.retrievalMode,
+        where: filters = {},
+        mode = this.config.searchMode,
+        fusion = this.config.fusionMethod,
+        fusionOptions = this.config.fusionOptions,
+        queryMode = this.config.queryMode,
+        rewrite = null
       } = options;
-
-      // Gerar embedding da query com cache
-      const queryHash = this.generateHash(query);
-      let queryEmbedding;
-      
-      try {
-        if (this.embeddingCache.has(queryHash)) {
-          queryEmbedding = this.embeddingCache.get(queryHash);
-        } else {
-          queryEmbedding = await this.generateEmbeddingWithRetry(query);
-          this.embeddingCache.set(queryHash, queryEmbedding);
-        }
-      } catch (embedError) {
-        throw new Error(`Erro ao gerar embedding: ${embedError.message}`);
+      const returnParents = retrievalMode === 'parent';
+      // Vários filhos podem levar ao mesmo pai: buscar mais para sobrar `limit` pais
+      const candidates = limit * (returnParents ? 4 : 2);
+      // Filtros por documento, páginas, idioma e seção (ver SearchFilters)
+      const where = buildWhere(filters);
+
+      // Pergunta reescrita (paráfrases, resposta hipotética, subperguntas) ou a original
+      const queryRewrite = rewrite || await this.rewriteQuery(query, { mode: queryMode });
+      const retrieval = { mode, candidates, threshold, where, fusion, fusionOptions };
+      const probeHits = await Promise.all(queryRewrite.probes.map(probe => this.retrieve(probe, retrieval)));
+
+      // Várias consultas: os resultados de cada uma são fundidos pela posição (RRF)
+      const hits = probeHits.length === 1
+        ? probeHits[0]
+        : fuseRankings(
+          Object.fromEntries(probeHits.map((list, index) => [index, list.map(hit => ({ id: hit.id, score: hit.score, document: hit }))])),
+          'rrf'
+        ).map(fusedHit => ({
+          ...fusedHit.document,
+          score: fusedHit.score,
+          scoring: { ...fusedHit.document.scoring, queries: Object.values(fusedHit.sources), score: fusedHit.score }
+        }));
+
+      if (hits.length === 0) {
+        return [];
       }
 
-      // Busca vetorial
-      let results;
-      try {
-        results = await search(this.db, {
-          mode: 'vector',
-          vector: {
-            value: queryEmbedding,
-            property: 'embedding'
-          },
-          limit: limit * 2,
-          threshold: threshold,
-          includeVectors: false
-        });
-      } catch (searchError) {
-        console.warn('Vector search failed, falling back to text search:', searchError);
-        // Fallback to simple text search
-        results = await search(this.db, {
-          term: query,
-          limit: limit
-        });
-      }
+      let relevantDocs = hits.map(hit => this.toSearchResult(hit.document, hit.score, hit.scoring));
 
-      if (!results || !results.hits || results.hits.length === 0) {
-        return [];
+      // Small-to-big: o filho serviu para achar o trecho exato, o LLM recebe a seção inteira
+      if (returnParents) {
+        relevantDocs = await this.resolveParents(relevantDocs);
       }
 
-      let relevantDocs = results.hits.map(hit => ({
-        text: hit.document.text,
-        score: hit.score || 0.5,
-        metadata: {
-          pageNumber: hit.document.pageNumber,
-          source: hit.document.source,
-          chunkIndex: hit.document.chunkIndex,
-          totalTokens: hit.document.totalTokens,
-          importance: hit.document.importance,
-          hash: hit.document.hash
-        }
-      }));
+      // Confiança de cada resultado, pela similaridade com as consultas (já em cache)
+      if (mode !== 'fulltext') {
+        const queryEmbeddings = await Promise.all(queryRewrite.probes.map(probe => this.embedQuery(probe.vectorText)));
+        relevantDocs = this.assessDocuments(relevantDocs, queryEmbeddings);
+      }
 
-      // Reranking com GPT (with error handling)
+      // Reranking (with error handling)
       if (useReranking && relevantDocs.length > 0) {
         try {
-          relevantDocs = await this.rerankDocuments(query, relevantDocs, limit);
+          relevantDocs = await this.rerankDocuments(query, relevantDocs, { reranker });
         } catch (rerankError) {
           console.warn('Reranking failed, using original order:', rerankError);
         }
       }
 
+      // Diversificar: a sobreposição entre chunks faz vários resultados repetirem o mesmo trecho
+      if (diversifyResults && relevantDocs.length > 1) {
+        relevantDocs = this.diversifyDocuments(relevantDocs, { lambda: mmrLambda });
+      }
+
       // Incluir contexto adjacente se solicitado
       if (includeContext) {
         try {
-          relevantDocs = await this.expandWithContext(relevantDocs);
+          relevantDocs = await this.expandWithContext(relevantDocs, { window: contextWindow, maxTokens: contextMaxTokens, filters });
         } catch (contextError) {
           console.warn('Context expansion failed:', contextError);
         }
       }
 
-      return relevantDocs.slice(0, limit);
+      this.retrievalStats.searches++;
+      // Os embeddings só serviam para o MMR
+      return relevantDocs.slice(0, limit).map(({ text, score, metadata }) => ({ text, score, metadata }));
     } catch (error) {
       console.error('Search failed:', error);
       throw new Error(`Erro na busca: ${error.message}`);
     }
   }
 
-  // Expandir com chunks adjacentes para mais contexto
-  async expandWithContext(documents) {
-    const expanded = [];
+  // Reescrever a pergunta conforme o modo; se a reescrita falhar, busca-se com a original
+  async rewriteQuery(query, { mode = this.config.queryMode } = {}) {
+    if (mode === 'none') {
+      return rewriteWithMode(query, null, 'none');
+    }
+    try {
+      return await rewriteWithMode(query, this.getQueryModel(), mode, { count: this.config.queryRewriteCount });
+    } catch (error) {
+      console.warn('Query rewriting failed, using the original query:', error);
+      return rewriteWithMode(query, null, 'none');
+    }
+  }
+
+  // Embedding de uma consulta, com cache
+  async embedQuery(text) {
+    const hash = this.generateHash(text);
+    if (!this.embeddingCache.has(hash)) {
+      try {
+        this.embeddingCache.set(hash, await this.generateEmbeddingWithRetry(text));
+      } catch (embedError) {
+        throw new Error(`Erro ao gerar embedding: ${embedError.message}`);
+      }
+    }
+    return this.embeddingCache.get(hash);
+  }
+
+  // Uma consulta: busca vetorial (com `vectorText`) e textual (com `text`) em paralelo,
+  // conforme o modo, fundidas numa lista só com o detalhamento da pontuação
+  async retrieve({ text, vectorText }, { mode, candidates, threshold, where, fusion, fusionOptions }) {
+    const queryEmbedding = mode === 'fulltext' ? null : await this.embedQuery(vectorText);
+
+    let [vectorHits, fulltextHits] = await Promise.all([
+      mode === 'fulltext' ? null : this.vectorSearch(queryEmbedding, { limit: candidates, threshold, where })
+        .catch(searchError => {
+          console.warn('Vector search failed, falling back to text search:', searchError);
+          return null;
+        }),
+      mode === 'vector' ? null : this.fulltextSearch(text, { limit: candidates, where })
+    ]);
+    if (mode === 'vector' && !vectorHits) {
+      fulltextHits = await this.fulltextSearch(text, { limit: candidates, where });
+    }
+
+    const rankings = {};
+    if (vectorHits?.length) rankings.vector = vectorHits;
+    if (fulltextHits?.length) rankings.fulltext = fulltextHits;
+    const lists = Object.keys(rankings);
+
+    if (lists.length === 0) {
+      return [];
+    }
+
+    // Só a busca vetorial: a pontuação é a similaridade; só a textual: o BM25 relativo ao melhor
+    const fused = lists.length === 1 && lists[0] === 'vector'
+      ? rankings.vector.map((hit, index) => ({ ...hit, sources: { vector: { rank: index + 1, score: hit.score } } }))
+      : fuseRankings(rankings, lists.length > 1 ? fusion : 'weighted', fusionOptions);
+
+    return fused.map(hit => ({
+      id: hit.id,
+      document: hit.document,
+      score: hit.score,
+      scoring: {
+        method: lists.length > 1 ? fusion : lists[0],
+        vector: hit.sources.vector ?? null,
+        fulltext: hit.sources.fulltext ?? null,
+        score: hit.score
+      }
+    }));
+  }
+
+  // Busca vetorial (similaridade de cosseno) nos chunks embutidos, pelo índice vetorial configurado
+  async vectorSearch(queryEmbedding, { limit, threshold, where }) {
+    const store = this.getVectorStore();
+    // O Orama aplica o `where` sozinho; os outros índices recebem os ids que passam nos filtros
+    const allowedIds = where && !store.usesWhere ? await this.matchingIds(where) : undefined;
+    const matches = await store.search(queryEmbedding, { limit, threshold, where, allowedIds });
+    
+    const hits = await Promise.all(matches.map(async ({ id, score, document }) => ({
+      id: id,
+      score: score,
+      document: document || await getByID(this.db, id)
+    })));
+    return hits.filter(hit => hit.document);
+  }
+
+  // Ids dos documentos que passam num `where` do Orama
+  async matchingIds(where) {
+    const results = await search(this.db, {
+      term: '',
+      where: where,
+      limit: 100000,
+      // Sem includeVectors o Orama apagaria os embeddings dos documentos guardados
+      includeVectors: true
+    });
+    return new Set(results.hits.map(hit => hit.id));
+  }
+
+  // Refazer um índice vetorial com os vetores guardados (depois de importar ou ao trocar de índice)
+  async rebuildVectorStore(vectorStore = this.getVectorStore()) {
+    const entries = this.db ? await this.storedVectors() : [];
+    vectorStore.clear();
+    vectorStore.add(entries);
+  }
+
+  // Vetores dos chunks embutidos: o do documento, o completo da reavaliação ou, no índice
+  // quantizado sem ele, o reconstruído do código (truncado e aproximado; fullPrecision os deixa de fora)
+  async storedVectors({ fullPrecision = false } = {}) {
+    const results = await search(this.db, { term: '', limit: 100000, includeVectors: true });
+    return results.hits
+      .filter(hit => this.isEmbedded(hit.document))
+      .map(hit => ({ id: hit.id, vector: hit.document.embedding || this.storedVector(hit.id, { fullPrecision }) }))
+      .filter(entry => entry.vector);
+  }
+
+  // Vetor de um chunk que não está no documento (índice quantizado), ou null
+  storedVector(id, { fullPrecision = false } = {}) {
+    return this.rescoreVectors?.get(id) || (!fullPrecision && this.getVectorStore().getVector?.(id)) || null;
+  }
+
+  // Busca textual (BM25): acha identificadores exatos (números de contrato, siglas) que os
+  // embeddings perdem. Pais repetem o texto dos filhos, então ficam de fora como na vetorial
+  async fulltextSearch(query, { limit, where }) {
+    const results = await search(this.db, {
+      term: query,
+      properties: ['text'],
+      where: where,
+      limit: limit * 2,
+      includeVectors: true
+    });
+    return results.hits.filter(hit => this.isEmbedded(hit.document)).slice(0, limit);
+  }
+
+  // Corte de similaridade e escala de confiança do índice: a calibração, ou o corte fixo da configuração
+  getCalibration() {
+    return this.calibration || fixedCalibration(this.config.similarityThreshold);
+  }
+
+  // Calibrar o corte com a distribuição das similaridades de trechos que não respondem a
+  // consultas de amostra. Sem `queries`, as consultas são a primeira frase de chunks espalhados
+  // pelo índice, e o fundo exclui o chunk de origem e os vizinhos (que repetem a sobreposição);
+  // com `queries`, os `expectedMatches` primeiros resultados de cada uma contam como respostas
+  async calibrateThreshold({
+    queries,
+    sampleSize = this.config.calibrationQueries,
+    quantile = this.config.calibrationQuantile,
+    expectedMatches = 3
+  } = {}) {
+    const samples = queries
+      ? queries.map(text => ({ text, origin: null }))
+      : await this.sampleQueries(sampleSize);
+    if (samples.length === 0) {
+      throw new Error('Nenhuma consulta de amostra para calibrar');
+    }
+
+    const embeddings = await this.generateEmbeddingsBatch(samples.map(sample => sample.text));
+    const background = [];
+    for (let i = 0; i < samples.length; i++) {
+      const { origin } = samples[i];
+      const hits = await this.vectorSearch(embeddings[i], { limit: 50, threshold: 0 });
+      const unrelated = origin
+        ? hits.filter(({ document }) => document.source !== origin.source || Math.abs(document.chunkIndex - origin.chunkIndex) > 1)
+        : hits.slice(expectedMatches);
+      unrelated.forEach(hit => background.push(hit.score));
+    }
+
+    this.calibration = {
+      ...calibrate(background, { quantile }),
+      queries: samples.length,
+      calibratedAt: new Date().toISOString()
+    };
+    if (this.config.debug) {
+      console.log('📏 Corte de similaridade calibrado:', this.calibration);
+    }
+    return this.calibration;
+  }
+
+  // Consultas de amostra: de até `count` chunks de texto espalhados pelo índice, a primeira frase
+  // que não é um título, cortada no tamanho de uma pergunta (frases inteiras se parecem mais com
+  // os chunks do que perguntas e puxariam o corte para cima), com a posição de origem
+  async sampleQueries(count) {
+    const results = await search(this.db, {
+      term: '',
+      where: { role: { nin: ['parent'] }, type: { eq: 'text' } },
+      limit: 10000,
+      // Sem includeVectors o Orama apagaria os embeddings dos documentos guardados
+      includeVectors: true
+    });
+    const step = Math.max(1, Math.floor(results.hits.length / count));
+
+    return results.hits
+      .filter((_, index) => index % step === 0)
+      .map(({ document }) => ({
+        text: (document.text.split(/(?<=[.!?])\s+|\n+/).find(sentence => sentence.trim().length >= 20) || '')
+          .trim().split(/\s+/).slice(0, 12).join(' '),
+        origin: { source: document.source, chunkIndex: document.chunkIndex }
+      }))
+      .filter(sample => sample.text)
+      .slice(0, count);
+  }
+
+  // Confiança de cada resultado: a maior similaridade com uma das consultas, julgada pela calibração.
+  // Vale também para os achados só pela busca textual, que trazem o embedding junto
+  assessDocuments(documents, queryEmbeddings) {
+    const calibration = this.getCalibration();
+    return documents.map(doc => {
+      if (!doc.embedding) return doc;
+      // O vetor reconstruído de um código quantizado é mais curto: comparar no mesmo tamanho
+      const similarity = Math.max(...queryEmbeddings.map(embedding =>
+        cosineSimilarity(truncateEmbedding(embedding, doc.embedding.length), doc.embedding)));
+      return { ...doc, metadata: { ...doc.metadata, confidence: assessConfidence(similarity, calibration) } };
+    });
+  }
+
+  // Confiança do melhor resultado, ou null se nenhum foi julgado
+  bestConfidence(documents) {
+    return documents.reduce((best, doc) => {
+      const confidence = doc.metadata.confidence;
+      return confidence && (!best || confidence.similarity > best.similarity) ? confidence : best;
+    }, null);
+  }
+
+  // Documento do Orama no formato de resultado da busca; `scoring` detalha
+  // a posição e a pontuação em cada busca e a pontuação final
+  toSearchResult(document, score, scoring) {
+    return {
+      text: document.text,
+      score: score,
+      embedding: document.embedding || this.storedVector(document.id),
+      metadata: {
+        ...(scoring && { scoring }),
+        id: document.id,
+        role: document.role || 'chunk',
+        parentId: document.parentId,
+        pageNumber: document.pageNumber,
+        pageStart: document.pageStart ?? document.pageNumber,
+        pageEnd: document.pageEnd ?? document.pageNumber,
+        charStart: document.charStart,
+        charEnd: document.charEnd,
+        source: document.source,
+        sectionPath: document.sectionPath,
+        language: document.language,
+        type: document.type,
+        bbox: document.bbox,
+        chunkIndex: document.chunkIndex,
+        childIndex: document.childIndex,
+        totalTokens: document.totalTokens,
+        importance: document.importance,
+        hash: document.hash,
+        ocr: document.ocr,
+        ocrConfidence: document.ocrConfidence
+      }
+    };
+  }
+
+  // Trocar cada filho pelo seu pai, sem repetir pais: fica a maior pontuação entre
+  // os filhos encontrados, e `matchedChildren` diz quais foram
+  async resolveParents(documents) {
+    const parents = new Map();
     
     for (const doc of documents) {
-      expanded.push(doc);
+      const { id, parentId, childIndex } = doc.metadata;
+      const existing = parents.get(parentId || id);
       
-      // Buscar chunks adjacentes
-      const prevChunkId = `${doc.metadata.source}_p${doc.metadata.pageNumber}_c${doc.metadata.chunkIndex - 1}`;
-      const nextChunkId = `${doc.metadata.source}_p${doc.metadata.pageNumber}_c${doc.metadata.chunkIndex + 1}`;
+      if (existing) {
+        existing.score = Math.max(existing.score, doc.score);
+        if (parentId) (existing.metadata.matchedChildren ||= []).push(childIndex);
+        continue;
+      }
       
-      // Adicionar contexto anterior/posterior se existir
-      // (implementação simplificada - em produção, fazer query no DB)
+      const parent = parentId ? await getByID(this.db, parentId) : null;
+      if (!parent) {
+        // Chunk sem filhos (ou pai ausente no índice): fica como está
+        parents.set(parentId || id, doc);
+        continue;
+      }
+      const result = this.toSearchResult(parent, doc.score, doc.metadata.scoring);
+      // Pais não têm embedding: vale o do filho que os encontrou
+      result.embedding = doc.embedding;
+      result.metadata.matchedChildren = [childIndex];
+      parents.set(parentId, result);
     }
     
-    return expanded;
+    return [...parents.values()].sort((a, b) => b.score - a.score);
+  }
+
+  // MMR com os embeddings guardados: de cada grupo de quase duplicados fica só o mais relevante,
+  // e o restante é ordenado para cobrir partes diferentes do documento
+  diversifyDocuments(documents, { lambda = this.config.mmrLambda, duplicateThreshold = this.config.duplicateThreshold } = {}) {
+    const { picks, suppressed } = diversify(
+      documents.map(doc => doc.score),
+      (i, j) => cosineSimilarity(documents[i].embedding, documents[j].embedding),
+      { lambda, duplicateThreshold }
+    );
+    
+    if (suppressed.length > 0) {
+      this.retrievalStats.suppressedDuplicates += suppressed.length;
+      if (this.config.debug) {
+        console.log(`🔁 ${suppressed.length} resultados quase duplicados suprimidos:`, suppressed.map(({ index, duplicateOf, similarity }) => ({
+          id: documents[index].metadata.id,
+          duplicateOf: documents[duplicateOf].metadata.id,
+          similarity: Number(similarity.toFixed(3))
+        })));
+      }
+    }
+    
+    return picks.map(({ index, score, redundancy }) => {
+      const doc = documents[index];
+      return {
+        ...doc,
+        metadata: { ...doc.metadata, scoring: { ...doc.metadata.scoring, mmr: score, redundancy: redundancy } }
+      };
+    });
+  }
+
+  // Expandir com chunks adjacentes para mais contexto: até `window` vizinhos de cada lado,
+  // sem repetir a sobreposição do splitter e sem passar de `maxTokens` por resultado.
+  // Resultados cujas janelas se sobrepõem viram um só. Vizinhos fora dos `filters` da busca ficam de fora
+  async expandWithContext(documents, { window = this.config.contextWindow, maxTokens = this.config.contextMaxTokens, filters = {} } = {}) {
+    const expanded = [];
+    
+    for (const doc of documents) {
+      // Figuras não têm posição no texto
+      expanded.push(doc.metadata.type === 'figure' || window <= 0
+        ? doc
+        : await this.expandDocument(doc, { window, maxTokens, filters }));
+    }
+    
+    return this.mergeWindows(expanded);
+  }
+
+  // Chunk vizinho no índice: `offset` posições antes (negativo) ou depois; filhos têm como vizinhos seus irmãos
+  async getNeighbour(metadata, offset, filters = {}) {
+    const { source, chunkIndex, childIndex } = metadata;
+    const isChild = childIndex !== undefined && childIndex !== null;
+    const index = (isChild ? childIndex : chunkIndex) + offset;
+    if (index < 0) return null;
+    
+    const neighbour = await getByID(this.db, isChild
+      ? this.getChunkId(source, chunkIndex, index)
+      : this.getChunkId(source, index));
+    return !neighbour || neighbour.type === 'figure' || !matchesFilters(neighbour, filters) ? null : neighbour;
+  }
+
+  // Juntar a um resultado os vizinhos mais próximos primeiro, alternando os lados,
+  // até acabar a janela ou o orçamento de tokens
+  async expandDocument(doc, { window, maxTokens, filters }) {
+    let span = { text: doc.text, charStart: doc.metadata.charStart, charEnd: doc.metadata.charEnd };
+    let { pageStart, pageEnd } = doc.metadata;
+    const contextChunks = [doc.metadata.childIndex ?? doc.metadata.chunkIndex];
+    const open = { [-1]: true, [1]: true };
+    
+    for (let distance = 1; distance <= window && (open[-1] || open[1]); distance++) {
+      for (const direction of [-1, 1]) {
+        if (!open[direction]) continue;
+        
+        const neighbour = await this.getNeighbour(doc.metadata, direction * distance, filters);
+        const joined = neighbour && (direction < 0 ? joinSpans(neighbour, span) : joinSpans(span, neighbour));
+        // Um lado para no primeiro vizinho ausente ou grande demais, para a janela não ter buracos
+        if (!joined || this.estimateTokens(joined.text, this.config.chatModel) > maxTokens) {
+          open[direction] = false;
+          continue;
+        }
+        
+        span = joined;
+        pageStart = Math.min(pageStart, neighbour.pageStart ?? neighbour.pageNumber);
+        pageEnd = Math.max(pageEnd, neighbour.pageEnd ?? neighbour.pageNumber);
+        contextChunks.push(neighbour.childIndex ?? neighbour.chunkIndex);
+      }
+    }
+    
+    if (contextChunks.length === 1) return doc;
+    return {
+      ...doc,
+      text: span.text,
+      metadata: {
+        ...doc.metadata,
+        charStart: span.charStart,
+        charEnd: span.charEnd,
+        pageStart: pageStart,
+        pageEnd: pageEnd,
+        totalTokens: this.estimateTokens(span.text),
+        contextChunks: contextChunks.sort((a, b) => a - b)
+      }
+    };
+  }
+
+  // Unir resultados do mesmo documento cujas janelas se sobrepõem; fica a ordem (e a pontuação) do melhor
+  mergeWindows(documents) {
+    const merged = [];
+    
+    for (const doc of documents) {
+      const span = { text: doc.text, charStart: doc.metadata.charStart, charEnd: doc.metadata.charEnd };
+      // Só trechos com posição no texto se sobrepõem (figuras não têm)
+      const target = merged.find(other => other.metadata.source === doc.metadata.source &&
+        spansOverlap({ charStart: other.metadata.charStart, charEnd: other.metadata.charEnd }, span));
+      if (!target) {
+        merged.push(doc);
+        continue;
+      }
+      
+      const targetSpan = { text: target.text, charStart: target.metadata.charStart, charEnd: target.metadata.charEnd };
+      const joined = targetSpan.charStart <= span.charStart ? joinSpans(targetSpan, span) : joinSpans(span, targetSpan);
+      target.text = joined.text;
+      target.score = Math.max(target.score, doc.score);
+      target.metadata = {
+        ...target.metadata,
+        charStart: joined.charStart,
+        charEnd: joined.charEnd,
+        pageStart: Math.min(target.metadata.pageStart, doc.metadata.pageStart),
+        pageEnd: Math.max(target.metadata.pageEnd, doc.metadata.pageEnd),
+        totalTokens: this.estimateTokens(joined.text),
+        // Fica a confiança do resultado mais parecido com a pergunta
+        ...(doc.metadata.confidence?.similarity > (target.metadata.confidence?.similarity ?? -Infinity) && {
+          confidence: doc.metadata.confidence
+        }),
+        contextChunks: [...new Set([
+          ...(target.metadata.contextChunks || [target.metadata.childIndex ?? target.metadata.chunkIndex]),
+          ...(doc.metadata.contextChunks || [doc.metadata.childIndex ?? doc.metadata.chunkIndex])
+        ])].sort((a, b) => a - b),
+        ...((target.metadata.matchedChildren || doc.metadata.matchedChildren) && {
+          matchedChildren: [...(target.metadata.matchedChildren || []), ...(doc.metadata.matchedChildren || [])]
+        })
+      };
+    }
+    
+    return merged;
   }
 
   // Gerar resposta com streaming
   async generateResponse(query, options = {}) {
     const {
-      systemPrompt = `Você é um assistente especializado que fornece respostas precisas e detalhadas baseadas no contexto fornecido. 
-      Sempre cite as páginas relevantes quando possível e seja específico nas suas respostas.
-      Se não encontrar informação suficiente no contexto, diga claramente.`,
+      systemPrompt,
+      language,
       includePageNumbers = true,
       streamResponse = true,
-      maxContextTokens = 12000
+      maxContextTokens = 12000,
+      reranker = this.config.reranker,
+      where,
+      queryMode = this.config.queryMode
     } = options;
 
+    // Reescrever a pergunta uma vez: as consultas usadas voltam na resposta
+    const queryRewrite = await this.rewriteQuery(query, { mode: queryMode });
+    const rewrite = { mode: queryRewrite.mode, queries: queryRewrite.queries };
+
     // Buscar documentos relevantes
-    const relevantDocs = await this.searchSemantic(query, {
+    const retrievedDocs = await this.searchSemantic(query, {
       useReranking: true,
-      includeContext: true
+      reranker: reranker,
+      where: where,
+      includeContext: true,
+      rewrite: queryRewrite
     });
     
+    // Com o índice calibrado, trechos abaixo do corte não sustentam uma resposta.
+    // Sem calibração não há como saber o que é fraco neste índice: usa-se tudo
+    const relevantDocs = this.getCalibration().calibrated
+      ? retrievedDocs.filter(doc => doc.metadata.confidence?.level !== 'low')
+      : retrievedDocs;
+    const confidence = this.bestConfidence(relevantDocs.length > 0 ? relevantDocs : retrievedDocs);
+    
+    // Responder no idioma da pergunta; se não for reconhecível, no idioma predominante dos trechos
+    const fallbackLanguage = dominantLanguage(retrievedDocs.map(doc => doc.metadata.language), this.config.defaultLanguage);
+    const answerLanguage = language || detectLanguage(query, { fallback: fallbackLanguage }).language;
+    const prompts = this.getPrompts(answerLanguage);
+    
     if (relevantDocs.length === 0) {
+      // Houve resultados, mas nenhum parecido o bastante: melhor dizer isso do que responder com contexto fraco
+      const noGoodMatch = retrievedDocs.length > 0;
       return {
-        answer: 'Desculpe, não encontrei informações relevantes no documento para responder sua pergunta.',
+        answer: noGoodMatch ? prompts.noGoodMatch : prompts.noResults,
         sources: [],
+        language: answerLanguage,
+        rewrite: rewrite,
+        confidence: confidence,
+        noGoodMatch: noGoodMatch,
         cached: false
       };
     }
@@ -400,21 +1291,21 @@ export class HighQualityRAGService {
     const cacheKey = `${query}_${relevantDocs.map(d => d.metadata.hash).join('_')}`;
     const cachedResponse = this.getResponseCache(cacheKey);
     if (cachedResponse) {
-      return { ...cachedResponse, cached: true };
+      return { ...cachedResponse, rewrite: rewrite, confidence: confidence, cached: true };
     }
 
     // Construir contexto otimizado
-    const context = this.buildOptimizedContext(relevantDocs, maxContextTokens);
+    const context = this.buildOptimizedContext(relevantDocs, maxContextTokens, answerLanguage);
 
     // Preparar mensagens
     const messages = [
       {
         role: 'system',
-        content: systemPrompt
+        content: systemPrompt || prompts.system
       },
       {
         role: 'user',
-        content: `Contexto do documento:\n\n${context}\n\nPergunta: ${query}\n\nPor favor, forneça uma resposta detalhada e precisa baseada no contexto acima.`
+        content: `${prompts.context}:\n\n${context}\n\n${prompts.question}: ${query}\n\n${prompts.request}`
       }
     ];
 
@@ -431,6 +1322,9 @@ export class HighQualityRAGService {
         return {
           stream: stream,
           sources: relevantDocs.map(doc => doc.metadata),
+          language: answerLanguage,
+          rewrite: rewrite,
+          confidence: confidence,
           cached: false
         };
       } else {
@@ -444,6 +1338,9 @@ export class HighQualityRAGService {
         const result = {
           answer: response.choices[0].message.content,
           sources: relevantDocs.map(doc => doc.metadata),
+          language: answerLanguage,
+          rewrite: rewrite,
+          confidence: confidence,
           usage: response.usage,
           cached: false
         };
@@ -483,73 +1380,71 @@ export class HighQualityRAGService {
     }
   }
 
-  // Reranking melhorado
-  async rerankDocuments(query, documents, topK) {
-    const prompt = `Task: Rank these text passages by relevance to the query.
-    
-Query: "${query}"
+  // Reordenar os resultados com o reranker escolhido. A nota do reranker passa a ser o score;
+  // trechos que ele não pontuou ficam no fim, sem serem descartados
+  async rerankDocuments(query, documents, { reranker = this.config.reranker } = {}) {
+    const instance = this.getReranker(reranker);
+    const ranking = await instance.rerank(query, documents.map(doc => ({ text: doc.text, score: doc.score })));
     
-Passages:
-${documents.map((doc, i) => `[${i + 1}] ${doc.text.substring(0, 300)}...`).join('\n\n')}
-    
-Return ONLY the passage numbers in order of relevance (most to least relevant), separated by commas.
-Example: 3,1,5,2,4`;
-
-    try {
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
-        messages: [{ role: 'user', content: prompt }],
-        temperature: 0,
-        max_tokens: 50
-      });
-
-      const content = response.choices[0].message.content.trim();
-      const ranking = content.split(',')
-        .map(n => parseInt(n.trim()) - 1)
-        .filter(n => !isNaN(n) && n >= 0 && n < documents.length);
-
-      if (ranking.length === 0) {
-        return documents;
-      }
+    return completeRanking(documents.length, ranking).map(({ index, score, scored }) => {
+      const doc = documents[index];
+      return {
+        ...doc,
+        score: score,
+        metadata: {
+          ...doc.metadata,
+          scoring: { ...doc.metadata.scoring, reranker: instance.id, rerank: scored ? score : null }
+        }
+      };
+    });
+  }
 
-      return ranking.map(index => documents[index]);
-    } catch (error) {
-      console.warn('Reranking falhou:', error);
-      return documents;
-    }
+  // Textos e rótulos de um idioma; sem perfil para ele, os do idioma padrão
+  getPrompts(language) {
+    return (getLanguageProfile(language) || getLanguageProfile(this.config.defaultLanguage)).prompts;
   }
 
-  // Construir contexto otimizado com metadados
-  buildOptimizedContext(documents, maxTokens) {
+  // Construir contexto otimizado com metadados, rotulado no idioma da resposta
+  buildOptimizedContext(documents, maxTokens, language = this.config.defaultLanguage) {
+    const prompts = this.getPrompts(language);
     let context = '';
     let currentTokens = 0;
 
-    // Ordenar por score * importance
-    const sorted = documents.sort((a, b) => 
-      (b.score * b.metadata.importance) - (a.score * a.metadata.importance)
-    );
-
-    for (const doc of sorted) {
-      const docTokens = doc.metadata.totalTokens;
+    // Na ordem da busca (reranker e MMR); a importância heurística não entra, porque as
+    // pontuações não são comparáveis com ela entre documentos diferentes
+    for (const doc of documents) {
+      const sectionInfo = doc.metadata.sectionPath ? ` • ${prompts.section}: ${doc.metadata.sectionPath}` : '';
+      const figureInfo = doc.metadata.type === 'figure' ? ` • ${prompts.figure}` : '';
+      const pageInfo = ` [${this.formatPageRange(doc.metadata, language)}${sectionInfo}${figureInfo}]`;
+      const relevance = doc.metadata.confidence ? doc.metadata.confidence.score : doc.score;
+      const relevanceInfo = ` [${prompts.relevance}: ${(relevance * 100).toFixed(1)}%]`;
+      
+      const entry = `${doc.text}${pageInfo}${relevanceInfo}\n\n---\n\n`;
       
-      if (currentTokens + docTokens > maxTokens) {
+      // Contar no tokenizer do modelo de chat, incluindo os rótulos, para não estourar o orçamento
+      const entryTokens = this.estimateTokens(entry, this.config.chatModel);
+      if (currentTokens + entryTokens > maxTokens) {
         break;
       }
 
-      const pageInfo = ` [Página ${doc.metadata.pageNumber}]`;
-      const relevanceInfo = ` [Relevância: ${(doc.score * 100).toFixed(1)}%]`;
-      
-      context += `${doc.text}${pageInfo}${relevanceInfo}\n\n---\n\n`;
-      currentTokens += docTokens;
+      context += entry;
+      currentTokens += entryTokens;
     }
 
     return context.trim();
   }
 
+  // "Página 3" ou "Páginas 3–4" para chunks que atravessam a quebra de página, no idioma informado
+  formatPageRange({ pageNumber, pageStart = pageNumber, pageEnd = pageStart }, language = this.config.defaultLanguage) {
+    const prompts = this.getPrompts(language);
+    return pageEnd > pageStart ? `${prompts.pages} ${pageStart}–${pageEnd}` : `${prompts.page} ${pageStart}`;
+  }
+
   // Exportar índice completo com metadados
   async exportIndex() {
     const indexData = await save(this.db);
     const stats = await this.analyzeDocument();
+    const store = this.getVectorStore();
     
     const exportData = {
       version: '2.0',
@@ -558,9 +1453,15 @@ Example: 3,1,5,2,4`;
         dimensions: this.config.embeddingDimensions,
         created: new Date().toISOString(),
         stats: stats,
-        config: this.config
+        config: this.config,
+        // Como os vetores são buscados: quem importa adota o mesmo índice (o esquema do Orama depende dele)
+        vectors: this.describeVectorStore()
       },
       index: indexData,
+      // Índice quantizado: os documentos não têm vetores, e vão os códigos
+      ...(store.id === 'quantized' && { vectorCodes: store.serialize() }),
+      calibration: this.calibration,
+      boilerplateReports: Array.from(this.boilerplateReports.entries()),
       embeddingCache: Array.from(this.embeddingCache.entries()).slice(0, 100) // Limitar tamanho
     };
 
@@ -582,48 +1483,183 @@ Example: 3,1,5,2,4`;
       throw new Error(`Índice usa ${data.metadata.dimensions} dimensões, mas o sistema está configurado para ${this.config.embeddingDimensions}`);
     }
 
-    // Carregar índice
-    this.db = await load(data.index);
+    // Vetores truncados: as consultas precisam ser cortadas no mesmo tamanho
+    const vectors = data.metadata.vectors;
+    const truncateDimensions = vectors?.truncateDimensions ?? null;
+    this.validateTruncateDimensions(truncateDimensions);
+    const storedDimensions = truncateDimensions || this.config.embeddingDimensions;
+    if (vectors && vectors.dimensions !== storedDimensions) {
+      throw new Error(`Índice guarda vetores de ${vectors.dimensions} dimensões, mas o truncamento declarado dá ${storedDimensions}`);
+    }
+    this.config.truncateDimensions = truncateDimensions;
+
+    // Índice vetorial e quantização com que o índice foi gerado; o HNSW não existe no navegador
+    if (vectors) {
+      this.config.vectorStore = vectors.store === 'hnsw' ? 'exact' : vectors.store;
+      // A reavaliação é da sessão: os vetores completos não vêm no arquivo
+      if (vectors.quantization) this.config.quantization = { ...vectors.quantization, rescore: this.config.quantization.rescore };
+      this.vectorStore = null;
+    }
+    this.rescoreVectors?.clear();
+
+    // Carregar índice num banco com o esquema adotado acima
+    this.db = await this.createDatabase();
+    load(this.db, data.index);
+    const store = this.getVectorStore();
+    if (data.vectorCodes && store.id === 'quantized') {
+      store.load(data.vectorCodes);
+    } else {
+      await this.rebuildVectorStore();
+    }
     
     // Restaurar cache de embeddings
-    if (data.embeddingCache) {
-      this.embeddingCache = new Map(data.embeddingCache);
-    }
+    this.embeddingCache = new Map(data.embeddingCache || []);
+    this.boilerplateReports = new Map(data.boilerplateReports || []);
+    this.calibration = data.calibration || null;
 
     this.initialized = true;
 
+    // Índices exportados antes da calibração
+    if (!this.calibration && this.config.autoCalibrate) {
+      await this.calibrateThreshold().catch(error => console.warn('Calibration failed, using the fixed threshold:', error));
+    }
+
     return data.metadata;
   }
 
+  // Índice vetorial em uso, com a dimensão dos vetores, o truncamento e a quantização (quando há)
+  describeVectorStore() {
+    const store = this.getVectorStore();
+    return {
+      dimensions: this.vectorDimensions(),
+      truncateDimensions: this.config.truncateDimensions,
+      store: store.id,
+      quantization: store.id === 'quantized'
+        ? { mode: store.mode.id, dimensions: store.dimensions, oversample: store.oversample, rescore: Boolean(store.rescoreVectors) }
+        : null
+    };
+  }
+
+  // Recall@k de vetores truncados (Matryoshka) e quantizados contra a busca exata em precisão total,
+  // com e sem reavaliar os candidatos. As consultas são embeddings de chunks espalhados pelo índice,
+  // então o próprio chunk conta como um dos vizinhos
+  async vectorPrecisionReport({ sampleSize = 50, k = 10, modes = ['none', 'int8', 'binary'] } = {}) {
+    if (!this.db) return [];
+
+    const entries = await this.storedVectors({ fullPrecision: true });
+    if (entries.length === 0) {
+      if (this.getVectorStore().id === 'quantized') {
+        throw new Error('O índice quantizado não tem vetores em precisão total para comparar (ative quantization.rescore e ingira os documentos)');
+      }
+      return [];
+    }
+
+    const fullDimensions = entries[0].vector.length;
+    const vectorsById = new Map(entries.map(entry => [entry.id, entry.vector]));
+    const exact = new ExactVectorStore();
+    exact.add(entries);
+
+    const step = Math.max(1, Math.floor(entries.length / sampleSize));
+    const queries = entries.filter((_, index) => index % step === 0).slice(0, sampleSize).map(entry => entry.vector);
+    const truth = await Promise.all(queries.map(async query =>
+      (await exact.search(query, { limit: k, threshold: -1 })).map(match => match.id)));
+
+    const rows = [];
+    for (const dimensions of MATRYOSHKA_DIMENSIONS.filter(value => value <= fullDimensions)) {
+      for (const mode of modes) {
+        const store = new QuantizedVectorStore({ mode, dimensions, oversample: 0, rescoreVectors: vectorsById });
+        store.add(entries);
+        const quantized = await benchmarkStore(store, { queries, truth, k });
+        store.oversample = this.config.quantization.oversample;
+        const rescored = await benchmarkStore(store, { queries, truth, k });
+        rows.push({
+          mode,
+          dimensions,
+          bytesPerVector: store.bytesPerVector(fullDimensions),
+          fullBytesPerVector: fullDimensions * 4,
+          recall: quantized.recall,
+          rescoredRecall: rescored.recall,
+          rescoredMs: rescored.meanMs
+        });
+      }
+    }
+    return rows;
+  }
+
+  // Quantos chunks há por documento, seção, idioma e tipo, já com os filtros aplicados;
+  // as seções contam também os chunks das subseções
+  async getFacets(filters = {}) {
+    if (!this.db) return null;
+
+    const results = await search(this.db, {
+      term: '',
+      where: { ...buildWhere(filters), role: { nin: ['parent'] } },
+      facets: { source: {}, sections: {}, language: {}, type: {} },
+      limit: 0
+    });
+
+    return {
+      total: results.count,
+      sources: results.facets?.source?.values || {},
+      sections: results.facets?.sections?.values || {},
+      languages: results.facets?.language?.values || {},
+      types: results.facets?.type?.values || {}
+    };
+  }
+
   // Análise detalhada do documento
   async analyzeDocument() {
     if (!this.db) return null;
 
     try {
+      // Termo vazio lista todos os documentos
       const allDocs = await search(this.db, {
-        term: '*',
-        limit: 10000
+        term: '',
+        limit: 100000,
+        // Sem includeVectors o Orama apagaria os embeddings dos documentos guardados
+        includeVectors: true
       });
 
+      // Pais não são embutidos: contam à parte, sem tokens (cobrem o mesmo texto dos filhos)
+      const embeddedHits = allDocs.hits.filter(hit => this.isEmbedded(hit.document));
+
       const stats = {
-        totalChunks: allDocs.hits.length,
+        totalChunks: embeddedHits.length,
+        parentChunks: allDocs.hits.length - embeddedHits.length,
         totalTokens: 0,
         averageChunkSize: 0,
         pagesProcessed: new Set(),
         tokenDistribution: [],
         importanceDistribution: [],
-        uniqueHashes: new Set()
+        uniqueHashes: new Set(),
+        languages: {}
       };
 
-      allDocs.hits.forEach(hit => {
+      embeddedHits.forEach(hit => {
         const doc = hit.document;
         stats.totalTokens += doc.totalTokens || 0;
-        stats.pagesProcessed.add(doc.pageNumber);
+        for (let page = doc.pageStart ?? doc.pageNumber; page <= (doc.pageEnd ?? doc.pageNumber); page++) {
+          stats.pagesProcessed.add(page);
+        }
         stats.tokenDistribution.push(doc.totalTokens || 0);
         stats.importanceDistribution.push(doc.importance || 1);
         stats.uniqueHashes.add(doc.hash);
+        const language = doc.language || UNKNOWN_LANGUAGE;
+        stats.languages[language] = (stats.languages[language] || 0) + 1;
+      });
+
+      // Cabeçalhos, rodapés e números de página removidos na ingestão
+      stats.boilerplate = { removedLines: 0, patterns: [] };
+      this.boilerplateReports.forEach((report, source) => {
+        stats.boilerplate.removedLines += report.removedLines;
+        report.patterns.forEach(pattern => stats.boilerplate.patterns.push({ ...pattern, source }));
       });
 
+      // Quase duplicados suprimidos pelo MMR nas buscas desta sessão
+      stats.retrieval = { ...this.retrievalStats };
+      stats.calibration = this.getCalibration();
+      stats.vectors = this.describeVectorStore();
+
       stats.averageChunkSize = stats.totalChunks > 0 ? Math.round(stats.totalTokens / stats.totalChunks) : 0;
       stats.pagesProcessed = stats.pagesProcessed.size;
       stats.duplicateChunks = stats.totalChunks - stats.uniqueHashes.size;
@@ -640,12 +1676,9 @@ Example: 3,1,5,2,4`;
   }
 
   // Utilitários
-  estimateTokens(text) {
-    if (!text || typeof text !== 'string') {
-      return 0;
-    }
-    // Aproximação: ~3 caracteres por token em português
-    return Math.ceil(text.length / 3);
+  // Tokens (BPE) do texto no modelo informado; por padrão o de embeddings. Estimados até o vocabulário carregar
+  estimateTokens(text, model = this.config.embeddingModel) {
+    return countTokens(text, model);
   }
 
   generateHash(text) {
@@ -662,7 +1695,7 @@ Example: 3,1,5,2,4`;
     return hash.toString(36);
   }
 
-  calculateImportance(text, pageNum, totalPages) {
+  calculateImportance(text, pageNum, totalPages, { startsSection = false } = {}) {
     // Validação de entrada
     if (!text || typeof text !== 'string') {
       console.warn('calculateImportance received invalid text:', typeof text, text);
@@ -683,8 +1716,8 @@ Example: 3,1,5,2,4`;
       // Últimas páginas (conclusão)
       if (pageNum >= totalPages - 2) score *= 1.2;
       
-      // Títulos e subtítulos (heurística)
-      if (textStr.match(/^[A-Z\s\d.]{3,50}$/m)) score *= 1.4;
+      // Início de seção (título detectado pela fonte ou pelo sumário do PDF)
+      if (startsSection) score *= 1.4;
       
       // Parágrafos com números e dados
       const numbers = textStr.match(/\d+\.?\d*/g) || [];
@@ -717,10 +1750,8 @@ Example: 3,1,5,2,4`;
     return percentiles;
   }
 
-  estimateCost(totalChunks) {
-    const tokensPerChunk = this.config.chunkSize;
-    const totalTokens = totalChunks * tokensPerChunk;
-    
+  // Custo de embeddings para um total de tokens (a soma de totalTokens dos chunks)
+  estimateCost(totalTokens) {
     return {
       embedding: {
         model: this.config.embeddingModel,
@@ -731,93 +1762,9 @@ Example: 3,1,5,2,4`;
     };
   }
 
-  // Reconstituir texto da página com melhor qualidade
-  reconstructPageText(textContent) {
-    if (!textContent || !textContent.items || !Array.isArray(textContent.items)) {
-      return '';
-    }
-
-    const lines = {};
-    
-    // Group text items by Y position (line)
-    textContent.items.forEach(item => {
-      if (!item.transform || !item.str) return;
-      
-      const y = Math.round(item.transform[5]); // Y position
-      const x = Math.round(item.transform[4]); // X position
-      
-      if (!lines[y]) lines[y] = [];
-      lines[y].push({
-        x: x,
-        text: item.str,
-        width: item.width || 0
-      });
-    });
-    
-    // Sort lines by Y position (top to bottom)
-    const sortedLines = Object.keys(lines)
-      .sort((a, b) => b - a) // Descending (top to bottom)
-      .map(y => {
-        // Sort items in each line by X position (left to right)
-        const lineItems = lines[y].sort((a, b) => a.x - b.x);
-        
-        // Reconstruct line with proper spacing
-        let lineText = '';
-        let lastX = -1;
-        
-        lineItems.forEach((item, index) => {
-          if (index === 0) {
-            lineText = item.text;
-          } else {
-            // Calculate spacing based on X position difference
-            const spacing = item.x - (lastX + (lineItems[index - 1].width || 0));
-            
-            if (spacing > 10) { // Significant gap - add space
-              lineText += ' ' + item.text;
-            } else if (spacing > 2) { // Small gap - check if space needed
-              // Add space if previous text doesn't end with space and current doesn't start with punctuation
-              const needsSpace = !lineText.endsWith(' ') && 
-                               !item.text.match(/^[.,;:!?]/);
-              lineText += (needsSpace ? ' ' : '') + item.text;
-            } else {
-              // No significant gap - concatenate directly
-              lineText += item.text;
-            }
-          }
-          lastX = item.x;
-        });
-        
-        return lineText.trim();
-      })
-      .filter(line => line.length > 0);
-    
-    // Join lines and clean up
-    let fullText = sortedLines.join('\n');
-    
-    // Clean up common PDF extraction issues
-    fullText = fullText
-      // Fix broken words
-      .replace(/(\w)\s+(\w)/g, (match, p1, p2) => {
-        // If both are single characters, likely a broken word
-        if (p1.length === 1 && p2.length === 1) {
-          return p1 + p2;
-        }
-        return match;
-      })
-      // Fix multiple spaces
-      .replace(/\s{2,}/g, ' ')
-      // Fix line breaks in middle of words
-      .replace(/(\w)-\s*\n\s*(\w)/g, '$1$2')
-      // Fix sentence boundaries
-      .replace(/([.!?])\s*\n\s*([A-Z])/g, '$1 $2')
-      // Clean up extra whitespace
-      .trim();
-    
-    return fullText;
-  }
-
   // Limpar recursos
   cleanup() {
+    this.pdfWorker.terminate();
     this.embeddingCache.clear();
     this.responseCache.clear();
   }
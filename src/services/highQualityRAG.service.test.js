@@ -0,0 +1,195 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getByID } from '@orama/orama';
+import { HighQualityRAGService } from './highQualityRAG.service.js';
+
+const DIMENSIONS = 8;
+
+const PORTUGUESE = 'A receita líquida da empresa cresceu no exercício, puxada pelas vendas no mercado interno. O lucro operacional ficou acima da projeção feita pela diretoria no início do ano.';
+const ENGLISH = 'The company net revenue grew during the year, driven by sales in the domestic market. Operating profit was above the forecast made by the board at the start of the year.';
+
+// Toy embeddings from the first characters: enough for the index, no API
+const embed = text => Array.from({ length: DIMENSIONS }, (_, i) => (text.charCodeAt(i % text.length) % 7) + 1);
+
+// An offline service with small chunks; `children` turns on parent/child chunks
+const createService = async ({ children = null } = {}) => {
+  const service = new HighQualityRAGService();
+  Object.assign(service.config, { embeddingDimensions: DIMENSIONS, queryModel: 'mock', autoCalibrate: false, batchSize: 50 });
+  service.splitterOptions = { ...service.splitterOptions, chunkSize: 40, chunkOverlap: 0, children };
+  service.openai = {
+    embeddings: { create: async ({ input }) => ({ data: [input].flat().map(text => ({ embedding: embed(text) })) }) }
+  };
+  service.db = await service.createDatabase();
+  service.initialized = true;
+  return service;
+};
+
+// Plain text with a form feed between pages
+const textFile = (pages, name = 'relatorio.txt') => new File([pages.join('\f')], name, { type: 'text/plain' });
+
+const figure = (bbox) => ({ bbox, image: new Blob([new Uint8Array(64)]) });
+
+// What the PDF worker returns for a document whose second page has figures (one by default)
+const workerResult = (text, figures = [figure([50, 100, 250, 250])]) => ({
+  totalPages: 2,
+  pages: [
+    { pageNumber: 1, text, language: 'pt', figures: [] },
+    { pageNumber: 2, text, language: 'pt', figures }
+  ],
+  chunks: [{ text, sectionPath: 'Resultados', language: 'pt', start: 0, end: text.length, pageStart: 1, pageEnd: 1 }],
+  sections: []
+});
+
+// Let the pipeline run until it waits on something other than itself
+const settle = () => new Promise(resolve => setTimeout(resolve, 300));
+
+describe('HighQualityRAGService', () => {
+  describe('analyzeDocument', () => {
+    test('counts the chunks of every language', async () => {
+      const service = await createService();
+      await service.processDocument(textFile([PORTUGUESE, ENGLISH]));
+      const stats = await service.analyzeDocument();
+      assert.ok(stats.totalChunks > 0);
+      assert.deepEqual(Object.keys(stats.languages).sort(), ['en', 'pt']);
+      assert.equal(stats.languages.en + stats.languages.pt, stats.totalChunks);
+    });
+
+    test('counts parents apart from the embedded children', async () => {
+      const service = await createService({ children: { chunkSize: 15, chunkOverlap: 0 } });
+      service.config.retrievalMode = 'parent';
+      const { totalChunks } = await service.processDocument(textFile([PORTUGUESE, ENGLISH]));
+      const stats = await service.analyzeDocument();
+      assert.ok(stats.parentChunks > 0);
+      assert.ok(stats.totalChunks > stats.parentChunks);
+      assert.equal(stats.totalChunks + stats.parentChunks, totalChunks);
+    });
+
+    test('counts every page a chunk spans', async () => {
+      const service = await createService();
+      const chunk = (text, chunkIndex, pageStart, pageEnd) => ({
+        text,
+        metadata: {
+          type: 'text', role: 'chunk', pageNumber: pageStart, pageStart, pageEnd, chunkIndex,
+          source: 'relatorio.pdf', sectionPath: '', language: 'pt', totalTokens: 30, importance: 1, hash: `h${chunkIndex}`
+        }
+      });
+      await service.generateAndStoreEmbeddings([
+        chunk(PORTUGUESE, 0, 1, 1),
+        chunk(ENGLISH, 1, 2, 3)
+      ], 'relatorio.pdf');
+      const stats = await service.analyzeDocument();
+      assert.equal(stats.pagesProcessed, 3);
+    });
+  });
+
+  describe('figures', () => {
+    test('a figure captioned by the stub captioner is indexed on its page', async () => {
+      const service = await createService();
+      service.config.captioner = 'stub';
+      service.pdfWorker = { process: async () => workerResult(PORTUGUESE) };
+      await service.processDocument(new File(['%PDF'], 'relatorio.pdf', { type: 'application/pdf' }));
+
+      const figure = await getByID(service.db, service.getChunkId('relatorio.pdf', 1));
+      assert.match(figure.text, /^\[Figura\] Figura na página 2 \(200×150 pt/u);
+      assert.equal(figure.type, 'figure');
+      assert.deepEqual([figure.pageNumber, figure.pageStart, figure.pageEnd], [2, 2, 2]);
+      assert.deepEqual(figure.bbox, [50, 100, 250, 250]);
+      assert.equal(figure.sectionPath, 'Resultados');
+      assert.ok((await service.storedVectors()).some(({ id }) => id === figure.id));
+    });
+  });
+
+  describe('pausing', () => {
+    const embeddedTexts = (service) => {
+      const texts = [];
+      const { create } = service.openai.embeddings;
+      service.openai.embeddings.create = async (request) => {
+        texts.push(...[request.input].flat());
+        return create(request);
+      };
+      return texts;
+    };
+
+    test('a job paused between embedding batches resumes with the chunks left', async () => {
+      const service = await createService();
+      service.config.batchSize = 1;
+      const texts = embeddedTexts(service);
+      const job = service.createIngestionJob(textFile([PORTUGUESE, ENGLISH]));
+      const run = service.processDocument(job.file, ({ phase, current }) => {
+        if (phase === 'embedding' && current === 1) job.pause();
+      }, { job });
+
+      await settle();
+      assert.equal(job.status, 'paused');
+      assert.equal(texts.length, 1);
+
+      job.resume();
+      const { totalChunks } = await run;
+      assert.equal(texts.length, totalChunks);
+      assert.equal(new Set(texts).size, totalChunks);
+    });
+
+    test('a job paused while captioning holds before the next figure', async () => {
+      const service = await createService();
+      const captioned = [];
+      service.setCaptioner({
+        caption: async (image, { bbox }) => {
+          captioned.push(bbox);
+          return { text: `Figura ${captioned.length}` };
+        }
+      });
+      service.pdfWorker = { process: async () => workerResult(PORTUGUESE, [figure([0, 0, 10, 10]), figure([20, 20, 30, 30])]) };
+      const job = service.createIngestionJob(new File(['%PDF'], 'relatorio.pdf', { type: 'application/pdf' }));
+      const run = service.processDocument(job.file, ({ phase, current }) => {
+        if (phase === 'captioning' && current === 1) job.pause();
+      }, { job });
+
+      await settle();
+      assert.equal(job.status, 'paused');
+      assert.equal(captioned.length, 1);
+
+      job.resume();
+      await run;
+      assert.equal(captioned.length, 2);
+    });
+
+    test('a cancelled job restarts without embedding the chunks it stored', async () => {
+      const service = await createService();
+      service.config.batchSize = 1;
+      const texts = embeddedTexts(service);
+      const job = service.createIngestionJob(textFile([PORTUGUESE, ENGLISH]));
+      await assert.rejects(service.processDocument(job.file, ({ phase, current }) => {
+        if (phase === 'embedding' && current === 2) job.cancel();
+      }, { job }), { name: 'AbortError' });
+      assert.equal(texts.length, 2);
+
+      // Without the cache, only the job's record of stored ids avoids embedding them again
+      service.embeddingCache.clear();
+      const { totalChunks } = await service.processDocument(job.file, null, { job });
+      assert.equal(job.status, 'completed');
+      assert.equal(texts.length, totalChunks);
+      assert.equal(new Set(texts).size, totalChunks);
+    });
+  });
+
+  describe('buildOptimizedContext', () => {
+    const documents = [
+      { text: 'Receita de 2023.', score: 0.8, metadata: { pageStart: 2, pageEnd: 3, sectionPath: 'Resultados' } },
+      { text: '[Figure] Revenue chart.', score: 0.5, metadata: { pageNumber: 4, type: 'figure' } }
+    ];
+
+    test('labels pages, sections, figures and relevance in the answer language', async () => {
+      const service = await createService();
+      const context = service.buildOptimizedContext(documents, 1000, 'en');
+      assert.match(context, /Receita de 2023\. \[Pages 2–3 • Section: Resultados\] \[Relevance: 80\.0%\]/u);
+      assert.match(context, /Revenue chart\. \[Page 4 • Figure\] \[Relevance: 50\.0%\]/u);
+      assert.match(service.buildOptimizedContext(documents, 1000, 'es'), /\[Páginas 2–3 • Sección: Resultados\] \[Relevancia: 80\.0%\]/u);
+    });
+
+    test('falls back to the default language', async () => {
+      const service = await createService();
+      assert.match(service.buildOptimizedContext(documents, 1000, 'und'), /\[Páginas 2–3 • Seção: Resultados\] \[Relevância: 80\.0%\]/u);
+      assert.equal(service.formatPageRange({ pageNumber: 4 }), 'Página 4');
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Local OCR service (tesseract.js) with bundled language data
+ */
+
+import { createWorker, OEM } from 'tesseract.js';
+import { OCR_CONFIG } from '../constants';
+
+/**
+ * Directory serving the tesseract worker, core and language data shipped
+ * with the app (see vite.config.js), so OCR never downloads them at runtime.
+ * Absolute, because tesseract starts its worker from a blob URL.
+ */
+const ASSETS_URL = new URL(`${import.meta.env.BASE_URL}${OCR_CONFIG.ASSETS_PATH}/`, self.location.href).href;
+
+/**
+ * OCR service class wrapping a single, lazily created tesseract worker
+ */
+export class OCRService {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.languages] - Tesseract language codes to load
+   */
+  constructor({ languages = OCR_CONFIG.LANGUAGES } = {}) {
+    this.languages = languages;
+    this.workerPromise = null;
+  }
+
+  /**
+   * Start the tesseract worker with the bundled language data
+   * @private
+   * @returns {Promise<Object>} Tesseract worker
+   */
+  _getWorker() {
+    if (!this.workerPromise) {
+      const missing = this.languages.filter(code => !OCR_CONFIG.LANGUAGES.includes(code));
+      this.workerPromise = missing.length > 0
+        ? Promise.reject(new Error(`Dados de OCR não disponíveis para o idioma "${missing[0]}"`))
+        : createWorker(this.languages, OEM.LSTM_ONLY, {
+          workerPath: `${ASSETS_URL}worker.min.js`,
+          corePath: ASSETS_URL,
+          langPath: ASSETS_URL,
+          cacheMethod: 'none'
+        });
+
+      // Allow a later call to retry after a failed start
+      this.workerPromise.catch(() => {
+        this.workerPromise = null;
+      });
+    }
+    return this.workerPromise;
+  }
+
+  /**
+   * Recognize text in an image
+   * @param {Blob|OffscreenCanvas} image - Page image
+   * @returns {Promise<{text: string, confidence: number}>} Text and mean confidence (0-100)
+   */
+  async recognize(image) {
+    const worker = await this._getWorker();
+    const { data } = await worker.recognize(image);
+
+    return {
+      text: (data.text || '').trim(),
+      confidence: Math.round(data.confidence || 0)
+    };
+  }
+
+  /**
+   * Stop the tesseract worker
+   */
+  async terminate() {
+    if (this.workerPromise) {
+      const worker = await this.workerPromise.catch(() => null);
+      this.workerPromise = null;
+      await worker?.terminate();
+    }
+  }
+}
+
+/**
+ * Create OCR service instance
+ * @param {Object} [options] - See OCRService constructor
+ * @returns {OCRService} Service instance
+ */
+export const createOCRService = (options) => {
+  return new OCRService(options);
+};
@@ -78,16 +78,18 @@ export class OpenAIService {
   /**
    * Transcribe audio using OpenAI Whisper
    * @param {Blob} audioBlob - Audio data to transcribe
-   * @param {string} language - Language code (default: 'pt')
+   * @param {string} [language] - ISO-639-1 language code; omitted, Whisper detects it
    * @returns {Promise<string>} Transcribed text
    * @throws {Error} When transcription fails
    */
-  async transcribeAudio(audioBlob, language = 'pt') {
+  async transcribeAudio(audioBlob, language) {
     try {
       const formData = new FormData();
       formData.append('file', audioBlob, 'audio.webm');
       formData.append('model', OPENAI_CONFIG.WHISPER_MODEL);
-      formData.append('language', language);
+      if (language) {
+        formData.append('language', language);
+      }
 
       const response = await fetch(API_ENDPOINTS.OPENAI_TRANSCRIPTIONS, {
         method: 'POST',
@@ -4,43 +4,29 @@
 
 import * as pdfjsLib from 'pdfjs-dist';
 import { PDF_CONFIG, ERROR_MESSAGES } from '../constants';
+import { createPDFWorkerService } from './pdfWorker.service';
+import { validateDocumentFile } from '../utils/validation.js';
 
 // Configure PDF.js to use CDN worker
-pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@5.3.31/build/pdf.worker.min.mjs';
-
-// Dynamic import for pdf-parse to avoid build issues
-let pdfParse = null;
-const loadPdfParse = async () => {
-  if (!pdfParse) {
-    try {
-      pdfParse = (await import('pdf-parse')).default;
-    } catch (error) {
-      console.warn('pdf-parse not available, using fallback method');
-    }
-  }
-  return pdfParse;
-};
+pdfjsLib.GlobalWorkerOptions.workerSrc = PDF_CONFIG.PDFJS_WORKER_SRC;
 
 /**
  * PDF processing service class
  */
 export class PDFService {
+  constructor() {
+    this.worker = createPDFWorkerService();
+  }
+
   /**
-   * Validate PDF file before processing
+   * Validate PDF file before processing, matched by the PDF loader like every other upload
    * @param {File} file - PDF file to validate
    * @throws {Error} When file is invalid
    */
   validateFile(file) {
-    if (!file) {
-      throw new Error('No file provided');
-    }
-
-    if (file.size > PDF_CONFIG.MAX_FILE_SIZE) {
-      throw new Error(ERROR_MESSAGES.FILE_TOO_LARGE);
-    }
-
-    if (!PDF_CONFIG.ACCEPTED_TYPES.includes(file.type)) {
-      throw new Error(ERROR_MESSAGES.INVALID_FILE_TYPE);
+    const { isValid, error } = validateDocumentFile(file, { loaders: ['pdf'] });
+    if (!isValid) {
+      throw new Error(error);
     }
   }
 
@@ -48,126 +34,92 @@ export class PDFService {
    * Extract text from PDF file
    * @param {File} file - PDF file to process
    * @param {function} onProgress - Progress callback (optional)
-   * @returns {Promise<{content: string, pageCount: number, extractedAt: Date}>}
-   * @throws {Error} When extraction fails
+   * @param {Object} [options]
+   * @param {string} [options.strategy='simple'] - Text extraction strategy, see `EXTRACTION_STRATEGIES`
+   * @param {Object} [options.strategyOptions] - Overrides for the strategy's defaults
+   * @param {boolean} [options.positions=false] - Also return each page's lines with their coordinates
+   * @param {AbortSignal} [options.signal] - Cancels the extraction when aborted
+   * @param {boolean} [options.debugLayout=false] - Also return the detected layout blocks per page
+   * @returns {Promise<{content: string, pageCount: number, extractedAt: Date, strategy: string, pages: Array<{pageNumber: number, text: string, lines?: Array<Object>}>, layout?: Array<{pageNumber: number, blocks: Array}>}>}
+   * @throws {Error} When extraction fails or is cancelled
    */
-  async extractText(file, onProgress) {
+  async extractText(file, onProgress, { strategy = 'simple', strategyOptions, positions = false, signal, debugLayout = false } = {}) {
     this.validateFile(file);
 
     try {
       // Convert file to ArrayBuffer
       const arrayBuffer = await file.arrayBuffer();
       
-      // Load PDF document
-      const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-      let fullText = '';
-
-      // Extract text from each page
-      for (let i = 1; i <= pdf.numPages; i++) {
-        const page = await pdf.getPage(i);
-        const textContent = await page.getTextContent();
-        
-        // Group items by line based on Y position
-        const lines = {};
-        textContent.items.forEach(item => {
-          const y = Math.round(item.transform[5]);
-          if (!lines[y]) lines[y] = [];
-          lines[y].push(item);
-        });
-        
-        // Sort lines and concatenate text with improved spacing
-        const sortedLines = Object.keys(lines).sort((a, b) => b - a);
-        const pageText = sortedLines.map(y => {
-          const lineItems = lines[y].sort((a, b) => a.transform[4] - b.transform[4]);
-          let lineText = '';
-          
-          for (let i = 0; i < lineItems.length; i++) {
-            const item = lineItems[i];
-            if (i > 0) {
-              const prevItem = lineItems[i - 1];
-              const prevEnd = prevItem.transform[4] + prevItem.width;
-              const currentStart = item.transform[4];
-              
-              // Add space if there's a gap between items
-              if (currentStart - prevEnd > 1) {
-                lineText += ' ';
-              }
-            }
-            lineText += item.str;
+      // Extract text from each page in the PDF worker
+      const { totalPages, pages } = await this.worker.process(arrayBuffer, {
+        strategy,
+        strategyOptions,
+        positions,
+        debugLayout,
+        signal,
+        onProgress: ({ current, total }) => {
+          // Report progress if callback provided
+          if (onProgress) {
+            onProgress({
+              currentPage: current,
+              totalPages: total,
+              progress: (current / total) * 100
+            });
           }
-          
-          return lineText.trim();
-        }).filter(line => line).join('\n');
-        
-        fullText += pageText + '\n\n';
-
-        // Report progress if callback provided
-        if (onProgress) {
-          onProgress({
-            currentPage: i,
-            totalPages: pdf.numPages,
-            progress: (i / pdf.numPages) * 100
-          });
         }
-      }
+      });
 
-      const finalText = fullText.trim();
-      console.log('📄 Texto extraído do PDF:', finalText);
+      const finalText = pages.map(page => page.text).join('\n\n').trim();
+      console.log(`📄 Texto extraído do PDF (${strategy}):`, finalText);
       
-      return {
+      const result = {
         content: finalText,
-        pageCount: pdf.numPages,
-        extractedAt: new Date()
+        pageCount: totalPages,
+        extractedAt: new Date(),
+        strategy,
+        pages: pages.map(({ pageNumber, text, lines }) => ({ pageNumber, text, ...(positions && { lines }) }))
       };
+
+      if (debugLayout) {
+        result.layout = pages.map(page => ({ pageNumber: page.pageNumber, blocks: page.layout }));
+      }
+
+      return result;
     } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
       console.error('PDF text extraction failed:', error);
       throw new Error(ERROR_MESSAGES.PDF_PROCESSING);
     }
   }
 
   /**
-   * Extract text using pdf-parse (alternative method)
+   * Extract raw pdf.js text content, as the removed pdf-parse path did (no layout analysis)
+   * @deprecated Use `extractText(file, onProgress, { strategy: 'raw' })`
    * @param {File} file - PDF file to process
    * @param {Function} onProgress - Progress callback function
    * @returns {Promise<Object>} Extracted text data
    */
   async extractTextWithPdfParse(file, onProgress) {
-    const parser = await loadPdfParse();
-    if (!parser) {
-      // Fallback to original method if pdf-parse is not available
-      return this.extractText(file, onProgress);
-    }
-
-    try {
-      const arrayBuffer = await file.arrayBuffer();
-      const buffer = Buffer.from(arrayBuffer);
-      
-      const data = await parser(buffer, {
-        // Options for better text extraction
-        normalizeWhitespace: true,
-        disableCombineTextItems: false
-      });
+    return this.extractText(file, onProgress, { strategy: 'raw' });
+  }
 
-      // Call progress callback with completion
-      if (onProgress) {
-        onProgress({
-          currentPage: data.numpages,
-          totalPages: data.numpages,
-          progress: 100
-        });
-      }
+  /**
+   * Extract one page with several strategies, side by side
+   * @param {File} file - PDF file
+   * @param {number} pageNumber - Page to compare (1-based)
+   * @param {Object} [options]
+   * @param {string[]} [options.strategies] - Strategy ids; all strategies by default
+   * @param {AbortSignal} [options.signal] - Cancels the comparison when aborted
+   * @returns {Promise<{pageNumber: number, totalPages: number, lines: Array<Object>, results: Array<{strategy: string, label: string, text: string}>}>}
+   * @throws {Error} When the file is invalid or the page does not exist
+   */
+  async compareStrategies(file, pageNumber, { strategies, signal } = {}) {
+    this.validateFile(file);
 
-      console.log('📄 Texto extraído do PDF (pdf-parse):', data.text);
-      
-      return {
-        content: data.text,
-        pageCount: data.numpages,
-        extractedAt: new Date()
-      };
-    } catch (error) {
-      console.warn('pdf-parse extraction failed, falling back to pdfjs:', error);
-      return this.extractText(file, onProgress);
-    }
+    const arrayBuffer = await file.arrayBuffer();
+    return this.worker.comparePage(arrayBuffer, pageNumber, { strategies, signal });
   }
 
   /**
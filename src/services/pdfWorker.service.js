@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Main-thread client for the PDF extraction worker
+ */
+
+import { PDF_WORKER_MESSAGES } from '../constants/index.js';
+
+/**
+ * Create the error used to reject cancelled jobs
+ * @returns {Error} Error with name `AbortError`
+ */
+const createAbortError = () => {
+  const error = new Error('Processamento do PDF cancelado');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Runs PDF extraction jobs in a module worker, one promise per job
+ */
+export class PDFWorkerService {
+  constructor() {
+    this.worker = null;
+    this.jobs = new Map();
+    this.nextJobId = 1;
+  }
+
+  /**
+   * Lazily start the worker
+   * @private
+   * @returns {Worker}
+   */
+  _getWorker() {
+    if (!this.worker) {
+      this.worker = new Worker(new URL('../workers/pdf.worker.js', import.meta.url), {
+        type: 'module'
+      });
+      this.worker.onmessage = (event) => this._handleMessage(event.data);
+      this.worker.onerror = (event) => {
+        const error = new Error(event.message || 'Falha no worker de PDF');
+        this.jobs.forEach(job => job.reject(error));
+        this.jobs.clear();
+        this.terminate();
+      };
+    }
+    return this.worker;
+  }
+
+  /**
+   * Route a worker message to its job
+   * @private
+   * @param {Object} message - Worker message
+   */
+  _handleMessage({ type, jobId, data, error }) {
+    const job = this.jobs.get(jobId);
+    if (!job) return;
+
+    switch (type) {
+      case PDF_WORKER_MESSAGES.PROGRESS:
+        job.onProgress?.(data);
+        break;
+      case PDF_WORKER_MESSAGES.COMPLETE:
+        job.resolve(data);
+        break;
+      case PDF_WORKER_MESSAGES.CANCELLED:
+        job.reject(createAbortError());
+        break;
+      case PDF_WORKER_MESSAGES.ERROR:
+        job.reject(new Error(error));
+        break;
+    }
+  }
+
+  /**
+   * Extract (and optionally chunk) a PDF in the worker
+   * @param {ArrayBuffer} buffer - PDF bytes; transferred to the worker
+   * @param {Object} [options]
+   * @param {string} [options.strategy='heuristic'] - Text extraction strategy, see `EXTRACTION_STRATEGIES`
+   * @param {Object} [options.strategyOptions={}] - Overrides for the strategy's defaults
+   * @param {boolean} [options.positions=false] - Include each page's lines with their coordinates as `lines`
+   * @param {Object|null} [options.splitter=null] - SimpleTextSplitter options; null skips chunking (pages keep their `segments`)
+   * @param {boolean} [options.ocr=false] - OCR pages that have no text layer
+   * @param {boolean} [options.sections=false] - Detect headings; chunks then carry a `sectionPath`
+   * @param {boolean} [options.boilerplate=false] - Remove running headers, footers and page numbers
+   * @param {boolean} [options.figures=false] - Include each page's raster figures as `figures: [{ bbox, image }]`
+   * @param {boolean} [options.debugLayout=false] - Include detected layout blocks in each page as `layout`
+   * @param {function} [options.onProgress] - Called with `{ current, total }` after each page
+   * @param {AbortSignal} [options.signal] - Cancels the job when aborted
+   * @returns {Promise<{totalPages: number, pages: Array<{pageNumber: number, text: string, language: string, segments: Array<Object>, ocr: boolean|'failed', ocrConfidence: number|null, boilerplateLines: number, figures?: Array<{bbox: number[], image: Blob}>, lines?: Array<Object>}>, chunks: Array<{text: string, sectionPath: string, startsSection: boolean, language: string|null, start: number, end: number, pageStart: number, pageEnd: number}>, sections: Array<Object>, boilerplate: Array<{text: string, position: string, pageCount: number}>}>}
+   * @throws {Error} `AbortError` when cancelled, or the extraction error
+   */
+  process(buffer, { strategy = 'heuristic', strategyOptions = {}, positions = false, splitter = null, ocr = false, sections = false, boilerplate = false, figures = false, debugLayout = false, onProgress, signal } = {}) {
+    return this._run(PDF_WORKER_MESSAGES.PROCESS, {
+      buffer, strategy, strategyOptions, positions, splitter, ocr, sections, boilerplate, figures, debugLayout
+    }, { onProgress, signal });
+  }
+
+  /**
+   * Extract one page with several strategies, for side-by-side comparison
+   * @param {ArrayBuffer} buffer - PDF bytes; transferred to the worker
+   * @param {number} pageNumber - Page to extract (1-based)
+   * @param {Object} [options]
+   * @param {string[]} [options.strategies] - Strategy ids; all strategies by default
+   * @param {Object<string, Object>} [options.strategyOptions={}] - Option overrides by strategy id
+   * @param {AbortSignal} [options.signal] - Cancels the job when aborted
+   * @returns {Promise<{pageNumber: number, totalPages: number, lines: Array<Object>, results: Array<{strategy: string, label: string, text: string}>}>}
+   */
+  comparePage(buffer, pageNumber, { strategies, strategyOptions = {}, signal } = {}) {
+    return this._run(PDF_WORKER_MESSAGES.COMPARE, { buffer, pageNumber, strategies, strategyOptions }, { signal });
+  }
+
+  /**
+   * Post a job to the worker and settle its promise from the replies
+   * @private
+   * @param {string} type - Request message type
+   * @param {Object} data - Payload; its `buffer` is transferred
+   * @param {Object} options
+   * @param {function} [options.onProgress] - Progress callback
+   * @param {AbortSignal} [options.signal] - Cancels the job when aborted
+   * @returns {Promise<Object>} Job result
+   */
+  _run(type, data, { onProgress, signal } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    const worker = this._getWorker();
+    const jobId = this.nextJobId++;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        worker.postMessage({ type: PDF_WORKER_MESSAGES.CANCEL, jobId });
+      };
+
+      const settle = (callback) => (value) => {
+        this.jobs.delete(jobId);
+        signal?.removeEventListener('abort', onAbort);
+        callback(value);
+      };
+
+      this.jobs.set(jobId, {
+        onProgress,
+        resolve: settle(resolve),
+        reject: settle(reject)
+      });
+
+      signal?.addEventListener('abort', onAbort);
+
+      worker.postMessage({ type, jobId, data }, [data.buffer]);
+    });
+  }
+
+  /**
+   * Stop the worker and reject any pending jobs
+   */
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.jobs.forEach(job => job.reject(createAbortError()));
+    this.jobs.clear();
+  }
+}
+
+/**
+ * Create PDF worker service instance
+ * @returns {PDFWorkerService} Service instance
+ */
+export const createPDFWorkerService = () => {
+  return new PDFWorkerService();
+};
@@ -0,0 +1,282 @@
+/**
+ * @fileoverview Query rewriting: search with better queries than the one typed
+ *
+ * A rewrite mode turns the user's question into one or more probes, each
+ * with a text for full-text search and a text to embed for vector search.
+ * `multi-query` adds paraphrases whose results are fused; `hyde` embeds a
+ * hypothetical answer, which lies closer to the passages than the question
+ * does; `decompose` splits a multi-part question into sub-questions.
+ *
+ * Modes reach a chat model through `complete(messages, options)`, so
+ * `MockChatModel` can stand in for the API in tests and demos.
+ */
+
+import { contentTerms } from '../utils/lexical.js';
+
+/**
+ * @typedef {Object} QueryProbe
+ * @property {string} text - Query for full-text search
+ * @property {string} vectorText - Text embedded for vector search
+ */
+
+/**
+ * @typedef {Object} QueryRewrite
+ * @property {string} mode - Mode used
+ * @property {string[]} queries - Rewritten queries (or the hypothetical answer), to show the user
+ * @property {QueryProbe[]} probes - Searches to run
+ */
+
+/**
+ * @typedef {Object} CompleteOptions
+ * @property {string} task - Mode asking (`multi-query`, `hyde`, `decompose`); lets mocks answer per task
+ * @property {Object} [schema] - JSON schema for structured output
+ * @property {AbortSignal} [signal] - Cancels the request
+ */
+
+const PARAPHRASE_PROMPT = 'Reescreva a pergunta do usuário de formas diferentes para buscar trechos de documentos: ' +
+  'use sinônimos, explicite siglas e termos implícitos, varie entre formulações curtas e completas. ' +
+  'Escreva no mesmo idioma da pergunta e não responda a ela.';
+
+const HYDE_PROMPT = 'Escreva um parágrafo curto (até 100 palavras) que responderia à pergunta do usuário, ' +
+  'no estilo de um trecho do documento consultado, no mesmo idioma da pergunta. ' +
+  'Se não souber os fatos, invente valores plausíveis: o texto só será usado para buscar trechos parecidos.';
+
+const DECOMPOSE_PROMPT = 'Se a pergunta do usuário tiver várias partes, divida-a em subperguntas independentes, ' +
+  'cada uma compreensível sozinha e no mesmo idioma da pergunta. Se tiver uma parte só, devolva só ela.';
+
+/**
+ * Structured output: a list of queries
+ */
+const QUERIES_SCHEMA = {
+  name: 'queries',
+  strict: true,
+  schema: {
+    type: 'object',
+    properties: {
+      queries: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['queries'],
+    additionalProperties: false
+  }
+};
+
+/**
+ * Read a `{ queries }` reply: trimmed, without blanks, repeats or the original question
+ * @param {string} content - Model reply
+ * @param {string} query - Original question
+ * @returns {string[]} Queries
+ */
+const parseQueries = (content, query) => {
+  const { queries = [] } = JSON.parse(content || '{}');
+  const seen = new Set([query.trim().toLowerCase()]);
+  return queries
+    .filter(item => typeof item === 'string')
+    .map(item => item.trim())
+    .filter(item => {
+      const key = item.toLowerCase();
+      if (!item || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+const askFor = (system, query) => [
+  { role: 'system', content: system },
+  { role: 'user', content: query }
+];
+
+const originalProbe = (query) => ({ text: query, vectorText: query });
+
+/**
+ * Available rewrite modes. `defaults` lists the options each one accepts.
+ */
+export const QUERY_MODES = {
+  none: {
+    id: 'none',
+    label: 'Pergunta original',
+    description: 'Busca com a pergunta como foi digitada',
+    defaults: {},
+    rewrite: async (query) => ({ queries: [], probes: [originalProbe(query)] }),
+  },
+  'multi-query': {
+    id: 'multi-query',
+    label: 'Paráfrases',
+    description: 'Busca com a pergunta e N reformulações e funde os resultados',
+    defaults: { count: 3 },
+    rewrite: async (query, chatModel, { count, signal }) => {
+      const content = await chatModel.complete(
+        askFor(`${PARAPHRASE_PROMPT} Gere ${count} reformulações.`, query),
+        { task: 'multi-query', schema: QUERIES_SCHEMA, signal }
+      );
+      const queries = parseQueries(content, query).slice(0, count);
+      return { queries, probes: [originalProbe(query), ...queries.map(originalProbe)] };
+    },
+  },
+  hyde: {
+    id: 'hyde',
+    label: 'Resposta hipotética (HyDE)',
+    description: 'Embute uma resposta hipotética no lugar da pergunta; a busca textual usa a pergunta',
+    defaults: {},
+    rewrite: async (query, chatModel, { signal }) => {
+      const answer = (await chatModel.complete(askFor(HYDE_PROMPT, query), { task: 'hyde', signal })).trim();
+      return answer
+        ? { queries: [answer], probes: [{ text: query, vectorText: answer }] }
+        : { queries: [], probes: [originalProbe(query)] };
+    },
+  },
+  decompose: {
+    id: 'decompose',
+    label: 'Subperguntas',
+    description: 'Divide perguntas com várias partes e busca cada parte',
+    defaults: { maxParts: 4 },
+    rewrite: async (query, chatModel, { maxParts, signal }) => {
+      const content = await chatModel.complete(
+        askFor(DECOMPOSE_PROMPT, query),
+        { task: 'decompose', schema: QUERIES_SCHEMA, signal }
+      );
+      const queries = parseQueries(content, query).slice(0, maxParts);
+      // Uma parte só: a pergunta já é simples
+      return queries.length > 1
+        ? { queries, probes: [originalProbe(query), ...queries.map(originalProbe)] }
+        : { queries: [], probes: [originalProbe(query)] };
+    },
+  },
+};
+
+/**
+ * Mode used when none is given
+ */
+export const DEFAULT_QUERY_MODE = 'none';
+
+/**
+ * Look up a rewrite mode by name
+ * @param {string} [name=DEFAULT_QUERY_MODE] - Mode id
+ * @returns {Object} Mode
+ * @throws {Error} When no mode has that name
+ */
+export function getQueryMode(name = DEFAULT_QUERY_MODE) {
+  const mode = QUERY_MODES[name];
+  if (!mode) {
+    throw new Error(`Unknown query mode: ${name}`);
+  }
+  return mode;
+}
+
+/**
+ * Rewrite a question with a named mode
+ * @param {string} query - Question as typed
+ * @param {Object} chatModel - Object with `complete(messages, options)` (unused by `none`)
+ * @param {string} [name=DEFAULT_QUERY_MODE] - Mode id
+ * @param {Object} [options] - Overrides for the mode's `defaults`, plus `signal`
+ * @returns {Promise<QueryRewrite>} Rewritten queries and the probes to search with
+ */
+export async function rewriteQuery(query, chatModel, name = DEFAULT_QUERY_MODE, options = {}) {
+  const mode = getQueryMode(name);
+  const result = await mode.rewrite(query, chatModel, { ...mode.defaults, ...options });
+  return { mode: mode.id, ...result };
+}
+
+/**
+ * Chat model backed by the OpenAI API
+ */
+export class OpenAIChatModel {
+  /**
+   * @param {Object} openai - OpenAI client
+   * @param {Object} [options]
+   * @param {string} [options.model='gpt-4o-mini'] - Chat model
+   * @param {number} [options.temperature=0.3] - Sampling temperature (some variety helps paraphrases)
+   */
+  constructor(openai, { model = 'gpt-4o-mini', temperature = 0.3 } = {}) {
+    this.id = 'openai';
+    this.openai = openai;
+    this.model = model;
+    this.temperature = temperature;
+  }
+
+  /**
+   * @param {Array<{role: string, content: string}>} messages - Conversation
+   * @param {CompleteOptions} [options]
+   * @returns {Promise<string>} Reply text
+   */
+  async complete(messages, { schema, signal } = {}) {
+    const response = await this.openai.chat.completions.create({
+      model: this.model,
+      messages: messages,
+      temperature: this.temperature,
+      ...(schema && { response_format: { type: 'json_schema', json_schema: schema } })
+    }, { signal });
+    return response.choices[0]?.message?.content?.trim() || '';
+  }
+}
+
+/**
+ * Offline chat model: deterministic replies built from the question, or
+ * the ones given per task. Meant for tests and demos.
+ */
+export class MockChatModel {
+  /**
+   * @param {Object} [options]
+   * @param {Object<string, string|function(Array<Object>): string>} [options.responses={}] - Reply per task
+   */
+  constructor({ responses = {} } = {}) {
+    this.id = 'mock';
+    this.responses = responses;
+    this.calls = [];
+  }
+
+  /**
+   * @param {Array<{role: string, content: string}>} messages - Conversation
+   * @param {CompleteOptions} [options]
+   * @returns {Promise<string>} Reply text
+   */
+  async complete(messages, { task } = {}) {
+    this.calls.push({ task, messages });
+    const given = this.responses[task];
+    if (given !== undefined) {
+      return typeof given === 'function' ? given(messages) : given;
+    }
+
+    const question = messages[messages.length - 1].content.trim();
+    const bare = question.replace(/[?!.]+$/, '');
+    const keywords = contentTerms(question).join(' ');
+    switch (task) {
+      case 'multi-query':
+        return JSON.stringify({ queries: [bare, keywords, `Informações sobre ${keywords}`] });
+      case 'hyde':
+        return `${bare}: segundo o documento, ${keywords}.`;
+      case 'decompose':
+        return JSON.stringify({
+          queries: question
+            .split(/[?;]|\s+(?:e|and|y)\s+(?=(?:qual|quais|quanto|quanta|quantos|quantas|como|quando|onde|quem|o que|por que|what|which|how|when|where|who|why|cuál|cómo|cuándo|dónde|quién|qué)\b)/iu)
+            .map(part => part.trim())
+            .filter(Boolean)
+            .map(part => `${part}?`)
+        });
+      default:
+        return '';
+    }
+  }
+}
+
+/**
+ * Create a chat model for query rewriting by name
+ * @param {'openai'|'mock'} type - Model kind
+ * @param {Object} [options]
+ * @param {Object} [options.openai] - OpenAI client (required for `openai`)
+ * @param {string} [options.model] - Chat model for `openai`
+ * @returns {OpenAIChatModel|MockChatModel} Chat model
+ * @throws {Error} For unknown kinds or a missing client
+ */
+export const createChatModel = (type, { openai, model } = {}) => {
+  switch (type) {
+    case 'openai':
+      if (!openai) {
+        throw new Error('Cliente OpenAI necessário para reescrever perguntas');
+      }
+      return new OpenAIChatModel(openai, { model });
+    case 'mock':
+      return new MockChatModel();
+    default:
+      throw new Error(`Modelo de reescrita desconhecido: ${type}`);
+  }
+};
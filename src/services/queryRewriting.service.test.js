@@ -0,0 +1,97 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createChatModel, getQueryMode, MockChatModel, QUERY_MODES, rewriteQuery } from './queryRewriting.service.js';
+
+const QUESTION = 'Qual foi o lucro da empresa em 2023 e quantos funcionários ela tinha?';
+
+const probeTexts = (rewrite) => rewrite.probes.map(probe => [probe.text, probe.vectorText]);
+
+describe('query rewriting', () => {
+  test('none searches with the question as typed, without asking the model', async () => {
+    const model = new MockChatModel();
+    const rewrite = await rewriteQuery(QUESTION, model, 'none');
+    assert.deepEqual(rewrite, { mode: 'none', queries: [], probes: [{ text: QUESTION, vectorText: QUESTION }] });
+    assert.equal(model.calls.length, 0);
+  });
+
+  describe('multi-query', () => {
+    test('searches with the question and each paraphrase', async () => {
+      const model = new MockChatModel();
+      const rewrite = await rewriteQuery(QUESTION, model, 'multi-query');
+      assert.equal(rewrite.mode, 'multi-query');
+      assert.equal(rewrite.queries.length, QUERY_MODES['multi-query'].defaults.count);
+      assert.deepEqual(probeTexts(rewrite), [QUESTION, ...rewrite.queries].map(text => [text, text]));
+      assert.equal(model.calls.length, 1);
+      assert.equal(model.calls[0].task, 'multi-query');
+      assert.match(model.calls[0].messages[0].content, /Gere 3 reformulações/u);
+      assert.equal(model.calls[0].messages[1].content, QUESTION);
+    });
+
+    test('drops blanks, repeats and the question itself, and keeps at most count', async () => {
+      const model = new MockChatModel({
+        responses: { 'multi-query': JSON.stringify({ queries: [` ${QUESTION} `, 'lucro 2023', '', 'LUCRO 2023', 42, 'número de funcionários', 'quadro de pessoal'] }) }
+      });
+      const rewrite = await rewriteQuery(QUESTION, model, 'multi-query', { count: 2 });
+      assert.deepEqual(rewrite.queries, ['lucro 2023', 'número de funcionários']);
+      assert.equal(rewrite.probes.length, 3);
+    });
+
+    test('a reply without paraphrases leaves the question alone', async () => {
+      const model = new MockChatModel({ responses: { 'multi-query': '' } });
+      const rewrite = await rewriteQuery(QUESTION, model, 'multi-query');
+      assert.deepEqual(rewrite.queries, []);
+      assert.deepEqual(probeTexts(rewrite), [[QUESTION, QUESTION]]);
+    });
+  });
+
+  describe('hyde', () => {
+    test('embeds the hypothetical answer and keeps the question for full-text search', async () => {
+      const model = new MockChatModel({ responses: { hyde: '  O lucro de 2023 foi de R$ 4,2 milhões, com 120 funcionários.  ' } });
+      const rewrite = await rewriteQuery(QUESTION, model, 'hyde');
+      assert.deepEqual(rewrite.queries, ['O lucro de 2023 foi de R$ 4,2 milhões, com 120 funcionários.']);
+      assert.deepEqual(probeTexts(rewrite), [[QUESTION, rewrite.queries[0]]]);
+      assert.equal(model.calls[0].task, 'hyde');
+    });
+
+    test('the default mock answer mentions the question terms', async () => {
+      const rewrite = await rewriteQuery(QUESTION, new MockChatModel(), 'hyde');
+      assert.match(rewrite.probes[0].vectorText, /lucro/u);
+      assert.notEqual(rewrite.probes[0].vectorText, QUESTION);
+    });
+
+    test('an empty answer falls back to the question', async () => {
+      const rewrite = await rewriteQuery(QUESTION, new MockChatModel({ responses: { hyde: '   ' } }), 'hyde');
+      assert.deepEqual(rewrite.queries, []);
+      assert.deepEqual(probeTexts(rewrite), [[QUESTION, QUESTION]]);
+    });
+  });
+
+  describe('decompose', () => {
+    test('searches with the question and each sub-question', async () => {
+      const rewrite = await rewriteQuery(QUESTION, new MockChatModel(), 'decompose');
+      assert.deepEqual(rewrite.queries, ['Qual foi o lucro da empresa em 2023?', 'quantos funcionários ela tinha?']);
+      assert.deepEqual(probeTexts(rewrite), [QUESTION, ...rewrite.queries].map(text => [text, text]));
+    });
+
+    test('a single-part question is searched as typed', async () => {
+      const rewrite = await rewriteQuery('Qual foi o lucro da empresa em 2023?', new MockChatModel(), 'decompose');
+      assert.deepEqual(rewrite.queries, []);
+      assert.equal(rewrite.probes.length, 1);
+    });
+
+    test('keeps at most maxParts sub-questions', async () => {
+      const model = new MockChatModel({ responses: { decompose: () => JSON.stringify({ queries: ['a?', 'b?', 'c?', 'd?', 'e?'] }) } });
+      const rewrite = await rewriteQuery(QUESTION, model, 'decompose', { maxParts: 3 });
+      assert.deepEqual(rewrite.queries, ['a?', 'b?', 'c?']);
+      assert.equal(rewrite.probes.length, 4);
+    });
+  });
+
+  test('unknown modes and models are rejected', async () => {
+    assert.throws(() => getQueryMode('telepathy'), /Unknown query mode/u);
+    await assert.rejects(rewriteQuery(QUESTION, new MockChatModel(), 'telepathy'), /Unknown query mode/u);
+    assert.throws(() => createChatModel('oracle'), /desconhecido/u);
+    assert.throws(() => createChatModel('openai'), /Cliente OpenAI/u);
+    assert.ok(createChatModel('mock') instanceof MockChatModel);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Rerankers: reorder retrieved passages by relevance to the query
+ *
+ * A reranker is any object with `rerank(query, passages, options)` resolving
+ * to `{ index, score, scored }` per passage, best first. Every passage must
+ * come back: one the reranker could not score keeps its place after the
+ * scored ones instead of being dropped. `LLMReranker` asks a chat model for
+ * a score per passage; `LexicalReranker` works offline from term overlap
+ * and maximal marginal relevance.
+ */
+
+import { RERANK_CONFIG } from '../constants/index.js';
+import { contentTerms, inverseDocumentFrequencies, jaccardSimilarity, weightedOverlap } from '../utils/lexical.js';
+import { maximalMarginalRelevance } from '../utils/mmr.js';
+
+/**
+ * @typedef {Object} Passage
+ * @property {string} text - Passage text
+ * @property {number} [score] - Retrieval score
+ */
+
+/**
+ * @typedef {Object} RankedPassage
+ * @property {number} index - Passage position in the input
+ * @property {number} score - Reranker score (0-1)
+ * @property {boolean} scored - False when the reranker gave no score and the passage was kept anyway
+ */
+
+const RERANK_PROMPT = 'Você avalia trechos recuperados de documentos para responder a uma pergunta. ' +
+  'Dê a cada trecho uma nota de 0 (irrelevante) a 10 (responde diretamente à pergunta), ' +
+  'considerando só o que está escrito no trecho. Avalie todos os trechos.';
+
+/**
+ * Structured output: one score per passage number
+ */
+const SCORES_FORMAT = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'passage_scores',
+    strict: true,
+    schema: {
+      type: 'object',
+      properties: {
+        scores: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              passage: { type: 'integer' },
+              score: { type: 'number' }
+            },
+            required: ['passage', 'score'],
+            additionalProperties: false
+          }
+        }
+      },
+      required: ['scores'],
+      additionalProperties: false
+    }
+  }
+};
+
+/**
+ * Turn a partial ranking into a ranking of every passage. Invalid or
+ * repeated indexes are ignored; passages without a score follow the scored
+ * ones in their original order, with the lowest score given.
+ * @param {number} count - Number of passages
+ * @param {Array<{index: number, score: number}>} scores - Scores by passage position, best first
+ * @returns {RankedPassage[]} Every passage once, best first
+ */
+export function completeRanking(count, scores) {
+  const seen = new Set();
+  const scored = [];
+  for (const { index, score } of scores) {
+    if (!Number.isInteger(index) || index < 0 || index >= count || !Number.isFinite(score) || seen.has(index)) continue;
+    seen.add(index);
+    scored.push({ index, score, scored: true });
+  }
+
+  const floor = scored.length > 0 ? Math.min(...scored.map(({ score }) => score)) : 0;
+  const missing = Array.from({ length: count }, (_, index) => index)
+    .filter(index => !seen.has(index))
+    .map(index => ({ index, score: floor, scored: false }));
+
+  return [...scored, ...missing];
+}
+
+/**
+ * Reranker backed by an OpenAI chat model with structured output
+ */
+export class LLMReranker {
+  /**
+   * @param {Object} openai - OpenAI client
+   * @param {Object} [options]
+   * @param {string} [options.model] - Chat model with structured output
+   * @param {number} [options.passageChars] - Characters of each passage sent
+   */
+  constructor(openai, { model = RERANK_CONFIG.MODEL, passageChars = RERANK_CONFIG.PASSAGE_CHARS } = {}) {
+    this.id = 'llm';
+    this.openai = openai;
+    this.model = model;
+    this.passageChars = passageChars;
+  }
+
+  /**
+   * Score passages for a query
+   * @param {string} query - Search query
+   * @param {Passage[]} passages - Retrieved passages
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<RankedPassage[]>} Every passage, best first
+   * @throws {Error} When the request fails or the reply is not JSON
+   */
+  async rerank(query, passages, { signal } = {}) {
+    const listing = passages
+      .map((passage, i) => `[${i + 1}] ${passage.text.slice(0, this.passageChars)}`)
+      .join('\n\n');
+
+    const response = await this.openai.chat.completions.create({
+      model: this.model,
+      messages: [
+        { role: 'system', content: RERANK_PROMPT },
+        { role: 'user', content: `Pergunta: ${query}\n\nTrechos:\n${listing}` }
+      ],
+      response_format: SCORES_FORMAT,
+      temperature: 0
+    }, { signal });
+
+    const { scores = [] } = JSON.parse(response.choices[0]?.message?.content || '{}');
+    return completeRanking(passages.length, scores
+      .map(({ passage, score }) => ({ index: passage - 1, score: Math.min(Math.max(score, 0), 10) / 10 }))
+      .sort((a, b) => b.score - a.score));
+  }
+}
+
+/**
+ * Offline reranker: IDF-weighted overlap with the query's content words,
+ * blended with the retrieval score, then ordered by MMR so near-identical
+ * passages do not crowd the top
+ */
+export class LexicalReranker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.lambda] - MMR weight of relevance against novelty
+   * @param {number} [options.retrievalWeight] - Share of the (max-normalised) retrieval score in the relevance
+   */
+  constructor({ lambda = RERANK_CONFIG.MMR_LAMBDA, retrievalWeight = RERANK_CONFIG.RETRIEVAL_WEIGHT } = {}) {
+    this.id = 'lexical';
+    this.lambda = lambda;
+    this.retrievalWeight = retrievalWeight;
+  }
+
+  /**
+   * @param {string} query - Search query
+   * @param {Passage[]} passages - Retrieved passages
+   * @returns {Promise<RankedPassage[]>} Every passage, in MMR order, scored by relevance
+   */
+  async rerank(query, passages) {
+    const queryTerms = new Set(contentTerms(query));
+    const termSets = passages.map(passage => new Set(contentTerms(passage.text)));
+    const idf = inverseDocumentFrequencies(termSets);
+    const maxScore = Math.max(0, ...passages.map(passage => passage.score || 0)) || 1;
+
+    const relevances = termSets.map((terms, i) =>
+      (1 - this.retrievalWeight) * weightedOverlap(queryTerms, terms, idf) +
+      this.retrievalWeight * ((passages[i].score || 0) / maxScore)
+    );
+
+    return maximalMarginalRelevance(relevances, (i, j) => jaccardSimilarity(termSets[i], termSets[j]), { lambda: this.lambda })
+      .map(({ index, relevance }) => ({ index, score: relevance, scored: true }));
+  }
+}
+
+/**
+ * Create a reranker by name
+ * @param {'llm'|'lexical'} type - Reranker kind
+ * @param {Object} [options]
+ * @param {Object} [options.openai] - OpenAI client (required for `llm`)
+ * @param {string} [options.model] - Chat model for `llm`
+ * @returns {LLMReranker|LexicalReranker} Reranker
+ * @throws {Error} For unknown kinds or a missing client
+ */
+export const createReranker = (type, { openai, model } = {}) => {
+  switch (type) {
+    case 'llm':
+      if (!openai) {
+        throw new Error('Cliente OpenAI necessário para o reranking por LLM');
+      }
+      return new LLMReranker(openai, { model });
+    case 'lexical':
+      return new LexicalReranker();
+    default:
+      throw new Error(`Reranker desconhecido: ${type}`);
+  }
+};
@@ -0,0 +1,474 @@
+/**
+ * @fileoverview Vector stores: nearest-neighbour search over chunk embeddings
+ *
+ * A vector store is any object with `add(entries)`, `remove(ids)`,
+ * `clear()` and `search(vector, options)` resolving to `{ id, score }`
+ * matches (cosine similarity), best first. The chunk documents in Orama
+ * stay the source of truth, embeddings included; a store is an index over
+ * those embeddings that the service keeps in step with inserts and
+ * removals and rebuilds after an import. The quantized store is the
+ * exception: it holds the only copy of each vector, as a code, and
+ * serializes its codes into the exported index.
+ *
+ * `OramaVectorStore` uses Orama's own vector index, `ExactVectorStore`
+ * compares the query with every vector (exact, and the oracle the others
+ * are measured against), and `HNSWVectorStore` trades some recall for
+ * speed on large libraries. HNSW needs the native `hnswlib-node` addon,
+ * which only loads in Node, so the library is passed in rather than
+ * imported here. `QuantizedVectorStore` keeps truncated, int8 or binary
+ * codes and, given a source of full vectors, rescores its best candidates
+ * with them.
+ */
+
+import { search } from '@orama/orama';
+import { cosineSimilarity, magnitude } from '../utils/vectors.js';
+import { getQuantizationMode, truncateEmbedding } from '../utils/quantization.js';
+
+/**
+ * @typedef {Object} VectorEntry
+ * @property {string} id - Chunk id
+ * @property {number[]|Float32Array} vector - Embedding
+ */
+
+/**
+ * @typedef {Object} VectorSearchOptions
+ * @property {number} limit - Most matches returned
+ * @property {number} [threshold=0] - Lowest cosine similarity returned
+ * @property {Set<string>} [allowedIds] - Only these ids may match (search filters); absent means any
+ * @property {Object} [where] - Orama `where` clause, used instead of `allowedIds` by stores with `usesWhere`
+ */
+
+/**
+ * @typedef {Object} VectorMatch
+ * @property {string} id - Chunk id
+ * @property {number} score - Cosine similarity
+ * @property {Object} [document] - Stored document, when the store has it at hand
+ */
+
+/**
+ * Store over Orama's vector index: the vectors are the `embedding` field
+ * of the documents the service inserts, so adding and removing are no-ops
+ */
+export class OramaVectorStore {
+  /**
+   * @param {Object} options
+   * @param {function(): Object} options.getDb - Current Orama database (it is replaced on import)
+   * @param {string} [options.property='embedding'] - Vector field
+   */
+  constructor({ getDb, property = 'embedding' }) {
+    this.id = 'orama';
+    this.usesWhere = true;
+    this.getDb = getDb;
+    this.property = property;
+  }
+
+  add() {}
+
+  remove() {}
+
+  clear() {}
+
+  /**
+   * @param {number[]} vector - Query embedding
+   * @param {VectorSearchOptions} options
+   * @returns {Promise<VectorMatch[]>} Matches, best first
+   */
+  async search(vector, { limit, threshold = 0, where }) {
+    const results = await search(this.getDb(), {
+      mode: 'vector',
+      where: where,
+      vector: { value: vector, property: this.property },
+      limit: limit,
+      // In vector mode Orama calls the cutoff `similarity`; `threshold` belongs to full-text search
+      similarity: threshold,
+      // Without includeVectors Orama clears the embedding of the stored document itself
+      includeVectors: true
+    });
+    return results.hits.map(({ id, score, document }) => ({ id, score, document }));
+  }
+}
+
+/**
+ * Exact search: every vector, unit-normalised, in one growing Float32Array,
+ * compared with the query on each search. Linear in the corpus, which is
+ * fine for a few thousand chunks and makes it the reference for recall.
+ */
+export class ExactVectorStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.initialCapacity=256] - Rows allocated up front (doubled when full)
+   */
+  constructor({ initialCapacity = 256 } = {}) {
+    this.id = 'exact';
+    this.initialCapacity = initialCapacity;
+    this.clear();
+  }
+
+  clear() {
+    this.dimensions = null;
+    this.data = null;
+    this.ids = [];
+    this.rows = new Map();
+  }
+
+  get size() {
+    return this.ids.length;
+  }
+
+  /**
+   * @param {VectorEntry[]} entries - Vectors to add; an id already present is replaced
+   * @throws {Error} When a vector's length differs from the store's
+   */
+  add(entries) {
+    for (const { id, vector } of entries) {
+      if (this.dimensions === null) {
+        this.dimensions = vector.length;
+        this.data = new Float32Array(this.initialCapacity * this.dimensions);
+      }
+      if (vector.length !== this.dimensions) {
+        throw new Error(`Vetor com ${vector.length} dimensões; o índice usa ${this.dimensions}`);
+      }
+
+      let row = this.rows.get(id);
+      if (row === undefined) {
+        row = this.ids.length;
+        if ((row + 1) * this.dimensions > this.data.length) {
+          const grown = new Float32Array(this.data.length * 2);
+          grown.set(this.data);
+          this.data = grown;
+        }
+        this.ids.push(id);
+        this.rows.set(id, row);
+      }
+
+      const norm = magnitude(vector) || 1;
+      const offset = row * this.dimensions;
+      for (let d = 0; d < this.dimensions; d++) {
+        this.data[offset + d] = vector[d] / norm;
+      }
+    }
+  }
+
+  /**
+   * @param {string[]} ids - Ids to remove (the last row moves into each freed one)
+   */
+  remove(ids) {
+    for (const id of ids) {
+      const row = this.rows.get(id);
+      if (row === undefined) continue;
+
+      const last = this.ids.length - 1;
+      if (row !== last) {
+        this.data.copyWithin(row * this.dimensions, last * this.dimensions, (last + 1) * this.dimensions);
+        this.ids[row] = this.ids[last];
+        this.rows.set(this.ids[row], row);
+      }
+      this.ids.pop();
+      this.rows.delete(id);
+    }
+  }
+
+  /**
+   * @param {number[]} vector - Query embedding
+   * @param {VectorSearchOptions} options
+   * @returns {Promise<VectorMatch[]>} Matches, best first
+   */
+  async search(vector, { limit, threshold = 0, allowedIds }) {
+    if (this.size === 0) return [];
+
+    const norm = magnitude(vector) || 1;
+    const query = Float32Array.from(vector, value => value / norm);
+    const matches = [];
+    for (let row = 0; row < this.ids.length; row++) {
+      if (allowedIds && !allowedIds.has(this.ids[row])) continue;
+
+      const offset = row * this.dimensions;
+      let score = 0;
+      for (let d = 0; d < this.dimensions; d++) {
+        score += query[d] * this.data[offset + d];
+      }
+      if (score >= threshold) matches.push({ id: this.ids[row], score });
+    }
+
+    return matches.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
+
+/**
+ * Approximate search with a hierarchical navigable small world graph
+ * (hnswlib). Removed vectors are only marked deleted, as hnswlib does.
+ * A filter that leaves few vectors can stop the graph walk before it
+ * finds `limit` of them; those are then scored exactly.
+ */
+export class HNSWVectorStore {
+  /**
+   * @param {Object} hnswlib - The `hnswlib-node` module
+   * @param {Object} [options]
+   * @param {number} [options.m=16] - Links per node; more means better recall and more memory
+   * @param {number} [options.efConstruction=200] - Candidate list size while building
+   * @param {number} [options.efSearch=64] - Candidate list size while searching (at least `limit`)
+   * @param {number} [options.initialCapacity=1024] - Elements allocated up front (doubled when full)
+   */
+  constructor(hnswlib, { m = 16, efConstruction = 200, efSearch = 64, initialCapacity = 1024 } = {}) {
+    this.id = 'hnsw';
+    this.hnswlib = hnswlib;
+    this.m = m;
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.initialCapacity = initialCapacity;
+    this.clear();
+  }
+
+  clear() {
+    this.index = null;
+    this.dimensions = null;
+    // hnswlib labels are integers: `ids[label]` is the chunk id (null once removed)
+    this.ids = [];
+    this.labels = new Map();
+  }
+
+  get size() {
+    return this.labels.size;
+  }
+
+  /**
+   * @param {VectorEntry[]} entries - Vectors to add; an id already present is replaced
+   * @throws {Error} When a vector's length differs from the store's
+   */
+  add(entries) {
+    for (const { id, vector } of entries) {
+      if (!this.index) {
+        this.dimensions = vector.length;
+        this.index = new this.hnswlib.HierarchicalNSW('cosine', this.dimensions);
+        this.index.initIndex({ maxElements: this.initialCapacity, m: this.m, efConstruction: this.efConstruction });
+      }
+      if (vector.length !== this.dimensions) {
+        throw new Error(`Vetor com ${vector.length} dimensões; o índice usa ${this.dimensions}`);
+      }
+
+      this.remove([id]);
+      if (this.index.getCurrentCount() >= this.index.getMaxElements()) {
+        this.index.resizeIndex(this.index.getMaxElements() * 2);
+      }
+      const label = this.ids.length;
+      this.index.addPoint(Array.from(vector), label);
+      this.ids.push(id);
+      this.labels.set(id, label);
+    }
+  }
+
+  /**
+   * @param {string[]} ids - Ids to remove
+   */
+  remove(ids) {
+    for (const id of ids) {
+      const label = this.labels.get(id);
+      if (label === undefined) continue;
+      this.index.markDelete(label);
+      this.ids[label] = null;
+      this.labels.delete(id);
+    }
+  }
+
+  /**
+   * @param {number[]} vector - Query embedding
+   * @param {VectorSearchOptions} options
+   * @returns {Promise<VectorMatch[]>} Matches, best first
+   */
+  async search(vector, { limit, threshold = 0, allowedIds }) {
+    const ids = allowedIds ? [...allowedIds].filter(id => this.labels.has(id)) : null;
+    const k = Math.min(limit, ids ? ids.length : this.size);
+    if (k === 0) return [];
+
+    this.index.setEf(Math.max(this.efSearch, k));
+    const filter = allowedIds ? (label => allowedIds.has(this.ids[label])) : undefined;
+    const { distances, neighbors } = this.index.searchKnn(Array.from(vector), k, filter);
+
+    // hnswlib's cosine distance is 1 - similarity
+    const matches = neighbors.length < k
+      ? this._exactSearch(vector, ids || [...this.labels.keys()], k)
+      : neighbors.map((label, i) => ({ id: this.ids[label], score: 1 - distances[i] }));
+    return matches.filter(match => match.score >= threshold);
+  }
+
+  /**
+   * Score some of the stored vectors against the query, one by one
+   * @private
+   * @param {number[]} vector - Query embedding
+   * @param {string[]} ids - Ids to score, all in the index
+   * @param {number} limit - Matches to keep
+   * @returns {VectorMatch[]} Best matches first
+   */
+  _exactSearch(vector, ids, limit) {
+    return ids
+      .map(id => ({ id, score: cosineSimilarity(vector, this.index.getPoint(this.labels.get(id))) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+/**
+ * Compact search: each vector is truncated to its first `dimensions`
+ * (Matryoshka) and quantized, and only the codes are kept. A search scores
+ * every code; with a rescoring source, the best `limit * oversample`
+ * candidates are rescored with their full vectors, so the threshold and
+ * the returned scores are full-precision similarities. Without one, and
+ * for ids the source lacks, the quantized scores stand.
+ */
+export class QuantizedVectorStore {
+  /**
+   * @param {Object} [options]
+   * @param {'none'|'int8'|'binary'} [options.mode='int8'] - Quantization (see QUANTIZATION_MODES)
+   * @param {number} [options.dimensions] - Dimensions kept in the codes (all when absent)
+   * @param {number} [options.oversample=4] - Candidates rescored per result; 0 returns the quantized scores
+   * @param {{get: function(string): (ArrayLike<number>|undefined)}} [options.rescoreVectors] - Full vectors
+   *   by id for rescoring (a `Map` will do); the store only reads it, its owner keeps it filled
+   */
+  constructor({ mode = 'int8', dimensions = null, oversample = 4, rescoreVectors = null } = {}) {
+    this.id = 'quantized';
+    this.mode = getQuantizationMode(mode);
+    this.dimensions = dimensions;
+    this.oversample = oversample;
+    this.rescoreVectors = rescoreVectors;
+    this.clear();
+  }
+
+  clear() {
+    this.codes = new Map();
+    // Length of the codes, once a vector has been added (binary codes need it to decode)
+    this.codeDimensions = null;
+  }
+
+  get size() {
+    return this.codes.size;
+  }
+
+  /**
+   * Bytes per vector in the codes
+   * @param {number} fullDimensions - Length of the full vectors
+   * @returns {number} Code size
+   */
+  bytesPerVector(fullDimensions) {
+    return this.mode.bytes(Math.min(this.dimensions || fullDimensions, fullDimensions));
+  }
+
+  /**
+   * @param {VectorEntry[]} entries - Vectors to add; an id already present is replaced
+   */
+  add(entries) {
+    for (const { id, vector } of entries) {
+      const truncated = truncateEmbedding(vector, this.dimensions || vector.length);
+      this.codeDimensions = truncated.length;
+      this.codes.set(id, this.mode.encode(truncated));
+    }
+  }
+
+  /**
+   * @param {string[]} ids - Ids to remove
+   */
+  remove(ids) {
+    for (const id of ids) {
+      this.codes.delete(id);
+    }
+  }
+
+  /**
+   * Vector rebuilt from an id's code: truncated, and approximate unless unquantized
+   * @param {string} id - Chunk id
+   * @returns {Float32Array|undefined} Unit vector of `codeDimensions` values, or undefined for unknown ids
+   */
+  getVector(id) {
+    const code = this.codes.get(id);
+    return code && this.mode.decode(code, this.codeDimensions);
+  }
+
+  /**
+   * @param {number[]} vector - Query embedding
+   * @param {VectorSearchOptions} options
+   * @returns {Promise<VectorMatch[]>} Matches, best first
+   */
+  async search(vector, { limit, threshold = 0, allowedIds }) {
+    const query = this.mode.prepare(truncateEmbedding(vector, this.dimensions || vector.length));
+    const candidates = [];
+    for (const [id, code] of this.codes) {
+      if (allowedIds && !allowedIds.has(id)) continue;
+      candidates.push({ id, score: this.mode.score(query, code) });
+    }
+    candidates.sort((a, b) => b.score - a.score);
+
+    if (!this.rescoreVectors || this.oversample <= 0) {
+      return candidates.filter(match => match.score >= threshold).slice(0, limit);
+    }
+
+    const rescored = candidates.slice(0, limit * this.oversample).map(({ id, score }) => {
+      const full = this.rescoreVectors.get(id);
+      return { id, score: full ? cosineSimilarity(vector, full) : score };
+    });
+    return rescored
+      .filter(match => match.score >= threshold)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Codes in a JSON-safe form, for the exported index
+   * @returns {{mode: string, dimensions: ?number, codeDimensions: ?number, codes: Array<Array>}} `[id, code]` pairs and how they were made
+   */
+  serialize() {
+    return {
+      mode: this.mode.id,
+      dimensions: this.dimensions,
+      codeDimensions: this.codeDimensions,
+      codes: Array.from(this.codes, ([id, code]) => [id, this.mode.serialize(code)])
+    };
+  }
+
+  /**
+   * Replace the codes with serialized ones
+   * @param {Object} data - Output of `serialize`
+   * @throws {Error} When the codes were made with another mode or size
+   */
+  load(data) {
+    if (data.mode !== this.mode.id || data.dimensions !== this.dimensions) {
+      throw new Error(`Códigos ${data.mode} de ${data.dimensions ?? 'todas as'} dimensões não servem a um índice ${this.mode.id} de ${this.dimensions ?? 'todas as'}`);
+    }
+    this.clear();
+    this.codeDimensions = data.codeDimensions;
+    for (const [id, code] of data.codes) {
+      this.codes.set(id, this.mode.deserialize(code));
+    }
+  }
+}
+
+/**
+ * Create a vector store by name
+ * @param {'orama'|'exact'|'hnsw'|'quantized'} type - Store kind
+ * @param {Object} [options]
+ * @param {function(): Object} [options.getDb] - Current Orama database (required for `orama`)
+ * @param {Object} [options.hnswlib] - The `hnswlib-node` module (required for `hnsw`)
+ * @param {Object} [options.hnswOptions] - `HNSWVectorStore` options
+ * @param {Object} [options.quantization] - `QuantizedVectorStore` options (`mode`, `dimensions`, `oversample`)
+ * @param {{get: function(string): (ArrayLike<number>|undefined)}} [options.rescoreVectors] - Full vectors by id, for `quantized` rescoring
+ * @returns {OramaVectorStore|ExactVectorStore|HNSWVectorStore|QuantizedVectorStore} Vector store
+ * @throws {Error} For unknown kinds or a missing dependency
+ */
+export const createVectorStore = (type, { getDb, hnswlib, hnswOptions, quantization, rescoreVectors } = {}) => {
+  switch (type) {
+    case 'orama':
+      if (!getDb) {
+        throw new Error('Banco Orama necessário para o índice vetorial do Orama');
+      }
+      return new OramaVectorStore({ getDb });
+    case 'exact':
+      return new ExactVectorStore();
+    case 'hnsw':
+      if (!hnswlib) {
+        throw new Error('hnswlib-node necessário para o índice HNSW (só disponível no Node)');
+      }
+      return new HNSWVectorStore(hnswlib, hnswOptions);
+    case 'quantized':
+      return new QuantizedVectorStore({ ...quantization, rescoreVectors });
+    default:
+      throw new Error(`Índice vetorial desconhecido: ${type}`);
+  }
+};
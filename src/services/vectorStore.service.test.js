@@ -0,0 +1,255 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { create, insertMultiple } from '@orama/orama';
+import { createVectorStore, ExactVectorStore, HNSWVectorStore, OramaVectorStore, QuantizedVectorStore } from './vectorStore.service.js';
+import { recallAtK, syntheticVectors } from '../utils/vectorBenchmark.js';
+
+const DIMENSIONS = 64;
+const K = 10;
+
+const corpus = syntheticVectors(400, DIMENSIONS, { clusters: 8, decay: 0.05, seed: 3 })
+  .map((vector, i) => ({ id: `chunk-${i}`, vector }));
+const queries = syntheticVectors(20, DIMENSIONS, { clusters: 8, decay: 0.05, seed: 3, sampleSeed: 11 });
+
+const cosine = (a, b) => {
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return dot / Math.sqrt(normA * normB);
+};
+
+// The oracle: every vector scored, best first
+const bruteForce = (query, { limit = K, threshold = -1, allowedIds, entries = corpus } = {}) => entries
+  .filter(({ id }) => !allowedIds || allowedIds.has(id))
+  .map(({ id, vector }) => ({ id, score: cosine(query, vector) }))
+  .filter(match => match.score >= threshold)
+  .sort((a, b) => b.score - a.score)
+  .slice(0, limit);
+
+const meanRecall = async (store, options = {}) => {
+  let total = 0;
+  for (const query of queries) {
+    const matches = await store.search(query, { limit: K, threshold: -1, ...options });
+    total += recallAtK(bruteForce(query, options).map(match => match.id), matches.map(match => match.id));
+  }
+  return total / queries.length;
+};
+
+const assertSameMatches = (actual, expected) => {
+  assert.deepEqual(actual.map(match => match.id), expected.map(match => match.id));
+  actual.forEach((match, i) => assert.ok(Math.abs(match.score - expected[i].score) < 1e-5, `${match.id}: ${match.score} vs ${expected[i].score}`));
+};
+
+const filled = (store) => {
+  store.add(corpus);
+  return store;
+};
+
+describe('ExactVectorStore', () => {
+  test('returns the brute-force neighbours and scores', async () => {
+    const store = filled(new ExactVectorStore({ initialCapacity: 8 }));
+    assert.equal(store.size, corpus.length);
+    for (const query of queries) {
+      assertSameMatches(await store.search(query, { limit: K, threshold: -1 }), bruteForce(query));
+    }
+  });
+
+  test('applies the threshold and the allowed ids', async () => {
+    const store = filled(new ExactVectorStore());
+    const allowedIds = new Set(corpus.filter((_, i) => i % 3 === 0).map(entry => entry.id));
+    for (const query of queries) {
+      assertSameMatches(await store.search(query, { limit: 50, threshold: 0.5 }), bruteForce(query, { limit: 50, threshold: 0.5 }));
+      assertSameMatches(await store.search(query, { limit: K, threshold: -1, allowedIds }), bruteForce(query, { allowedIds }));
+    }
+  });
+
+  test('replaces and removes vectors', async () => {
+    const store = filled(new ExactVectorStore());
+    const removed = new Set(corpus.slice(0, 50).map(entry => entry.id));
+    store.remove([...removed]);
+    store.add([{ id: 'chunk-60', vector: queries[0] }]);
+    const entries = corpus
+      .filter(({ id }) => !removed.has(id))
+      .map(entry => (entry.id === 'chunk-60' ? { id: entry.id, vector: queries[0] } : entry));
+
+    assert.equal(store.size, corpus.length - removed.size);
+    for (const query of queries) {
+      assertSameMatches(await store.search(query, { limit: K, threshold: -1 }), bruteForce(query, { entries }));
+    }
+    assert.equal((await store.search(queries[0], { limit: 1, threshold: -1 }))[0].id, 'chunk-60');
+  });
+
+  test('rejects vectors of another length', () => {
+    const store = filled(new ExactVectorStore());
+    assert.throws(() => store.add([{ id: 'short', vector: [1, 0, 0] }]), /dimensões/u);
+  });
+});
+
+describe('QuantizedVectorStore', () => {
+  const rescoreVectors = new Map(corpus.map(({ id, vector }) => [id, vector]));
+
+  test('without quantization or truncation it is exact', async () => {
+    const store = filled(new QuantizedVectorStore({ mode: 'none' }));
+    for (const query of queries) {
+      assertSameMatches(await store.search(query, { limit: K, threshold: -1 }), bruteForce(query));
+    }
+  });
+
+  test('rescored candidates carry full-precision scores', async () => {
+    for (const mode of ['int8', 'binary']) {
+      const store = filled(new QuantizedVectorStore({ mode, dimensions: DIMENSIONS / 2, oversample: 4, rescoreVectors }));
+      for (const query of queries) {
+        for (const match of await store.search(query, { limit: K, threshold: -1 })) {
+          assert.ok(Math.abs(match.score - cosine(query, rescoreVectors.get(match.id))) < 1e-5, mode);
+        }
+      }
+    }
+  });
+
+  test('int8 codes keep recall, and rescoring recovers it from truncated ones', async () => {
+    assert.ok(await meanRecall(filled(new QuantizedVectorStore({ mode: 'int8', oversample: 0 }))) >= 0.9);
+    const truncated = filled(new QuantizedVectorStore({ mode: 'int8', dimensions: DIMENSIONS / 2, oversample: 0, rescoreVectors }));
+    const quantizedRecall = await meanRecall(truncated);
+    truncated.oversample = 4;
+    const rescoredRecall = await meanRecall(truncated);
+    assert.ok(rescoredRecall >= 0.95, `recall ${rescoredRecall}`);
+    assert.ok(rescoredRecall >= quantizedRecall);
+  });
+
+  test('without a rescoring source the quantized scores stand', async () => {
+    const store = filled(new QuantizedVectorStore({ mode: 'int8', oversample: 4 }));
+    for (const query of queries) {
+      for (const match of await store.search(query, { limit: K, threshold: -1 })) {
+        const exact = cosine(query, rescoreVectors.get(match.id));
+        assert.ok(match.score !== exact && Math.abs(match.score - exact) < 0.02, `${match.score} vs ${exact}`);
+      }
+    }
+  });
+
+  test('ids the rescoring source lacks keep their quantized score', async () => {
+    const partial = new Map([...rescoreVectors].slice(0, 200));
+    const store = filled(new QuantizedVectorStore({ mode: 'binary', oversample: 4, rescoreVectors: partial }));
+    const matches = await store.search(queries[0], { limit: K * 4, threshold: -1 });
+    assert.ok(matches.some(match => !partial.has(match.id)));
+    for (const match of matches) {
+      const full = partial.get(match.id);
+      if (full) assert.ok(Math.abs(match.score - cosine(queries[0], full)) < 1e-5);
+    }
+  });
+
+  test('applies the allowed ids', async () => {
+    const store = filled(new QuantizedVectorStore({ mode: 'int8', oversample: 4, rescoreVectors }));
+    const allowedIds = new Set(corpus.filter((_, i) => i % 2 === 0).map(entry => entry.id));
+    for (const query of queries) {
+      const matches = await store.search(query, { limit: K, threshold: -1, allowedIds });
+      assert.ok(matches.every(match => allowedIds.has(match.id)));
+    }
+    assert.ok(await meanRecall(store, { allowedIds }) >= 0.95);
+  });
+
+  test('codes survive a JSON round trip', async () => {
+    for (const mode of ['none', 'int8', 'binary']) {
+      const store = filled(new QuantizedVectorStore({ mode, dimensions: 48, oversample: 0 }));
+      const copy = new QuantizedVectorStore({ mode, dimensions: 48, oversample: 0 });
+      copy.load(JSON.parse(JSON.stringify(store.serialize())));
+      assert.equal(copy.size, store.size);
+      for (const query of queries) {
+        assert.deepEqual(await copy.search(query, { limit: K, threshold: -1 }), await store.search(query, { limit: K, threshold: -1 }), mode);
+      }
+      assert.deepEqual(copy.getVector('chunk-7'), store.getVector('chunk-7'));
+    }
+    const store = filled(new QuantizedVectorStore({ mode: 'int8', dimensions: 48 }));
+    assert.throws(() => new QuantizedVectorStore({ mode: 'binary', dimensions: 48 }).load(store.serialize()), /não servem/u);
+    assert.throws(() => new QuantizedVectorStore({ mode: 'int8', dimensions: 32 }).load(store.serialize()), /não servem/u);
+  });
+
+  test('decoded codes approximate the truncated vectors', () => {
+    const int8 = filled(new QuantizedVectorStore({ mode: 'int8', dimensions: 32 }));
+    const binary = filled(new QuantizedVectorStore({ mode: 'binary', dimensions: 32 }));
+    for (const { id, vector } of corpus.slice(0, 20)) {
+      const prefix = vector.slice(0, 32);
+      assert.equal(int8.getVector(id).length, 32);
+      assert.ok(cosine(int8.getVector(id), prefix) > 0.99);
+      assert.equal(binary.getVector(id).length, 32);
+      assert.ok(cosine(binary.getVector(id), prefix) > 0.5);
+    }
+    assert.equal(int8.getVector('missing'), undefined);
+  });
+});
+
+describe('OramaVectorStore', () => {
+  test('returns the brute-force neighbours', async () => {
+    const db = create({ schema: { id: 'string', embedding: `vector[${DIMENSIONS}]` } });
+    await insertMultiple(db, corpus.map(({ id, vector }) => ({ id, embedding: vector })));
+    const store = new OramaVectorStore({ getDb: () => db });
+    for (const query of queries) {
+      const matches = await store.search(query, { limit: K, threshold: 0 });
+      assertSameMatches(matches, bruteForce(query, { threshold: 0 }));
+      assert.ok(matches.every(match => match.document.embedding.length === DIMENSIONS));
+    }
+  });
+});
+
+// Exact stand-in for hnswlib, whose native addon does not always build. A filtered search
+// stops after `filteredResults` matches, as a graph walk cut short by the filter can
+const fakeHnswlib = ({ filteredResults = Infinity } = {}) => ({
+  HierarchicalNSW: class {
+    constructor() {
+      this.points = new Map();
+      this.deleted = new Set();
+    }
+
+    initIndex({ maxElements }) { this.maxElements = maxElements; }
+    getCurrentCount() { return this.points.size; }
+    getMaxElements() { return this.maxElements; }
+    resizeIndex(maxElements) { this.maxElements = maxElements; }
+    addPoint(point, label) { this.points.set(label, point); }
+    markDelete(label) { this.deleted.add(label); }
+    getPoint(label) { return this.points.get(label); }
+    setEf() {}
+
+    searchKnn(query, k, filter) {
+      const found = [...this.points]
+        .filter(([label]) => !this.deleted.has(label) && (!filter || filter(label)))
+        .map(([label, point]) => ({ label, distance: 1 - cosine(query, point) }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, filter ? Math.min(k, filteredResults) : k);
+      return { neighbors: found.map(match => match.label), distances: found.map(match => match.distance) };
+    }
+  }
+});
+
+describe('HNSWVectorStore', async () => {
+  const hnswlib = await import('hnswlib-node').catch(() => null);
+
+  test('scores the allowed vectors exactly when a filtered search comes back short', async () => {
+    const store = filled(new HNSWVectorStore(fakeHnswlib({ filteredResults: 2 })));
+    const allowedIds = new Set(corpus.filter((_, i) => i % 50 === 0).map(entry => entry.id));
+    allowedIds.add('not-in-the-index');
+    for (const query of queries) {
+      assertSameMatches(await store.search(query, { limit: K, threshold: -1, allowedIds }), bruteForce(query, { allowedIds }));
+    }
+  });
+
+  test('finds most of the brute-force neighbours (skipped without the hnswlib-node native addon)', { skip: !hnswlib && 'hnswlib-node is not available' }, async () => {
+    const store = filled(new HNSWVectorStore(hnswlib, { initialCapacity: 64 }));
+    assert.ok(await meanRecall(store) >= 0.95);
+    store.remove(['chunk-0']);
+    assert.ok((await store.search(corpus[0].vector, { limit: K, threshold: -1 })).every(match => match.id !== 'chunk-0'));
+  });
+});
+
+test('createVectorStore builds each store by name', () => {
+  assert.ok(createVectorStore('exact') instanceof ExactVectorStore);
+  assert.ok(createVectorStore('orama', { getDb: () => null }) instanceof OramaVectorStore);
+  const rescoreVectors = new Map();
+  const quantized = createVectorStore('quantized', { quantization: { mode: 'binary', dimensions: 32, oversample: 2 }, rescoreVectors });
+  assert.equal(quantized.mode.id, 'binary');
+  assert.equal(quantized.rescoreVectors, rescoreVectors);
+  assert.throws(() => createVectorStore('orama'), /Orama/u);
+  assert.throws(() => createVectorStore('hnsw'), /hnswlib-node/u);
+  assert.throws(() => createVectorStore('faiss'), /desconhecido/u);
+});
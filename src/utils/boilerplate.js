@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Running header, footer and page-number detection
+ *
+ * Boilerplate is a line near the top or bottom of the page whose text -
+ * with digits masked, so "Page 3" matches "Page 4" - repeats at the same
+ * vertical position on many pages. Such lines are dropped from the page
+ * text before chunking.
+ */
+
+import { groupItemsIntoLines, joinLineItems } from './pageText.js';
+
+/**
+ * Number of lines at the top and at the bottom of a page that can be boilerplate
+ */
+const EDGE_LINES = 3;
+
+/**
+ * Share of the page height, at the top and at the bottom, where boilerplate can sit
+ */
+const EDGE_BAND = 0.1;
+
+/**
+ * Vertical distance (in PDF units) within which two lines count as the same position
+ */
+const Y_TOLERANCE = 3;
+
+/**
+ * A line is boilerplate when it repeats on at least this many pages...
+ */
+const MIN_REPEAT_PAGES = 3;
+
+/**
+ * ...and on at least this share of the document's pages (alternating
+ * odd/even headers appear on half of them)
+ */
+const MIN_REPEAT_RATIO = 0.3;
+
+/**
+ * @param {string} text - Line text
+ * @returns {string} Comparison key: lower case, digits and lone roman numerals masked
+ */
+export const boilerplateKey = (text) => {
+  const key = text.toLowerCase().replace(/\s+/g, ' ').trim();
+  if (/^[\W_]*[ivxlcdm]+[\W_]*$/.test(key)) {
+    return key.replace(/[ivxlcdm]+/, '#');
+  }
+  return key.replace(/\d+/g, '#');
+};
+
+/**
+ * Lines at the top and bottom of a page, the only places boilerplate is looked for
+ * @param {Object} textContent - Result of pdfjs `page.getTextContent()`
+ * @param {number[]} [view] - Page box `[x0, y0, x1, y1]` (pdfjs `page.view`); limits edge lines to the margins
+ * @returns {Array<{y: number, text: string, position: 'header'|'footer'}>} Edge lines, top to bottom
+ */
+export function collectEdgeLines(textContent, view) {
+  const lines = groupItemsIntoLines(textContent)
+    .map(line => ({ y: line.y, text: joinLineItems(line.items) }))
+    .filter(line => line.text.length > 0);
+
+  const [, bottom = -Infinity, , top = Infinity] = view || [];
+  const band = view ? (top - bottom) * EDGE_BAND : Infinity;
+
+  return lines
+    .map((line, index) => {
+      if (index < EDGE_LINES && line.y >= top - band) return { ...line, position: 'header' };
+      if (index >= lines.length - EDGE_LINES && line.y <= bottom + band) return { ...line, position: 'footer' };
+      return null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Find the lines that repeat at the same position across the document
+ * @param {Array<{pageNumber: number, edgeLines: Array<{y: number, text: string, position: string}>}>} pages - Edge lines per page
+ * @param {number} totalPages - Pages in the document
+ * @returns {Array<{key: string, text: string, y: number, position: 'header'|'footer', pageCount: number}>} Boilerplate patterns
+ */
+export function findBoilerplate(pages, totalPages) {
+  const minPages = Math.max(MIN_REPEAT_PAGES, Math.ceil(totalPages * MIN_REPEAT_RATIO));
+  const occurrences = new Map();
+
+  pages.forEach(({ pageNumber, edgeLines }) => edgeLines.forEach(line => {
+    const key = boilerplateKey(line.text);
+    if (!key) return;
+    if (!occurrences.has(key)) occurrences.set(key, []);
+    occurrences.get(key).push({ ...line, pageNumber });
+  }));
+
+  const patterns = [];
+  occurrences.forEach((lines, key) => {
+    // Position shared by the most pages
+    let best = null;
+    lines.forEach(anchor => {
+      const pageNumbers = new Set(lines
+        .filter(line => Math.abs(line.y - anchor.y) <= Y_TOLERANCE)
+        .map(line => line.pageNumber));
+      if (!best || pageNumbers.size > best.pageCount) {
+        best = { anchor, pageCount: pageNumbers.size };
+      }
+    });
+
+    if (best.pageCount >= minPages) {
+      patterns.push({
+        key,
+        text: best.anchor.text,
+        y: best.anchor.y,
+        position: best.anchor.position,
+        pageCount: best.pageCount
+      });
+    }
+  });
+
+  return patterns;
+}
+
+/**
+ * Drop the text items of a page's boilerplate lines
+ * @param {Object} textContent - Result of pdfjs `page.getTextContent()`
+ * @param {Array<{y: number, text: string}>} edgeLines - Output of `collectEdgeLines` for the page
+ * @param {Array<{key: string, y: number}>} patterns - Output of `findBoilerplate`
+ * @returns {{textContent: Object, removedLines: number}} Text content without boilerplate
+ */
+export function removeBoilerplate(textContent, edgeLines, patterns) {
+  const removedYs = new Set(edgeLines
+    .filter(line => patterns.some(pattern =>
+      pattern.key === boilerplateKey(line.text) && Math.abs(pattern.y - line.y) <= Y_TOLERANCE))
+    .map(line => line.y));
+
+  if (removedYs.size === 0) {
+    return { textContent, removedLines: 0 };
+  }
+
+  return {
+    textContent: {
+      ...textContent,
+      items: textContent.items.filter(item => !item.transform || !removedYs.has(Math.round(item.transform[5])))
+    },
+    removedLines: removedYs.size
+  };
+}
+
+/**
+ * Drop boilerplate from text without positions (OCR output), looking only
+ * at the first and last lines
+ * @param {string} text - Page text
+ * @param {Array<{key: string}>} patterns - Output of `findBoilerplate`
+ * @returns {{text: string, removedLines: number}} Text without boilerplate
+ */
+export function removeBoilerplateFromText(text, patterns) {
+  const lines = text.split('\n');
+  const keys = new Set(patterns.map(pattern => pattern.key));
+  let removedLines = 0;
+
+  const kept = lines.filter((line, index) => {
+    const atEdge = index < EDGE_LINES || index >= lines.length - EDGE_LINES;
+    if (atEdge && line.trim() && keys.has(boilerplateKey(line))) {
+      removedLines++;
+      return false;
+    }
+    return true;
+  });
+
+  return { text: kept.join('\n').trim(), removedLines };
+}
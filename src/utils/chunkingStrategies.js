@@ -0,0 +1,500 @@
+/**
+ * @fileoverview Named chunking strategies for `SimpleTextSplitter`
+ *
+ * Every strategy returns spans of the text it was given: `{ start, end }`
+ * with `text.slice(start, end)` being the chunk, so chunks keep their
+ * separators and can always be traced back to the source. A chunk may also
+ * carry a `prefix` (the header of a Markdown table it continues), which is
+ * prepended to its text but not part of its span. Given the same input and
+ * options (and, for `semantic`, the same embeddings) a strategy always
+ * returns the same spans.
+ */
+
+import { cosineSimilarity } from './vectors.js';
+
+/**
+ * Split points for `recursive`, coarsest first
+ */
+const DEFAULT_SEPARATORS = ['\n\n', '\n', '. ', '! ', '? ', '; ', ': ', ' '];
+
+/**
+ * @param {string} line - Line of text
+ * @returns {boolean} Whether the line is a Markdown table row
+ */
+const isTableRow = (line) => /^\s*\|.*\|\s*$/.test(line || '');
+
+/**
+ * @param {string} line - Line of text
+ * @returns {boolean} Whether the line is a Markdown table header separator
+ */
+const isTableSeparator = (line) => /^\s*\|(\s*:?-{3,}:?\s*\|)+\s*$/.test(line || '');
+
+/**
+ * Narrow a span so it neither starts nor ends with whitespace
+ * @param {string} text - Source text
+ * @param {number} start - Span start
+ * @param {number} end - Span end
+ * @returns {{start: number, end: number}} Trimmed span (empty when all blank)
+ */
+function trimSpan(text, start, end) {
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  return { start, end };
+}
+
+/**
+ * Cut a text into its lines, with offsets
+ * @param {string} text - Source text
+ * @param {number} [start=0] - Region start
+ * @param {number} [end=text.length] - Region end
+ * @returns {Array<{start: number, end: number, text: string}>} Lines, without their newline
+ */
+function splitLines(text, start = 0, end = text.length) {
+  const lines = [];
+  let lineStart = start;
+  for (let i = start; i <= end; i++) {
+    if (i === end || text[i] === '\n') {
+      lines.push({ start: lineStart, end: i, text: text.slice(lineStart, i) });
+      lineStart = i + 1;
+    }
+  }
+  return lines;
+}
+
+/**
+ * Split a region into prose regions and Markdown table rows. Each row is
+ * one unit that remembers its table's header, so a table cut across
+ * chunks can repeat it.
+ * @param {string} text - Source text
+ * @param {number} start - Region start
+ * @param {number} end - Region end
+ * @returns {Array<{start: number, end: number, prose?: boolean, tableHeader?: string, isHeader?: boolean}>} Regions in order
+ */
+function splitTables(text, start, end) {
+  const lines = splitLines(text, start, end);
+  const regions = [];
+  let proseStart = null;
+
+  const flushProse = (proseEnd) => {
+    if (proseStart !== null) {
+      regions.push({ start: proseStart, end: proseEnd, prose: true });
+      proseStart = null;
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    if (!(isTableRow(lines[i].text) && isTableSeparator(lines[i + 1]?.text))) {
+      if (proseStart === null) proseStart = lines[i].start;
+      continue;
+    }
+
+    flushProse(lines[i].start);
+    const tableHeader = `${lines[i].text.trim()}\n${lines[i + 1].text.trim()}`;
+    regions.push({ start: lines[i].start, end: lines[i + 1].end, tableHeader, isHeader: true });
+    i += 2;
+    while (i < lines.length && isTableRow(lines[i].text)) {
+      regions.push({ start: lines[i].start, end: lines[i].end, tableHeader });
+      i++;
+    }
+    i--;
+  }
+  flushProse(end);
+
+  return regions;
+}
+
+/**
+ * Recursively cut a span at the coarsest separator until every piece fits.
+ * Each piece keeps the separator that ended it.
+ * @param {string} text - Source text
+ * @param {number} start - Span start
+ * @param {number} end - Span end
+ * @param {string[]} separators - Separators still to try, coarsest first
+ * @param {function(number, number): boolean} fits - Whether a span fits in a chunk
+ * @returns {Array<{start: number, end: number}>} Pieces in order
+ */
+function recursiveSpans(text, start, end, separators, fits) {
+  if (fits(start, end)) {
+    return [{ start, end }];
+  }
+
+  const index = separators.findIndex(separator => text.slice(start, end).includes(separator));
+  if (index === -1) {
+    // No separator left (a very long word): halve it
+    if (end - start < 2) return [{ start, end }];
+    const middle = start + Math.floor((end - start) / 2);
+    return [
+      ...recursiveSpans(text, start, middle, [], fits),
+      ...recursiveSpans(text, middle, end, [], fits)
+    ];
+  }
+
+  const separator = separators[index];
+  const finer = separators.slice(index + 1);
+  const spans = [];
+  let pieceStart = start;
+  let position = text.indexOf(separator, start);
+  while (position !== -1 && position + separator.length <= end) {
+    spans.push(...recursiveSpans(text, pieceStart, position + separator.length, finer, fits));
+    pieceStart = position + separator.length;
+    position = text.indexOf(separator, pieceStart);
+  }
+  if (pieceStart < end) {
+    spans.push(...recursiveSpans(text, pieceStart, end, finer, fits));
+  }
+  return spans;
+}
+
+/**
+ * Cut a span into sentences. A sentence ends at `.`, `!`, `?` or `…`
+ * (with any closing quotes or brackets) followed by whitespace, and at
+ * blank lines - but not after an abbreviation, an initial, or when the
+ * next word starts in lower case.
+ * @param {string} text - Source text
+ * @param {Object} [options]
+ * @param {number} [options.start=0] - Span start
+ * @param {number} [options.end=text.length] - Span end
+ * @param {Set<string>} [options.abbreviations] - Lower-case abbreviations of the text's language
+ * @returns {Array<{start: number, end: number}>} Trimmed sentence spans
+ */
+export function splitSentences(text, { start = 0, end = text.length, abbreviations = new Set() } = {}) {
+  const sentences = [];
+  const boundary = /[.!?…]+["'”’»)\]]*(?=\s|$)|\n[^\S\n]*\n/gu;
+  const region = text.slice(start, end);
+  let sentenceStart = 0;
+  let match;
+
+  while ((match = boundary.exec(region)) !== null) {
+    const cut = match.index + match[0].length;
+    if (match[0].startsWith('.')) {
+      const word = region.slice(sentenceStart, match.index).match(/([\p{L}\p{M}.º]+)$/u)?.[1] || '';
+      const next = region.slice(cut).match(/\S/u)?.[0] || '';
+      if (abbreviations.has(word.toLowerCase()) || /^\p{Lu}$/u.test(word) || /\p{Ll}/u.test(next)) {
+        continue;
+      }
+    }
+    const span = trimSpan(text, start + sentenceStart, start + cut);
+    if (span.end > span.start) sentences.push(span);
+    sentenceStart = cut;
+  }
+
+  const last = trimSpan(text, start + sentenceStart, end);
+  if (last.end > last.start) sentences.push(last);
+  return sentences;
+}
+
+/**
+ * Sentence units of a text, with Markdown table rows kept whole
+ * @param {string} text - Source text
+ * @param {Object} options - Strategy options (`abbreviations`)
+ * @returns {Array<Object>} Units in order
+ */
+function sentenceUnits(text, { abbreviations }) {
+  return splitTables(text, 0, text.length).flatMap(region => (region.prose
+    ? splitSentences(text, { start: region.start, end: region.end, abbreviations })
+    : [region]));
+}
+
+/**
+ * Start of the overlap taken from the end of a chunk: a word start whose
+ * tail fits in `overlapTokens`, as far back as the search reaches. A tail
+ * gains tokens as it grows (BPE merges at the cut aside), so word starts are
+ * binary searched: a handful of token counts per chunk, not one per word.
+ * @param {string} text - Source text
+ * @param {{start: number, end: number}} chunk - Previous chunk
+ * @param {number} overlapTokens - Tokens to repeat
+ * @param {function(string): number} tokenizer - Token counter
+ * @returns {number|null} Overlap start, or null for no overlap
+ */
+function overlapStart(text, chunk, overlapTokens, tokenizer) {
+  if (overlapTokens <= 0) return null;
+
+  // Word starts, nearest the end first
+  const wordStarts = [];
+  for (let i = chunk.end - 1; i > chunk.start; i--) {
+    if (/\s/.test(text[i - 1]) && !/\s/.test(text[i])) wordStarts.push(i);
+  }
+
+  let best = null;
+  let low = 0;
+  let high = wordStarts.length - 1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (tokenizer(text.slice(wordStarts[middle], chunk.end)) <= overlapTokens) {
+      best = wordStarts[middle];
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return best;
+}
+
+/**
+ * Greedily merge consecutive units into chunks of at most `chunkSize`
+ * tokens. Units with `breakBefore` always start a new chunk (and take no
+ * overlap); a table cut across chunks repeats its header as a `prefix`.
+ * @param {string} text - Source text
+ * @param {Array<{start: number, end: number, breakBefore?: boolean, tableHeader?: string, isHeader?: boolean}>} units - Units in order
+ * @param {Object} options
+ * @param {number} options.chunkSize - Largest chunk, in tokens
+ * @param {number} options.chunkOverlap - Tokens repeated after a size cut
+ * @param {function(string): number} options.tokenizer - Token counter
+ * @returns {Array<{start: number, end: number, prefix?: string}>} Chunk spans
+ */
+export function packUnits(text, units, { chunkSize, chunkOverlap, tokenizer }) {
+  const chunks = [];
+  let current = null;
+  let previousUnit = null;
+
+  const size = (chunk, end) => tokenizer((chunk.prefix ? chunk.prefix + '\n' : '') + text.slice(chunk.start, end));
+  const close = () => {
+    const span = trimSpan(text, current.start, current.end);
+    if (span.end > span.start) chunks.push(current.prefix ? { ...span, prefix: current.prefix } : span);
+    return span;
+  };
+
+  units.forEach(unit => {
+    if (current && !unit.breakBefore && size(current, unit.end) <= chunkSize) {
+      current.end = unit.end;
+      previousUnit = unit;
+      return;
+    }
+
+    const closed = current ? close() : null;
+
+    if (closed && !unit.breakBefore && unit.tableHeader && !unit.isHeader && previousUnit?.tableHeader === unit.tableHeader) {
+      // Table continues in a new chunk: repeat its header instead of overlapping words
+      current = { start: unit.start, end: unit.end, prefix: unit.tableHeader };
+    } else if (closed && !unit.breakBefore && !previousUnit?.tableHeader) {
+      const overlap = overlapStart(text, closed, chunkOverlap, tokenizer);
+      current = overlap !== null && size({ start: overlap }, unit.end) <= chunkSize
+        ? { start: overlap, end: unit.end }
+        : { start: unit.start, end: unit.end };
+    } else {
+      current = { start: unit.start, end: unit.end };
+    }
+    previousUnit = unit;
+  });
+
+  if (current) close();
+  return chunks;
+}
+
+/**
+ * Recursive character splitting: paragraphs, then lines, sentences,
+ * clauses and words, only as far down as needed to fit
+ * @param {string} text - Source text
+ * @param {Object} options - Splitter options
+ * @returns {Array<{start: number, end: number, prefix?: string}>} Chunk spans
+ */
+function splitRecursive(text, options) {
+  const { chunkSize, tokenizer, separators = DEFAULT_SEPARATORS } = options;
+  const fits = (start, end) => tokenizer(text.slice(start, end)) <= chunkSize;
+  const units = splitTables(text, 0, text.length).flatMap(region => (region.prose
+    ? recursiveSpans(text, region.start, region.end, separators, fits)
+    : [region]));
+  return packUnits(text, units, options);
+}
+
+/**
+ * Sentence windows: chunks of up to `sentencesPerChunk` whole sentences,
+ * each with the span of `windowSize` sentences around it as `window`, to
+ * give the answer model more context than was embedded
+ * @param {string} text - Source text
+ * @param {Object} options - Splitter options
+ * @returns {Array<{start: number, end: number, window: {start: number, end: number}}>} Chunk spans
+ */
+function splitSentenceWindow(text, options) {
+  const { chunkSize, tokenizer, sentencesPerChunk, windowSize, separators = DEFAULT_SEPARATORS } = options;
+  const sentences = sentenceUnits(text, options);
+  const chunks = [];
+
+  for (let first = 0; first < sentences.length;) {
+    let last = first;
+    while (
+      last + 1 < sentences.length &&
+      last + 1 - first < sentencesPerChunk &&
+      tokenizer(text.slice(sentences[first].start, sentences[last + 1].end)) <= chunkSize
+    ) {
+      last++;
+    }
+    chunks.push({
+      start: sentences[first].start,
+      end: sentences[last].end,
+      window: {
+        start: sentences[Math.max(0, first - windowSize)].start,
+        end: sentences[Math.min(sentences.length - 1, last + windowSize)].end
+      }
+    });
+    first = last + 1;
+  }
+
+  // Sentences longer than a chunk still need cutting
+  return chunks.flatMap(chunk => (tokenizer(text.slice(chunk.start, chunk.end)) <= chunkSize
+    ? [chunk]
+    : packUnits(text, recursiveSpans(text, chunk.start, chunk.end, separators.slice(2), (start, end) => tokenizer(text.slice(start, end)) <= chunkSize), options)
+      .map(span => ({ ...span, window: chunk.window }))));
+}
+
+/**
+ * Markdown-aware splitting: chunks never cross a heading, fenced code
+ * blocks and table rows are never cut, and each chunk knows its `heading`
+ * @param {string} text - Source text
+ * @param {Object} options - Splitter options
+ * @returns {Array<{start: number, end: number, heading: string, prefix?: string}>} Chunk spans
+ */
+function splitMarkdown(text, options) {
+  const { chunkSize, tokenizer, separators = DEFAULT_SEPARATORS } = options;
+  const fits = (start, end) => tokenizer(text.slice(start, end)) <= chunkSize;
+  const lines = splitLines(text);
+  const sections = [];
+  let section = { start: 0, heading: '' };
+  let fence = null;
+
+  // Sections start at ATX headings ("## Title") and setext headings (a line underlined with === or ---)
+  lines.forEach((line, index) => {
+    if (/^\s*(```|~~~)/.test(line.text)) {
+      fence = fence ? null : line.start;
+      return;
+    }
+    if (fence !== null) return;
+
+    const atx = line.text.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+    const setext = index > 0 && /^\s{0,3}(=+|-+)\s*$/.test(line.text) && lines[index - 1].text.trim() && !isTableRow(lines[index - 1].text)
+      ? lines[index - 1]
+      : null;
+    if (atx || setext) {
+      const headingStart = atx ? line.start : setext.start;
+      section.end = headingStart;
+      sections.push(section);
+      section = { start: headingStart, heading: atx ? atx[1] : setext.text.trim() };
+    }
+  });
+  section.end = text.length;
+  sections.push(section);
+
+  return sections.flatMap(({ start, end, heading }) => {
+    // Fenced code blocks are atomic units unless they do not fit at all
+    const units = [];
+    let proseStart = start;
+    let fenceStart = null;
+    splitLines(text, start, end).forEach(line => {
+      if (!/^\s*(```|~~~)/.test(line.text)) return;
+      if (fenceStart === null) {
+        fenceStart = line.start;
+        return;
+      }
+      units.push({ start: proseStart, end: fenceStart, prose: true });
+      units.push({ start: fenceStart, end: line.end, code: true });
+      proseStart = line.end;
+      fenceStart = null;
+    });
+    units.push({ start: proseStart, end, prose: true });
+
+    const sectionUnits = units.flatMap(unit => {
+      if (unit.code) {
+        return fits(unit.start, unit.end) ? [unit] : recursiveSpans(text, unit.start, unit.end, ['\n'], fits);
+      }
+      return splitTables(text, unit.start, unit.end).flatMap(region => (region.prose
+        ? recursiveSpans(text, region.start, region.end, separators, fits)
+        : [region]));
+    });
+    if (sectionUnits.length > 0) sectionUnits[0] = { ...sectionUnits[0], breakBefore: true };
+
+    return packUnits(text, sectionUnits, options).map(span => ({ ...span, heading }));
+  });
+}
+
+/**
+ * Semantic splitting: embed every sentence (with `bufferSize` neighbours
+ * on each side), and start a new chunk where the distance between
+ * adjacent sentences is above the `breakpointPercentile` of all distances.
+ * Groups larger than a chunk are cut by size.
+ * @param {string} text - Source text
+ * @param {Object} options - Splitter options, with `embed(texts) => Promise<number[][]>`
+ * @returns {Promise<Array<{start: number, end: number, prefix?: string}>>} Chunk spans
+ * @throws {Error} Without an `embed` function
+ */
+async function splitSemantic(text, options) {
+  const { embed, bufferSize, breakpointPercentile } = options;
+  if (typeof embed !== 'function') {
+    throw new Error('The semantic chunking strategy needs an `embed` function');
+  }
+
+  const sentences = sentenceUnits(text, options);
+  if (sentences.length < 2) {
+    return packUnits(text, sentences, options);
+  }
+
+  const windows = sentences.map((_, index) => text.slice(
+    sentences[Math.max(0, index - bufferSize)].start,
+    sentences[Math.min(sentences.length - 1, index + bufferSize)].end
+  ));
+  const vectors = await embed(windows);
+  const distances = sentences.slice(1).map((_, index) => 1 - cosineSimilarity(vectors[index], vectors[index + 1]));
+
+  const sorted = [...distances].sort((a, b) => a - b);
+  const threshold = sorted[Math.min(sorted.length - 1, Math.floor((breakpointPercentile / 100) * sorted.length))];
+
+  const units = sentences.map((sentence, index) => (index > 0 && distances[index - 1] >= threshold && distances[index - 1] > 0
+    ? { ...sentence, breakBefore: true }
+    : sentence));
+  return packUnits(text, units, options);
+}
+
+/**
+ * Available strategies. `defaults` lists the options each one accepts on
+ * top of the splitter's `chunkSize`, `chunkOverlap`, `tokenizer`,
+ * `separators` and `abbreviations`.
+ */
+export const CHUNKING_STRATEGIES = {
+  recursive: {
+    id: 'recursive',
+    label: 'Recursiva',
+    description: 'Parágrafos, depois linhas, frases e palavras, só até caber no tamanho do chunk',
+    defaults: {},
+    split: splitRecursive,
+  },
+  'sentence-window': {
+    id: 'sentence-window',
+    label: 'Janela de frases',
+    description: 'Poucas frases inteiras por chunk, cada uma com as frases vizinhas como contexto',
+    defaults: { sentencesPerChunk: 3, windowSize: 2 },
+    split: splitSentenceWindow,
+  },
+  markdown: {
+    id: 'markdown',
+    label: 'Markdown',
+    description: 'Nunca atravessa títulos; blocos de código e linhas de tabela ficam inteiros',
+    defaults: {},
+    split: splitMarkdown,
+  },
+  semantic: {
+    id: 'semantic',
+    label: 'Semântica',
+    description: 'Corta onde a similaridade entre frases vizinhas cai (requer embeddings)',
+    defaults: { bufferSize: 1, breakpointPercentile: 90 },
+    needsEmbeddings: true,
+    split: splitSemantic,
+  },
+};
+
+/**
+ * Strategy used when none is given
+ */
+export const DEFAULT_CHUNKING_STRATEGY = 'recursive';
+
+/**
+ * Look up a strategy by name
+ * @param {string} [name=DEFAULT_CHUNKING_STRATEGY] - Strategy id
+ * @returns {Object} Strategy
+ * @throws {Error} When no strategy has that name
+ */
+export function getChunkingStrategy(name = DEFAULT_CHUNKING_STRATEGY) {
+  const strategy = CHUNKING_STRATEGIES[name];
+  if (!strategy) {
+    throw new Error(`Unknown chunking strategy: ${name}`);
+  }
+  return strategy;
+}
@@ -0,0 +1,165 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CHUNKING_STRATEGIES, splitSentences } from './chunkingStrategies.js';
+import { getLanguageProfile } from './language.js';
+import { SimpleTextSplitter } from './textSplitter.js';
+
+const CHUNK_SIZE = 40;
+const CHUNK_OVERLAP = 10;
+
+const FINANCE = [
+  'A receita líquida da empresa cresceu 12% no exercício, puxada pelas vendas no mercado interno.',
+  'O lucro operacional chegou a R$ 4,2 milhões, acima da projeção feita pela diretoria no início do ano.',
+  'As despesas financeiras caíram com a renegociação da dívida bancária de longo prazo.',
+  'O caixa encerrou o período em R$ 9 milhões, suficiente para cobrir dezoito meses de operação.',
+  'Os investimentos em tecnologia somaram R$ 1,1 milhão e foram pagos com recursos próprios.',
+  'O conselho aprovou a distribuição de dividendos equivalentes a 25% do lucro do exercício.'
+];
+
+const WEATHER = [
+  'A frente fria trouxe chuva forte para o litoral durante todo o fim de semana.',
+  'As temperaturas mínimas ficaram abaixo de dez graus nas cidades da serra.',
+  'A previsão indica céu nublado e ventos fortes até a próxima quarta-feira.',
+  'O volume de chuva acumulado no mês já passou da média histórica para o inverno.',
+  'A umidade do ar deve subir com a chegada de uma nova massa de ar polar.',
+  'Os meteorologistas recomendam atenção a alagamentos nas regiões mais baixas.'
+];
+
+const PROSE = `${FINANCE.slice(0, 3).join(' ')}\n\n${FINANCE.slice(3).join(' ')}\n\n${WEATHER.join(' ')}`;
+
+const MARKDOWN = `# Relatório anual
+
+${FINANCE.slice(0, 3).join(' ')}
+
+## Resultados por trimestre
+
+| Trimestre | Receita | Lucro |
+| --- | --- | --- |
+| T1 | 10,2 | 1,1 |
+| T2 | 11,4 | 1,3 |
+| T3 | 12,0 | 0,9 |
+| T4 | 13,1 | 0,9 |
+
+\`\`\`
+total = soma(receitas)
+\`\`\`
+
+## Clima e operações
+
+${WEATHER.slice(0, 4).join(' ')}
+`;
+
+const SAMPLES = { recursive: PROSE, 'sentence-window': PROSE, markdown: MARKDOWN, semantic: PROSE };
+
+const TOPIC_TERMS = [
+  /receita|lucro|despesas|caixa|investimentos|dividendos/iu,
+  /chuva|temperaturas|previsão|umidade|meteorologistas|frente fria/iu
+];
+
+// Toy embeddings: which subjects a text mentions
+const embed = async (texts) => texts.map(text => TOPIC_TERMS.map(terms => (terms.test(text) ? 1 : 0)));
+
+// The splitter's own token count: what chunkSize and chunkOverlap are measured in
+const countTokens = new SimpleTextSplitter({ language: 'pt' }).tokenizer;
+
+const split = (strategy, text = SAMPLES[strategy], options = {}) => new SimpleTextSplitter({
+  chunkSize: CHUNK_SIZE,
+  chunkOverlap: CHUNK_OVERLAP,
+  language: 'pt',
+  strategy,
+  embed,
+  ...options
+}).splitText(text);
+
+describe('chunking strategies', () => {
+  for (const strategy of Object.keys(CHUNKING_STRATEGIES)) {
+    describe(strategy, () => {
+      test('chunks are the text between their offsets', async () => {
+        const text = SAMPLES[strategy];
+        for (const chunk of await split(strategy)) {
+          assert.ok(chunk.start < chunk.end, `empty span at ${chunk.start}`);
+          // Only a continued table has text before its span: the repeated header
+          const span = text.slice(chunk.start, chunk.end);
+          assert.ok(chunk.text === span || (chunk.text.endsWith(`\n${span}`) && chunk.text.startsWith('|')), chunk.text);
+        }
+      });
+
+      test('chunks fit in chunkSize tokens', async () => {
+        for (const chunk of await split(strategy)) {
+          assert.ok(chunk.tokens <= CHUNK_SIZE, `${chunk.tokens} tokens: ${chunk.text}`);
+          assert.equal(chunk.tokens, countTokens(chunk.text));
+        }
+      });
+
+      test('chunks cover the text in order', async () => {
+        const text = SAMPLES[strategy];
+        const chunks = await split(strategy);
+        const covered = new Array(text.length).fill(false);
+        chunks.forEach((chunk, index) => {
+          if (index > 0) assert.ok(chunk.start >= chunks[index - 1].start);
+          covered.fill(true, chunk.start, chunk.end);
+        });
+        const missing = [...text].findIndex((char, index) => !covered[index] && /\S/u.test(char));
+        assert.equal(missing, -1, `offset ${missing} is in no chunk: ${text.slice(missing, missing + 30)}`);
+      });
+
+      test('same input gives the same chunks', async () => {
+        assert.deepEqual(await split(strategy), await split(strategy));
+      });
+    });
+  }
+
+  test('recursive overlap repeats at most chunkOverlap tokens', async () => {
+    const chunks = await split('recursive');
+    let overlaps = 0;
+    for (let i = 1; i < chunks.length; i++) {
+      if (chunks[i].start >= chunks[i - 1].end) continue;
+      overlaps++;
+      assert.ok(countTokens(PROSE.slice(chunks[i].start, chunks[i - 1].end)) <= CHUNK_OVERLAP);
+    }
+    assert.ok(overlaps > 0, 'no chunk overlapped the previous one');
+  });
+
+  test('recursive chunks keep their punctuation', async () => {
+    const chunks = await split('recursive', PROSE, { chunkOverlap: 0 });
+    assert.equal(chunks.map(chunk => chunk.text).join(' ').replace(/\s+/gu, ' '), PROSE.replace(/\s+/gu, ' '));
+  });
+
+  test('sentence-window chunks are whole sentences inside their window', async () => {
+    const sentences = splitSentences(PROSE, { abbreviations: getLanguageProfile('pt').abbreviations });
+    const starts = new Set(sentences.map(sentence => sentence.start));
+    const ends = new Set(sentences.map(sentence => sentence.end));
+    for (const chunk of await split('sentence-window')) {
+      assert.ok(starts.has(chunk.start) && ends.has(chunk.end), chunk.text);
+      assert.ok(chunk.window.start <= chunk.start && chunk.window.end >= chunk.end);
+    }
+  });
+
+  test('markdown chunks never cross a heading, a table row or a code block', async () => {
+    const chunks = await split('markdown');
+    for (const chunk of chunks) {
+      const lines = MARKDOWN.slice(chunk.start, chunk.end).split('\n');
+      assert.ok(lines.slice(1).every(line => !/^#{1,6}\s/u.test(line)), chunk.text);
+      assert.ok(lines.filter(line => line.startsWith('|')).every(line => line.endsWith('|')), chunk.text);
+      assert.equal((chunk.text.match(/```/gu) || []).length % 2, 0, chunk.text);
+    }
+    assert.deepEqual([...new Set(chunks.map(chunk => chunk.heading))], ['Relatório anual', 'Resultados por trimestre', 'Clima e operações']);
+    // The table cut across chunks repeats its header
+    const continued = chunks.filter(chunk => chunk.text.startsWith('| Trimestre') && !MARKDOWN.slice(chunk.start).startsWith('| Trimestre'));
+    assert.ok(continued.length > 0, 'the table was not cut across chunks');
+  });
+
+  test('semantic splitting breaks where the subject changes', async () => {
+    const chunks = await split('semantic', PROSE, { chunkSize: 512, strategyOptions: { bufferSize: 0 } });
+    for (const chunk of chunks) {
+      const topics = TOPIC_TERMS.filter(terms => chunk.text.match(terms));
+      assert.ok(topics.length <= 1, `chunk mixes subjects: ${chunk.text}`);
+    }
+    assert.equal(chunks.length, 2);
+    assert.ok(chunks[1].text.startsWith(WEATHER[0]));
+  });
+
+  test('semantic splitting needs an embed function', async () => {
+    await assert.rejects(split('semantic', PROSE, { embed: null }), /embed/u);
+  });
+});
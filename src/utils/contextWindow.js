@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Joining neighbouring chunks into one context window
+ *
+ * Consecutive chunks repeat the splitter's overlap, so gluing them together
+ * as-is would show the model the same sentences twice. Chunks carry their
+ * offsets in the document stream, which tell exactly how much of the later
+ * chunk the earlier one already holds; chunks without offsets (indexes
+ * built before offsets existed) fall back to matching the repeated text.
+ */
+
+/**
+ * Shortest repeated text taken as overlap when offsets are missing;
+ * shorter matches are usually a coincidence (a shared word or space)
+ */
+const MIN_TEXT_OVERLAP = 10;
+
+/**
+ * Separator between chunks that do not overlap
+ */
+const GAP_SEPARATOR = '\n\n';
+
+/**
+ * @typedef {Object} Span
+ * @property {string} text - Chunk text (it may start with a repeated table header)
+ * @property {number} [charStart] - Start offset in the document stream
+ * @property {number} [charEnd] - End offset in the document stream
+ */
+
+const hasOffsets = (span) => Number.isFinite(span.charStart) && Number.isFinite(span.charEnd);
+
+/**
+ * Length of the longest end of `before` that `after` starts with
+ * @param {string} before - Earlier text
+ * @param {string} after - Later text
+ * @returns {number} Overlap length, 0 below `MIN_TEXT_OVERLAP`
+ */
+export function textOverlap(before, after) {
+  for (let length = Math.min(before.length, after.length); length >= MIN_TEXT_OVERLAP; length--) {
+    if (before.endsWith(after.slice(0, length))) return length;
+  }
+  return 0;
+}
+
+/**
+ * Whether two spans of the same document share text
+ * @param {Span} a - A span
+ * @param {Span} b - Another span
+ * @returns {boolean} True when both have offsets and they overlap
+ */
+export function spansOverlap(a, b) {
+  return hasOffsets(a) && hasOffsets(b) && a.charStart < b.charEnd && b.charStart < a.charEnd;
+}
+
+/**
+ * Join a span with the one that follows it, without repeating their overlap
+ * @param {Span} before - Earlier span
+ * @param {Span} after - Later span
+ * @returns {Span} The joined span
+ */
+export function joinSpans(before, after) {
+  if (hasOffsets(before) && hasOffsets(after)) {
+    if (after.charEnd <= before.charEnd) return before;
+    if (after.charStart <= before.charStart) return after;
+
+    const charStart = before.charStart;
+    const charEnd = after.charEnd;
+    if (after.charStart >= before.charEnd) {
+      return { text: before.text + GAP_SEPARATOR + after.text, charStart, charEnd };
+    }
+    // The text ends with the span, so whatever precedes it (a repeated table header) goes too
+    const spanStart = after.text.length - (after.charEnd - after.charStart);
+    const cut = spanStart + (before.charEnd - after.charStart);
+    return { text: before.text + after.text.slice(cut), charStart, charEnd };
+  }
+
+  const overlap = textOverlap(before.text, after.text);
+  return {
+    text: overlap > 0 ? before.text + after.text.slice(overlap) : before.text + GAP_SEPARATOR + after.text,
+    charStart: before.charStart,
+    charEnd: after.charEnd
+  };
+}
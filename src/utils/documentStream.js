@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Whole-document text stream, so chunks can cross page breaks
+ *
+ * Page texts are concatenated into one stream with a map of where each page
+ * starts and ends. Sections that continue onto the next page become one
+ * segment, so a paragraph split by a page break ends up in one chunk, and
+ * every chunk's offsets translate back into the range of pages it covers.
+ */
+
+/**
+ * Whether a page's text continues mid-sentence on the next page
+ * @param {string} previousText - Text of the earlier page
+ * @param {string} nextText - Text of the later page
+ * @returns {boolean} True when the earlier page does not end a sentence and the later one starts in lower case
+ */
+export function isPageContinuation(previousText, nextText) {
+  const previous = previousText.trimEnd();
+  const next = nextText.trimStart();
+  return Boolean(previous && next) &&
+    !/[.!?:…"”»)\]|]$/u.test(previous) &&
+    /^\p{Ll}/u.test(next);
+}
+
+/**
+ * Concatenate pages into one stream. Pages are joined with a blank line,
+ * or a single space when a sentence runs over the page break.
+ * @param {Array<{pageNumber: number, text: string, segments?: Array<{text: string, sectionPath: string, startsSection: boolean, start?: number}>}>} pages - Pages in order
+ * @returns {{text: string, pages: Array<{pageNumber: number, start: number, end: number}>, segments: Array<{text: string, sectionPath: string, startsSection: boolean, start: number, end: number}>}}
+ *   The stream, each page's span in it, and the section segments with stream offsets
+ */
+export function buildDocumentStream(pages) {
+  let text = '';
+  let previousText = '';
+  const pageOffsets = [];
+  const segments = [];
+
+  pages.forEach(page => {
+    const pageText = page.text || '';
+    if (text && pageText.trim()) {
+      text += isPageContinuation(previousText, pageText) ? ' ' : '\n\n';
+    }
+    const pageStart = text.length;
+    text += pageText;
+    pageOffsets.push({ pageNumber: page.pageNumber, start: pageStart, end: text.length });
+    if (pageText.trim()) previousText = pageText;
+
+    const pageSegments = page.segments ||
+      (pageText.trim() ? [{ text: pageText.trim(), sectionPath: '', startsSection: false }] : []);
+
+    pageSegments.forEach(segment => {
+      const start = pageStart + (segment.start ?? pageText.indexOf(segment.text));
+      const end = start + segment.text.length;
+      const previous = segments[segments.length - 1];
+
+      if (previous && !segment.startsSection && previous.sectionPath === segment.sectionPath) {
+        // The section continues from the previous page
+        previous.end = end;
+      } else {
+        segments.push({ sectionPath: segment.sectionPath, startsSection: segment.startsSection, start, end });
+      }
+    });
+  });
+
+  return {
+    text,
+    pages: pageOffsets,
+    segments: segments.map(segment => ({ ...segment, text: text.slice(segment.start, segment.end) }))
+  };
+}
+
+/**
+ * Page holding a stream offset (offsets in a page break belong to the page before it)
+ * @param {Array<{pageNumber: number, start: number, end: number}>} pageOffsets - Spans of the non-empty pages, in order
+ * @param {number} offset - Stream offset
+ * @returns {number} Page number
+ */
+export function pageAtOffset(pageOffsets, offset) {
+  let low = 0;
+  let high = pageOffsets.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (pageOffsets[middle].start <= offset) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return pageOffsets[low]?.pageNumber ?? 1;
+}
+
+/**
+ * Pages covered by a span of the stream
+ * @param {Array<{pageNumber: number, start: number, end: number}>} pageOffsets - Spans of the non-empty pages, in order
+ * @param {number} start - Span start
+ * @param {number} end - Span end
+ * @returns {{pageStart: number, pageEnd: number}} First and last page
+ */
+export function pageRangeOf(pageOffsets, start, end) {
+  return {
+    pageStart: pageAtOffset(pageOffsets, start),
+    pageEnd: pageAtOffset(pageOffsets, Math.max(start, end - 1))
+  };
+}
+
+/**
+ * Chunk a whole document section by section, across page breaks
+ * @param {Array<Object>} pages - Pages in order (see `buildDocumentStream`)
+ * @param {import('./textSplitter.js').SimpleTextSplitter} splitter - Splitter to use
+ * @returns {Promise<Array<{text: string, sectionPath: string, startsSection: boolean, language: string|null, start: number, end: number, pageStart: number, pageEnd: number, children?: Array<Object>}>>}
+ *   Chunks in order, with offsets in the stream and the pages they cover (`children` likewise)
+ */
+export async function chunkDocument(pages, splitter) {
+  const stream = buildDocumentStream(pages);
+  const chunks = await splitter.splitSegments(stream.segments);
+  const pageOffsets = stream.pages.filter(page => page.end > page.start);
+  const withPages = (span) => ({ ...span, ...pageRangeOf(pageOffsets, span.start, span.end) });
+  return chunks.map(chunk => withPages(chunk.children ? { ...chunk, children: chunk.children.map(withPages) } : chunk));
+}
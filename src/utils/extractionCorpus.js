@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Regression corpus of pdfjs text-item fixtures
+ *
+ * Each fixture is a small `textContent` as pdfjs would return it, built
+ * with realistic metrics (glyphs about 0.5em wide, spaces about 0.25em),
+ * and the text the heuristic strategy must produce for it. Run
+ * `npm run eval:extraction` to score every strategy against the corpus.
+ */
+
+/**
+ * Average glyph width as a fraction of the font size
+ */
+const GLYPH_WIDTH = 0.5;
+
+/**
+ * Width of a space as a fraction of the font size
+ */
+const SPACE_WIDTH = 0.25;
+
+/**
+ * Build a pdfjs text item
+ * @param {string} str - Item text
+ * @param {number} x - Left edge
+ * @param {number} y - Baseline
+ * @param {number} [size=10] - Font size
+ * @returns {Object} Text item
+ */
+const item = (str, x, y, size = 10) => ({
+  str,
+  transform: [size, 0, 0, size, x, y],
+  width: str.length * size * GLYPH_WIDTH,
+  height: size,
+  fontName: 'g_d0_f1',
+  hasEOL: false,
+});
+
+/**
+ * Lay out pieces left to right on one line. A number in `pieces` is an
+ * extra gap (in em) before the next piece; strings are placed after a
+ * normal space, or flush when preceded by `0`.
+ * @param {Array<string|number>} pieces - Texts and gaps
+ * @param {number} y - Baseline
+ * @param {Object} [options]
+ * @param {number} [options.x=72] - Left margin
+ * @param {number} [options.size=10] - Font size
+ * @returns {Object[]} Text items
+ */
+const line = (pieces, y, { x = 72, size = 10 } = {}) => {
+  const items = [];
+  let cursor = x;
+  let gap = null;
+
+  pieces.forEach(piece => {
+    if (typeof piece === 'number') {
+      gap = piece;
+      return;
+    }
+    if (items.length > 0) {
+      cursor += (gap ?? SPACE_WIDTH) * size;
+    }
+    const next = item(piece, cursor, y, size);
+    items.push(next);
+    cursor += next.width;
+    gap = null;
+  });
+
+  return items;
+};
+
+/**
+ * @param {Object[][]} lines - Items per line
+ * @returns {Object} pdfjs-like text content
+ */
+const page = (...lines) => ({ items: lines.flat(), styles: {} });
+
+/**
+ * Fixtures, each `{ id, description, textContent, expected, minWordAccuracy? }`
+ */
+export const EXTRACTION_CORPUS = [
+  {
+    id: 'pt-short-words',
+    description: 'Palavras de uma letra em português ("e o", "a é") não podem ser unidas',
+    textContent: page(line(['Ele', 'e', 'o', 'irmão', 'saíram,', 'e', 'a', 'casa', 'é', 'a', 'nossa.'], 700)),
+    expected: 'Ele e o irmão saíram, e a casa é a nossa.',
+  },
+  {
+    id: 'enumeration',
+    description: 'Enumeração de letras isoladas fica separada',
+    textContent: page(line(['Opções:', 'a', 'b', 'c', 'ou', 'd.'], 700)),
+    expected: 'Opções: a b c ou d.',
+  },
+  {
+    id: 'kerned-split',
+    description: 'Palavra quebrada em vários itens sem espaço visível é unida',
+    textContent: page(line(['Pro', 0, 'cessa', 0, 'mento', 'de', 'dados', 'em', 'a', 0, 'ção.'], 700)),
+    expected: 'Processamento de dados em ação.',
+  },
+  {
+    id: 'letter-spaced-heading',
+    description: 'Título com espaçamento entre letras é unido quando a palavra aparece no documento',
+    textContent: page(
+      line(['R', 0.3, 'E', 0.3, 'S', 0.3, 'U', 0.3, 'M', 0.3, 'O'], 720, { size: 14 }),
+      line(['Este', 'resumo', 'descreve', 'o', 'método.'], 690)
+    ),
+    expected: 'RESUMO\nEste resumo descreve o método.',
+  },
+  {
+    id: 'line-hyphenation',
+    description: 'Hifenização no fim da linha é removida',
+    textContent: page(
+      line(['A', 'informação', 'foi', 'trans-'], 700),
+      line(['mitida', 'ao', 'servidor', 'central.'], 686)
+    ),
+    expected: 'A informação foi transmitida ao servidor central.',
+  },
+  {
+    id: 'compound-hyphen',
+    description: 'Hífen de palavra composta conhecida é mantido na quebra de linha',
+    textContent: page(
+      line(['Levei', 'o', 'guarda-'], 700),
+      line(['chuva,', 'mas', 'o', 'guarda-chuva', 'novo', 'ficou.'], 686)
+    ),
+    expected: 'Levei o guarda-chuva, mas o guarda-chuva novo ficou.',
+  },
+  {
+    id: 'detached-punctuation',
+    description: 'Pontuação em item separado não recebe espaço antes',
+    textContent: page(line(['Olá', 0.2, ',', 'mundo', 0.2, '!', '(veja', 'abaixo', 0.2, ')'], 700)),
+    expected: 'Olá, mundo! (veja abaixo)',
+  },
+  {
+    id: 'explicit-space-items',
+    description: 'Itens de espaço emitidos pelo pdfjs não geram espaços duplos',
+    textContent: page(line(['Texto', 0, ' ', 0, 'com', 0, ' ', 0, 'espaços', 0, ' ', 0, 'explícitos.'], 700)),
+    expected: 'Texto com espaços explícitos.',
+  },
+  {
+    id: 'english-prose',
+    description: 'Prosa em inglês com "a" e "I" isolados',
+    textContent: page(line(['I', 'saw', 'a', 'cat', 'and', 'a', 'dog.'], 700)),
+    expected: 'I saw a cat and a dog.',
+  },
+];
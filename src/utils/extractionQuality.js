@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Extraction quality measures over the text-item corpus
+ */
+
+import { EXTRACTION_STRATEGIES, extractPageText } from './extractionStrategies.js';
+import { tokenizeWords } from './textRepair.js';
+
+/**
+ * Edit distance between two sequences (strings or arrays)
+ * @param {string|Array} a - First sequence
+ * @param {string|Array} b - Second sequence
+ * @returns {number} Insertions, deletions and substitutions needed
+ */
+export function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Compare extracted text with the expected text
+ * @param {string} actual - Extracted text
+ * @param {string} expected - Reference text
+ * @returns {{exact: boolean, charAccuracy: number, wordAccuracy: number}} Accuracies in [0, 1]
+ */
+export function scoreExtraction(actual, expected) {
+  const normalize = (text) => text.replace(/\s+/g, ' ').trim();
+  const actualChars = normalize(actual);
+  const expectedChars = normalize(expected);
+  const actualWords = tokenizeWords(actual);
+  const expectedWords = tokenizeWords(expected);
+
+  const accuracy = (distance, length) => Math.max(0, 1 - distance / Math.max(length, 1));
+  return {
+    exact: actual === expected,
+    charAccuracy: accuracy(editDistance(actualChars, expectedChars), expectedChars.length),
+    wordAccuracy: accuracy(editDistance(actualWords, expectedWords), expectedWords.length)
+  };
+}
+
+/**
+ * Run every strategy over a corpus
+ * @param {Array<{id: string, textContent: Object, expected: string, minWordAccuracy?: number}>} corpus - Fixtures
+ * @param {Object} [options]
+ * @param {string[]} [options.strategies] - Strategy ids; all by default
+ * @param {string} [options.protectedStrategy='heuristic'] - Strategy that must reach each fixture's `minWordAccuracy` (default 1)
+ * @returns {{results: Array<Object>, summary: Array<Object>, failures: Array<Object>}}
+ */
+export function evaluateCorpus(corpus, { strategies = Object.keys(EXTRACTION_STRATEGIES), protectedStrategy = 'heuristic' } = {}) {
+  const results = corpus.flatMap(fixture => strategies.map(strategy => {
+    const text = extractPageText(fixture.textContent, strategy);
+    return { fixture: fixture.id, strategy, text, ...scoreExtraction(text, fixture.expected) };
+  }));
+
+  const summary = strategies.map(strategy => {
+    const rows = results.filter(row => row.strategy === strategy);
+    const mean = (key) => rows.reduce((sum, row) => sum + row[key], 0) / Math.max(rows.length, 1);
+    return {
+      strategy,
+      exact: rows.filter(row => row.exact).length,
+      total: rows.length,
+      charAccuracy: mean('charAccuracy'),
+      wordAccuracy: mean('wordAccuracy')
+    };
+  });
+
+  const failures = results.filter(row => {
+    if (row.strategy !== protectedStrategy) return false;
+    const fixture = corpus.find(entry => entry.id === row.fixture);
+    return row.wordAccuracy < (fixture.minWordAccuracy ?? 1);
+  });
+
+  return { results, summary, failures };
+}
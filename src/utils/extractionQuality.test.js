@@ -0,0 +1,23 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EXTRACTION_CORPUS } from './extractionCorpus.js';
+import { evaluateCorpus, scoreExtraction } from './extractionQuality.js';
+
+describe('extraction corpus', () => {
+  test('the heuristic strategy passes every fixture', () => {
+    const { results, failures } = evaluateCorpus(EXTRACTION_CORPUS);
+    assert.ok(results.some(row => row.strategy === 'heuristic'));
+    assert.deepEqual(failures.map(({ fixture, text }) => ({ fixture, text })), []);
+  });
+
+  test('a fixture the strategy gets wrong is a failure', () => {
+    const [fixture] = EXTRACTION_CORPUS;
+    const { failures } = evaluateCorpus([{ ...fixture, expected: `${fixture.expected} extra` }], { strategies: ['heuristic'] });
+    assert.deepEqual(failures.map(row => row.fixture), [fixture.id]);
+  });
+
+  test('scoreExtraction compares words, not spacing', () => {
+    assert.deepEqual(scoreExtraction('a  casa', 'a casa'), { exact: false, charAccuracy: 1, wordAccuracy: 1 });
+    assert.equal(scoreExtraction('a ca sa', 'a casa').wordAccuracy, 0);
+  });
+});
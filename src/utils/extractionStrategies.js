@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Named page text extraction strategies
+ *
+ * Every consumer of PDF text (the RAG ingestion, `PDFService`, `usePDF`)
+ * goes through the PDF worker and picks one of these strategies by name,
+ * so the same file yields the same text wherever the same strategy is used.
+ */
+
+import {
+  reconstructPageText,
+  reconstructSimplePageText,
+  reconstructRawPageText,
+} from './pageText.js';
+
+/**
+ * Available strategies. `defaults` lists the options each one accepts.
+ */
+export const EXTRACTION_STRATEGIES = {
+  heuristic: {
+    id: 'heuristic',
+    label: 'Heurística',
+    description: 'Espaçamento por distância entre itens, tabelas em Markdown e limpeza de artefatos',
+    defaults: { tables: true, cleanUp: true },
+    reconstruct: reconstructPageText,
+  },
+  simple: {
+    id: 'simple',
+    label: 'Simples',
+    description: 'Um espaço onde houver intervalo visível entre itens, sem limpeza',
+    defaults: { gapThreshold: 1 },
+    reconstruct: reconstructSimplePageText,
+  },
+  raw: {
+    id: 'raw',
+    label: 'Bruta (texto do pdf.js)',
+    description: 'Itens na ordem do arquivo, quebra de linha a cada mudança de linha de base',
+    defaults: {},
+    reconstruct: reconstructRawPageText,
+  },
+};
+
+/**
+ * Strategy used when none is given
+ */
+export const DEFAULT_EXTRACTION_STRATEGY = 'heuristic';
+
+/**
+ * Look up a strategy by name
+ * @param {string} [name=DEFAULT_EXTRACTION_STRATEGY] - Strategy id
+ * @returns {Object} Strategy
+ * @throws {Error} When no strategy has that name
+ */
+export function getExtractionStrategy(name = DEFAULT_EXTRACTION_STRATEGY) {
+  const strategy = EXTRACTION_STRATEGIES[name];
+  if (!strategy) {
+    throw new Error(`Unknown extraction strategy: ${name}`);
+  }
+  return strategy;
+}
+
+/**
+ * Reconstruct a page's text with a named strategy
+ * @param {Object} textContent - Result of pdfjs `page.getTextContent()`
+ * @param {string} [name=DEFAULT_EXTRACTION_STRATEGY] - Strategy id
+ * @param {Object} [options={}] - Overrides for the strategy's `defaults`
+ * @returns {string} Page text
+ */
+export function extractPageText(textContent, name = DEFAULT_EXTRACTION_STRATEGY, options = {}) {
+  const strategy = getExtractionStrategy(name);
+  return strategy.reconstruct(textContent, { ...strategy.defaults, ...options });
+}
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Locate raster images (figures, photos, bitmap charts) on a PDF page
+ *
+ * Walks the page's operator list tracking the current transformation
+ * matrix; every image is painted into the unit square of the CTM, so the
+ * image's page-space bounding box is the CTM applied to that square.
+ * Vector drawings (charts made of paths) are not detected.
+ */
+
+/**
+ * Smallest figure side, in PDF units (72 = one inch); smaller images are icons or bullets
+ */
+const MIN_FIGURE_SIZE = 72;
+
+/**
+ * Images covering more of the page than this are scans or backgrounds, not figures
+ */
+const MAX_PAGE_COVERAGE = 0.9;
+
+/**
+ * Most figures kept per page (largest first)
+ */
+const MAX_FIGURES_PER_PAGE = 10;
+
+/**
+ * Multiply two affine matrices `[a, b, c, d, e, f]` (same order as pdfjs `Util.transform`)
+ * @param {number[]} m1 - Outer matrix
+ * @param {number[]} m2 - Inner matrix
+ * @returns {number[]} Product
+ */
+const multiply = (m1, m2) => [
+  m1[0] * m2[0] + m1[2] * m2[1],
+  m1[1] * m2[0] + m1[3] * m2[1],
+  m1[0] * m2[2] + m1[2] * m2[3],
+  m1[1] * m2[2] + m1[3] * m2[3],
+  m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+  m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+];
+
+/**
+ * @param {number[]} m - Transformation matrix
+ * @returns {number[]} Bounding box `[x0, y0, x1, y1]` of the unit square under `m`
+ */
+const unitSquareBox = (m) => {
+  const xs = [m[4], m[0] + m[4], m[2] + m[4], m[0] + m[2] + m[4]];
+  const ys = [m[5], m[1] + m[5], m[3] + m[5], m[1] + m[3] + m[5]];
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+};
+
+/**
+ * @param {number[]} a - Box
+ * @param {number[]} b - Box
+ * @returns {boolean} Whether the boxes overlap
+ */
+const overlaps = (a, b) => a[0] < b[2] && b[0] < a[2] && a[1] < b[3] && b[1] < a[3];
+
+/**
+ * Find the figures painted on a page
+ * @param {{fnArray: number[], argsArray: Array}} operatorList - Result of `page.getOperatorList()`
+ * @param {Object} OPS - pdfjs `OPS` enum
+ * @param {number[]} view - Page box `[x0, y0, x1, y1]` (`page.view`)
+ * @returns {Array<{bbox: number[]}>} Figures, top to bottom; `bbox` is `[x0, y0, x1, y1]` in PDF units (origin bottom-left)
+ */
+export function findFigureRegions(operatorList, OPS, view) {
+  const imageOps = new Set([OPS.paintImageXObject, OPS.paintInlineImageXObject]);
+  const stack = [];
+  let ctm = [1, 0, 0, 1, 0, 0];
+  const boxes = [];
+
+  operatorList.fnArray.forEach((fn, index) => {
+    const args = operatorList.argsArray[index];
+    if (fn === OPS.save) {
+      stack.push(ctm);
+    } else if (fn === OPS.restore) {
+      ctm = stack.pop() || ctm;
+    } else if (fn === OPS.transform) {
+      ctm = multiply(ctm, args);
+    } else if (fn === OPS.paintFormXObjectBegin) {
+      stack.push(ctm);
+      if (args?.[0]?.length === 6) {
+        ctm = multiply(ctm, Array.from(args[0]));
+      }
+    } else if (fn === OPS.paintFormXObjectEnd) {
+      ctm = stack.pop() || ctm;
+    } else if (imageOps.has(fn)) {
+      boxes.push(unitSquareBox(ctm));
+    }
+  });
+
+  // Images drawn in tiles become one figure
+  const merged = [];
+  boxes.forEach(box => {
+    const target = merged.find(existing => overlaps(existing, box));
+    if (target) {
+      target[0] = Math.min(target[0], box[0]);
+      target[1] = Math.min(target[1], box[1]);
+      target[2] = Math.max(target[2], box[2]);
+      target[3] = Math.max(target[3], box[3]);
+    } else {
+      merged.push([...box]);
+    }
+  });
+
+  const [px0, py0, px1, py1] = view;
+  const pageArea = (px1 - px0) * (py1 - py0);
+
+  return merged
+    // Clip to the page
+    .map(([x0, y0, x1, y1]) => [Math.max(x0, px0), Math.max(y0, py0), Math.min(x1, px1), Math.min(y1, py1)])
+    .filter(([x0, y0, x1, y1]) => x1 - x0 >= MIN_FIGURE_SIZE && y1 - y0 >= MIN_FIGURE_SIZE &&
+      (x1 - x0) * (y1 - y0) <= pageArea * MAX_PAGE_COVERAGE)
+    .sort((a, b) => (b[2] - b[0]) * (b[3] - b[1]) - (a[2] - a[0]) * (a[3] - a[1]))
+    .slice(0, MAX_FIGURES_PER_PAGE)
+    .sort((a, b) => b[3] - a[3])
+    .map(bbox => ({ bbox: bbox.map(value => Math.round(value * 10) / 10) }));
+}
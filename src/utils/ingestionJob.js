@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Pausable, cancellable and resumable document ingestion job
+ */
+
+/**
+ * Lifecycle states of an ingestion job
+ */
+export const JOB_STATUS = {
+  IDLE: 'idle',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed',
+  COMPLETED: 'completed',
+};
+
+/**
+ * Create the error thrown when a job is cancelled
+ * @returns {Error} Error with name `AbortError`
+ */
+const createAbortError = () => {
+  const error = new Error('Processamento cancelado');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Tracks one document ingestion run and keeps a checkpoint so a cancelled
+ * or failed run can be restarted without redoing finished work.
+ *
+ * The job does no work itself: the pipeline calls `start()` once, then
+ * awaits `checkpoint()` between units of work and reports stored chunks
+ * with `markStored()`.
+ *
+ * @example
+ * const job = new IngestionJob(file, { onStatusChange: setStatus });
+ * ragService.processDocument(file, onProgress, { job });
+ * job.pause(); job.resume(); job.cancel();
+ */
+export class IngestionJob {
+  /**
+   * @param {File} file - Document being ingested
+   * @param {Object} [options]
+   * @param {function} [options.onStatusChange] - Called with `(status, job)` on every transition
+   */
+  constructor(file, { onStatusChange } = {}) {
+    this.file = file;
+    this.status = JOB_STATUS.IDLE;
+    this.error = null;
+    this.onStatusChange = onStatusChange;
+    this.controller = new AbortController();
+    this.pauseGate = null;
+
+    // Checkpoint: extracted chunks and the ids of those already stored in the index.
+    // Ids, not content hashes: chunks with the same text are still stored once each
+    this.chunks = null;
+    this.totalPages = 0;
+    this.sections = [];
+    this.boilerplate = null;
+    this.storedIds = new Set();
+  }
+
+  /**
+   * Signal aborted when the current run is cancelled
+   * @returns {AbortSignal}
+   */
+  get signal() {
+    return this.controller.signal;
+  }
+
+  /**
+   * Whether the job can be started again from its checkpoint
+   * @returns {boolean}
+   */
+  get canRestart() {
+    return this.status === JOB_STATUS.CANCELLED || this.status === JOB_STATUS.FAILED;
+  }
+
+  /**
+   * Begin a run; a fresh AbortController is used when restarting
+   */
+  start() {
+    if (this.controller.signal.aborted) {
+      this.controller = new AbortController();
+    }
+    this.error = null;
+    this._setStatus(JOB_STATUS.RUNNING);
+  }
+
+  /**
+   * Hold the job at its next checkpoint
+   */
+  pause() {
+    if (this.status !== JOB_STATUS.RUNNING) return;
+
+    let release;
+    const promise = new Promise(resolve => { release = resolve; });
+    this.pauseGate = { promise, release };
+    this._setStatus(JOB_STATUS.PAUSED);
+  }
+
+  /**
+   * Continue a paused job
+   */
+  resume() {
+    if (this.status !== JOB_STATUS.PAUSED) return;
+
+    this._releasePause();
+    this._setStatus(JOB_STATUS.RUNNING);
+  }
+
+  /**
+   * Abort the current run; in-flight requests are cancelled through `signal`
+   */
+  cancel() {
+    if (this.status !== JOB_STATUS.RUNNING && this.status !== JOB_STATUS.PAUSED) return;
+
+    this.controller.abort();
+    this._releasePause();
+    this._setStatus(JOB_STATUS.CANCELLED);
+  }
+
+  /**
+   * Wait while paused and throw if the run was cancelled
+   * @returns {Promise<void>}
+   * @throws {Error} `AbortError` when cancelled
+   */
+  async checkpoint() {
+    if (this.pauseGate) {
+      await this.pauseGate.promise;
+    }
+    if (this.signal.aborted) {
+      throw createAbortError();
+    }
+  }
+
+  /**
+   * Record that a chunk is stored in the index
+   * @param {string} id - Chunk id in the index
+   */
+  markStored(id) {
+    this.storedIds.add(id);
+  }
+
+  /**
+   * Mark the run as finished
+   */
+  complete() {
+    this._setStatus(JOB_STATUS.COMPLETED);
+  }
+
+  /**
+   * Mark the run as failed; cancellations keep their own status
+   * @param {Error} error - Failure cause
+   */
+  fail(error) {
+    if (error?.name === 'AbortError' || this.signal.aborted) {
+      this._setStatus(JOB_STATUS.CANCELLED);
+      return;
+    }
+    this.error = error;
+    this._setStatus(JOB_STATUS.FAILED);
+  }
+
+  /**
+   * @private
+   */
+  _releasePause() {
+    if (this.pauseGate) {
+      this.pauseGate.release();
+      this.pauseGate = null;
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} status - New status
+   */
+  _setStatus(status) {
+    if (this.status === status) return;
+    this.status = status;
+    this.onStatusChange?.(status, this);
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Language detection and per-language text settings
+ *
+ * Languages are told apart by their most frequent function words and a few
+ * characters only one of them uses, which is reliable from a sentence or
+ * two and needs no model. Each profile also carries what depends on the
+ * language downstream: separators and abbreviations the splitter must not
+ * cut after, and the prompts and context labels used to answer in that language.
+ */
+
+/**
+ * Code for text whose language could not be determined
+ */
+export const UNKNOWN_LANGUAGE = 'und';
+
+/**
+ * Sentence and clause separators, coarsest first
+ */
+const SEPARATORS = ['\n\n', '\n', '. ', '! ', '? ', '; ', ': ', ' '];
+
+/**
+ * Supported languages
+ */
+export const LANGUAGE_PROFILES = {
+  pt: {
+    code: 'pt',
+    label: 'Português',
+    stopwords: new Set([
+      'o', 'os', 'as', 'um', 'uma', 'de', 'do', 'da', 'dos', 'das', 'em', 'no', 'na', 'nos', 'nas',
+      'que', 'não', 'com', 'para', 'por', 'pelo', 'pela', 'ao', 'à', 'mais', 'mas', 'como', 'é',
+      'são', 'foi', 'ser', 'está', 'também', 'isso', 'este', 'esta', 'ele', 'ela', 'seu', 'sua',
+      'quando', 'muito', 'já', 'ou', 'entre', 'depois', 'sobre', 'qual', 'quais', 'onde'
+    ]),
+    markers: /[ãõç]/u,
+    abbreviations: new Set(['sr', 'sra', 'dr', 'dra', 'prof', 'profa', 'pág', 'p', 'pp', 'ex', 'etc', 'art', 'cap', 'fig', 'nº', 'n', 'av', 'vol']),
+    separators: SEPARATORS,
+    prompts: {
+      system: 'Você é um assistente especializado que fornece respostas precisas e detalhadas baseadas no contexto fornecido. ' +
+        'Sempre cite as páginas e seções relevantes quando possível e seja específico nas suas respostas. ' +
+        'Se não encontrar informação suficiente no contexto, diga claramente. Responda sempre em português.',
+      context: 'Contexto do documento',
+      question: 'Pergunta',
+      request: 'Por favor, forneça uma resposta detalhada e precisa baseada no contexto acima.',
+      noResults: 'Desculpe, não encontrei informações relevantes no documento para responder sua pergunta.',
+      noGoodMatch: 'Não encontrei no documento nenhum trecho relacionado o bastante à sua pergunta para respondê-la com segurança. ' +
+        'Tente reformulá-la com os termos usados no documento.',
+      caption: 'Responda em português',
+      page: 'Página',
+      pages: 'Páginas',
+      section: 'Seção',
+      figure: 'Figura',
+      relevance: 'Relevância'
+    }
+  },
+  en: {
+    code: 'en',
+    label: 'English',
+    stopwords: new Set([
+      'the', 'of', 'and', 'to', 'in', 'is', 'are', 'was', 'were', 'be', 'been', 'it', 'that', 'this',
+      'for', 'on', 'with', 'as', 'by', 'at', 'from', 'or', 'an', 'not', 'but', 'which', 'what', 'who',
+      'how', 'when', 'where', 'there', 'their', 'they', 'has', 'have', 'had', 'will', 'would', 'can',
+      'does', 'do', 'its', 'than', 'these', 'those', 'about', 'into'
+    ]),
+    markers: null,
+    abbreviations: new Set(['mr', 'mrs', 'ms', 'dr', 'prof', 'st', 'vs', 'e.g', 'i.e', 'etc', 'fig', 'no', 'p', 'pp', 'vol', 'ch', 'sec']),
+    separators: SEPARATORS,
+    prompts: {
+      system: 'You are a specialized assistant that gives precise, detailed answers based on the provided context. ' +
+        'Always cite the relevant pages and sections when possible and be specific in your answers. ' +
+        'If the context does not hold enough information, say so clearly. Always answer in English.',
+      context: 'Document context',
+      question: 'Question',
+      request: 'Please give a detailed and precise answer based on the context above.',
+      noResults: 'Sorry, I could not find relevant information in the document to answer your question.',
+      noGoodMatch: 'Nothing in the document is related closely enough to your question to answer it reliably. ' +
+        'Try rephrasing it with the terms the document uses.',
+      caption: 'Answer in English',
+      page: 'Page',
+      pages: 'Pages',
+      section: 'Section',
+      figure: 'Figure',
+      relevance: 'Relevance'
+    }
+  },
+  es: {
+    code: 'es',
+    label: 'Español',
+    stopwords: new Set([
+      'el', 'la', 'los', 'las', 'un', 'una', 'de', 'del', 'en', 'y', 'que', 'no', 'con', 'para', 'por',
+      'al', 'más', 'pero', 'como', 'es', 'son', 'fue', 'ser', 'está', 'también', 'esto', 'este', 'esta',
+      'él', 'ella', 'su', 'sus', 'cuando', 'muy', 'ya', 'o', 'entre', 'después', 'sobre', 'cuál',
+      'dónde', 'qué', 'hay', 'lo', 'le', 'se'
+    ]),
+    markers: /[ñ¿¡]/u,
+    abbreviations: new Set(['sr', 'sra', 'dr', 'dra', 'prof', 'ud', 'uds', 'pág', 'p', 'etc', 'fig', 'núm', 'art', 'cap', 'vol']),
+    separators: SEPARATORS,
+    prompts: {
+      system: 'Eres un asistente especializado que ofrece respuestas precisas y detalladas basadas en el contexto proporcionado. ' +
+        'Cita siempre las páginas y secciones relevantes cuando sea posible y sé específico en tus respuestas. ' +
+        'Si el contexto no contiene información suficiente, dilo claramente. Responde siempre en español.',
+      context: 'Contexto del documento',
+      question: 'Pregunta',
+      request: 'Por favor, ofrece una respuesta detallada y precisa basada en el contexto anterior.',
+      noResults: 'Lo siento, no encontré información relevante en el documento para responder a tu pregunta.',
+      noGoodMatch: 'No encontré en el documento ningún fragmento lo bastante relacionado con tu pregunta para responderla con seguridad. ' +
+        'Intenta reformularla con los términos que usa el documento.',
+      caption: 'Responde en español',
+      page: 'Página',
+      pages: 'Páginas',
+      section: 'Sección',
+      figure: 'Figura',
+      relevance: 'Relevancia'
+    }
+  }
+};
+
+/**
+ * Look up a language profile
+ * @param {string} [code] - Language code
+ * @returns {Object|null} Profile, or null for unknown codes
+ */
+export const getLanguageProfile = (code) => LANGUAGE_PROFILES[code] || null;
+
+/**
+ * Detect the language of a text from its function words
+ * @param {string} text - Text to classify
+ * @param {Object} [options]
+ * @param {string} [options.fallback=UNKNOWN_LANGUAGE] - Result when no language stands out
+ * @returns {{language: string, confidence: number}} Language code and share of the evidence (0-1)
+ */
+export function detectLanguage(text, { fallback = UNKNOWN_LANGUAGE } = {}) {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{M}]+/gu) || [];
+  const scores = Object.values(LANGUAGE_PROFILES).map(profile => {
+    let score = words.reduce((sum, word) => sum + (profile.stopwords.has(word) ? 1 : 0), 0);
+    if (profile.markers?.test(text)) score += 2;
+    return { language: profile.code, score };
+  }).sort((a, b) => b.score - a.score);
+
+  const total = scores.reduce((sum, { score }) => sum + score, 0);
+  const [best, second] = scores;
+  if (best.score === 0 || best.score === second.score) {
+    return { language: fallback, confidence: 0 };
+  }
+  return { language: best.language, confidence: best.score / total };
+}
+
+/**
+ * Most frequent language among some items, ignoring unknown ones
+ * @param {string[]} languages - Language codes
+ * @param {string} [fallback=UNKNOWN_LANGUAGE] - Result when none is known
+ * @returns {string} Language code
+ */
+export function dominantLanguage(languages, fallback = UNKNOWN_LANGUAGE) {
+  const counts = new Map();
+  languages
+    .filter(language => language && language !== UNKNOWN_LANGUAGE)
+    .forEach(language => counts.set(language, (counts.get(language) || 0) + 1));
+  let best = fallback;
+  let bestCount = 0;
+  counts.forEach((count, language) => {
+    if (count > bestCount) {
+      best = language;
+      bestCount = count;
+    }
+  });
+  return best;
+}
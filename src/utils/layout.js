@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Page layout segmentation (multi-column reading order)
+ *
+ * Works on the lines produced by `groupItemsIntoLines`. Column gutters are
+ * vertical whitespace bands that (almost) no line crosses; runs of lines
+ * that stay clear of every gutter are read column by column, while lines
+ * crossing a gutter (titles, full-width figures captions) are read as-is.
+ */
+
+/**
+ * Width (in PDF units) of the bins used to measure horizontal coverage
+ */
+const BIN_WIDTH = 2;
+
+/**
+ * Narrowest whitespace band accepted as a column gutter
+ */
+const MIN_GUTTER_WIDTH = 8;
+
+/**
+ * Share of lines allowed to cross a gutter (full-width headings and the like)
+ */
+const MAX_GUTTER_COVERAGE = 0.35;
+
+/**
+ * Minimum number of lines on each side of a gutter, and per column band
+ */
+const MIN_COLUMN_LINES = 3;
+
+/**
+ * Median characters per line a column needs to count as prose; narrower
+ * "columns" are table columns and are left to table detection
+ */
+const MIN_COLUMN_LINE_LENGTH = 20;
+
+/**
+ * @param {{x: number, width: number}} item - Line item
+ * @returns {number} Right edge of the item
+ */
+const itemEnd = (item) => item.x + (item.width || 0);
+
+/**
+ * Find the vertical whitespace bands separating text columns
+ * @param {Array<{y: number, items: Array}>} lines - Lines, top to bottom
+ * @returns {Array<{x0: number, x1: number}>} Gutters, left to right
+ */
+export function findGutters(lines) {
+  if (lines.length < MIN_COLUMN_LINES * 2) return [];
+
+  const allItems = lines.flatMap(line => line.items);
+  const minX = Math.min(...allItems.map(item => item.x));
+  const maxX = Math.max(...allItems.map(itemEnd));
+  const binCount = Math.ceil((maxX - minX) / BIN_WIDTH);
+  if (!Number.isFinite(binCount) || binCount <= 0) return [];
+
+  // Number of lines with text over each bin
+  const coverage = new Array(binCount).fill(0);
+  lines.forEach(line => {
+    const covered = new Set();
+    line.items.forEach(item => {
+      const first = Math.floor((item.x - minX) / BIN_WIDTH);
+      const last = Math.min(binCount - 1, Math.floor((itemEnd(item) - minX) / BIN_WIDTH));
+      for (let bin = first; bin <= last; bin++) covered.add(bin);
+    });
+    covered.forEach(bin => { coverage[bin]++; });
+  });
+
+  const maxCoverage = Math.floor(lines.length * MAX_GUTTER_COVERAGE);
+  const gutters = [];
+  let runStart = null;
+
+  for (let bin = 0; bin <= binCount; bin++) {
+    const isClear = bin < binCount && coverage[bin] <= maxCoverage;
+    if (isClear && runStart === null) {
+      runStart = bin;
+    } else if (!isClear && runStart !== null) {
+      // Runs touching the page edges are margins, not gutters
+      if (runStart > 0 && bin < binCount) {
+        const gutter = { x0: minX + runStart * BIN_WIDTH, x1: minX + bin * BIN_WIDTH };
+        if (gutter.x1 - gutter.x0 >= MIN_GUTTER_WIDTH) {
+          gutters.push(gutter);
+        }
+      }
+      runStart = null;
+    }
+  }
+
+  // Each gutter needs real columns of text on both sides
+  return gutters.filter(gutter => {
+    const left = lines.filter(line => line.items.some(item => itemEnd(item) <= gutter.x0)).length;
+    const right = lines.filter(line => line.items.some(item => item.x >= gutter.x1)).length;
+    return left >= MIN_COLUMN_LINES && right >= MIN_COLUMN_LINES;
+  });
+}
+
+/**
+ * @param {{x: number, width: number}} item - Line item
+ * @param {Array<{x0: number, x1: number}>} gutters - Gutters
+ * @returns {boolean} Whether the item overlaps any gutter
+ */
+const crossesGutter = (item, gutters) => gutters.some(gutter => item.x < gutter.x1 && itemEnd(item) > gutter.x0);
+
+/**
+ * @param {Array<{items: Array}>} lines - Lines of one column
+ * @returns {number} Median line length in characters
+ */
+const medianLineLength = (lines) => {
+  const lengths = lines
+    .map(line => line.items.reduce((sum, item) => sum + item.text.length, 0))
+    .sort((a, b) => a - b);
+  return lengths.length > 0 ? lengths[Math.floor(lengths.length / 2)] : 0;
+};
+
+/**
+ * Split a band of gutter-free lines into its columns
+ * @param {Array<{y: number, items: Array}>} lines - Band lines
+ * @param {Array<{x0: number, x1: number}>} gutters - Gutters
+ * @returns {Array<{x0: number, x1: number, lines: Array}>} Columns, left to right
+ */
+function splitIntoColumns(lines, gutters) {
+  const bounds = [-Infinity, ...gutters.flatMap(gutter => [gutter.x0, gutter.x1]), Infinity];
+  const columns = [];
+  for (let i = 0; i < bounds.length; i += 2) {
+    columns.push({ x0: bounds[i], x1: bounds[i + 1], lines: [] });
+  }
+
+  lines.forEach(line => {
+    columns.forEach(column => {
+      const items = line.items.filter(item => item.x >= column.x0 && itemEnd(item) <= column.x1);
+      if (items.length > 0) {
+        column.lines.push({ y: line.y, items });
+      }
+    });
+  });
+
+  return columns.filter(column => column.lines.length > 0);
+}
+
+/**
+ * Segment a page into regions in reading order. A `single` region holds
+ * full-width lines; a `columns` region holds one entry per text column,
+ * to be read left column first.
+ * @param {Array<{y: number, items: Array}>} lines - Lines, top to bottom
+ * @returns {Array<{type: 'single'|'columns', columns: Array<{x0: number, x1: number, lines: Array}>}>}
+ */
+export function segmentLayout(lines) {
+  const gutters = findGutters(lines);
+  const single = (bandLines) => ({
+    type: 'single',
+    columns: [{ x0: -Infinity, x1: Infinity, lines: bandLines }]
+  });
+
+  if (gutters.length === 0) {
+    return lines.length > 0 ? [single(lines)] : [];
+  }
+
+  // Bands of consecutive lines that cross / stay clear of the gutters
+  const bands = [];
+  lines.forEach(line => {
+    const clear = !line.items.some(item => crossesGutter(item, gutters));
+    const last = bands[bands.length - 1];
+    if (last && last.clear === clear) {
+      last.lines.push(line);
+    } else {
+      bands.push({ clear, lines: [line] });
+    }
+  });
+
+  const regions = bands.map(band => {
+    if (!band.clear || band.lines.length < MIN_COLUMN_LINES) {
+      return single(band.lines);
+    }
+    const columns = splitIntoColumns(band.lines, gutters);
+    const isProse = columns.length > 1 &&
+      columns.every(column => medianLineLength(column.lines) >= MIN_COLUMN_LINE_LENGTH);
+    return isProse ? { type: 'columns', columns } : single(band.lines);
+  });
+
+  // Merge neighbouring single regions back together
+  return regions.reduce((merged, region) => {
+    const last = merged[merged.length - 1];
+    if (region.type === 'single' && last?.type === 'single') {
+      last.columns[0].lines.push(...region.columns[0].lines);
+    } else {
+      merged.push(region);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Summarize regions for debugging: bounding boxes, line counts and a text preview
+ * @param {Array} regions - Output of `segmentLayout`
+ * @returns {Array<{type: string, y0: number, y1: number, columns: Array<{x0: number, x1: number, lineCount: number, preview: string}>}>}
+ */
+export function describeLayout(regions) {
+  return regions.map(region => {
+    const lines = region.columns.flatMap(column => column.lines);
+    return {
+      type: region.type,
+      y0: Math.min(...lines.map(line => line.y)),
+      y1: Math.max(...lines.map(line => line.y)),
+      columns: region.columns.map(column => {
+        const items = column.lines.flatMap(line => line.items);
+        return {
+          x0: Math.min(...items.map(item => item.x)),
+          x1: Math.max(...items.map(itemEnd)),
+          lineCount: column.lines.length,
+          preview: column.lines[0]?.items.map(item => item.text).join(' ').slice(0, 60) || ''
+        };
+      })
+    };
+  });
+}
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Content words and lexical similarity, without a model
+ *
+ * Terms are lower-cased runs of letters and digits with accents removed;
+ * codes such as `CT-2024/0042` stay whole. Function words of every
+ * supported language are dropped, so overlap counts only content words.
+ */
+
+import { LANGUAGE_PROFILES } from './language.js';
+
+const normalize = (text) => text.toLowerCase().normalize('NFD').replace(/\p{M}/gu, '');
+
+const STOPWORDS = new Set(Object.values(LANGUAGE_PROFILES).flatMap(profile => [...profile.stopwords].map(normalize)));
+
+/**
+ * Content terms of a text, in order
+ * @param {string} text - Text to read
+ * @returns {string[]} Terms (repeated as often as they occur)
+ */
+export function contentTerms(text) {
+  const words = normalize(text || '').match(/[\p{L}\p{N}]+(?:[-_./][\p{L}\p{N}]+)*/gu) || [];
+  return words.filter(word => !STOPWORDS.has(word));
+}
+
+/**
+ * Inverse document frequency of every term of some documents
+ * @param {Set<string>[]} termSets - Terms of each document
+ * @returns {function(string): number} IDF of a term, `log(1 + N / df)`; unseen terms count as in one document
+ */
+export function inverseDocumentFrequencies(termSets) {
+  const frequencies = new Map();
+  termSets.forEach(terms => terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1)));
+  return (term) => Math.log(1 + termSets.length / (frequencies.get(term) || 1));
+}
+
+/**
+ * Share of the query's terms a document contains, each weighted by its IDF
+ * @param {Set<string>} queryTerms - Query terms
+ * @param {Set<string>} documentTerms - Document terms
+ * @param {function(string): number} [idf] - Term weight (default 1 for every term)
+ * @returns {number} Overlap (0-1)
+ */
+export function weightedOverlap(queryTerms, documentTerms, idf = () => 1) {
+  let total = 0;
+  let matched = 0;
+  queryTerms.forEach(term => {
+    const weight = idf(term);
+    total += weight;
+    if (documentTerms.has(term)) matched += weight;
+  });
+  return total > 0 ? matched / total : 0;
+}
+
+/**
+ * Jaccard similarity of two term sets
+ * @param {Set<string>} a - Terms
+ * @param {Set<string>} b - Terms
+ * @returns {number} Shared terms over all terms (0-1)
+ */
+export function jaccardSimilarity(a, b) {
+  if (a.size === 0 && b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(term => {
+    if (b.has(term)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
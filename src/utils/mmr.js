@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Maximal marginal relevance (MMR)
+ *
+ * Items are picked one at a time; each pick maximises
+ * `lambda * relevance - (1 - lambda) * similarity to the closest item
+ * already picked`, so a passage that only repeats an earlier one falls
+ * behind a less relevant passage that adds something new. `diversify`
+ * also drops near-duplicates outright and reports them.
+ */
+
+/**
+ * @typedef {Object} MMRPick
+ * @property {number} index - Item position in the input
+ * @property {number} relevance - Relevance given for the item
+ * @property {number} redundancy - Similarity to the closest earlier pick (0 for the first)
+ * @property {number|null} similarTo - Index of that closest earlier pick
+ * @property {number} score - MMR score when the item was picked
+ */
+
+/**
+ * Order items by maximal marginal relevance
+ * @param {number[]} relevances - Relevance of each item
+ * @param {function(number, number): number} similarity - Similarity (0-1) between the items at two positions
+ * @param {Object} [options]
+ * @param {number} [options.lambda=0.7] - Weight of relevance against novelty (1 = relevance only)
+ * @param {number} [options.limit] - Items to pick (default all)
+ * @returns {MMRPick[]} Picks in order
+ */
+export function maximalMarginalRelevance(relevances, similarity, { lambda = 0.7, limit = relevances.length } = {}) {
+  const remaining = relevances.map((_, index) => ({ index, redundancy: 0, similarTo: null }));
+  const picks = [];
+
+  while (remaining.length > 0 && picks.length < limit) {
+    let bestPosition = 0;
+    let bestScore = -Infinity;
+    remaining.forEach((candidate, position) => {
+      const score = lambda * relevances[candidate.index] - (1 - lambda) * candidate.redundancy;
+      if (score > bestScore) {
+        bestScore = score;
+        bestPosition = position;
+      }
+    });
+
+    const [picked] = remaining.splice(bestPosition, 1);
+    picks.push({ ...picked, relevance: relevances[picked.index], score: bestScore });
+
+    // Only the new pick can raise the redundancy of the rest
+    remaining.forEach(candidate => {
+      const value = similarity(candidate.index, picked.index);
+      if (value > candidate.redundancy) {
+        candidate.redundancy = value;
+        candidate.similarTo = picked.index;
+      }
+    });
+  }
+
+  return picks;
+}
+
+/**
+ * Drop near-duplicates, then order the rest by MMR. Items are taken by
+ * relevance; one too similar to an item already kept is suppressed.
+ * @param {number[]} relevances - Relevance of each item
+ * @param {function(number, number): number} similarity - Similarity (0-1) between the items at two positions
+ * @param {Object} [options]
+ * @param {number} [options.lambda=0.7] - Weight of relevance against novelty
+ * @param {number} [options.duplicateThreshold=0.95] - Similarity at which an item counts as a near-duplicate
+ * @returns {{picks: MMRPick[], suppressed: Array<{index: number, duplicateOf: number, similarity: number}>}}
+ *   Kept items in MMR order, and the suppressed ones with the item each repeats
+ */
+export function diversify(relevances, similarity, { lambda = 0.7, duplicateThreshold = 0.95 } = {}) {
+  const byRelevance = relevances.map((_, index) => index).sort((a, b) => relevances[b] - relevances[a]);
+  const kept = [];
+  const suppressed = [];
+
+  byRelevance.forEach(index => {
+    let duplicate = null;
+    for (const other of kept) {
+      const value = similarity(index, other);
+      if (value >= duplicateThreshold && (!duplicate || value > duplicate.similarity)) {
+        duplicate = { index, duplicateOf: other, similarity: value };
+      }
+    }
+    if (duplicate) {
+      suppressed.push(duplicate);
+    } else {
+      kept.push(index);
+    }
+  });
+
+  const picks = maximalMarginalRelevance(
+    kept.map(index => relevances[index]),
+    (i, j) => similarity(kept[i], kept[j]),
+    { lambda }
+  ).map(pick => ({
+    ...pick,
+    index: kept[pick.index],
+    similarTo: pick.similarTo === null ? null : kept[pick.similarTo]
+  }));
+
+  return { picks, suppressed };
+}
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview OffscreenCanvas helpers for rendering PDF pages off the DOM
+ */
+
+/**
+ * pdfjs canvas factory backed by OffscreenCanvas, for use inside workers
+ * where `document.createElement('canvas')` is unavailable.
+ * Pass the class as the `CanvasFactory` option of `getDocument`.
+ */
+export class OffscreenCanvasFactory {
+  constructor({ enableHWA = false } = {}) {
+    this.enableHWA = enableHWA;
+  }
+
+  create(width, height) {
+    if (width <= 0 || height <= 0) {
+      throw new Error('Invalid canvas size');
+    }
+    const canvas = new OffscreenCanvas(width, height);
+    return {
+      canvas,
+      context: canvas.getContext('2d', { willReadFrequently: !this.enableHWA })
+    };
+  }
+
+  reset(canvasAndContext, width, height) {
+    if (!canvasAndContext.canvas) {
+      throw new Error('Canvas is not specified');
+    }
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    if (!canvasAndContext.canvas) {
+      throw new Error('Canvas is not specified');
+    }
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+/**
+ * Render a pdfjs page to a PNG blob
+ * @param {Object} page - pdfjs page proxy
+ * @param {number} scale - Viewport scale
+ * @returns {Promise<Blob>} Rendered page image
+ */
+export async function renderPageToBlob(page, scale) {
+  const viewport = page.getViewport({ scale });
+  const canvas = new OffscreenCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  const context = canvas.getContext('2d');
+
+  // White background so transparent scans OCR as dark-on-light
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+
+  await page.render({ canvasContext: context, viewport }).promise;
+  return canvas.convertToBlob({ type: 'image/png' });
+}
+
+/**
+ * Render a pdfjs page once and cut out some regions of it as PNG blobs
+ * @param {Object} page - pdfjs page proxy
+ * @param {number} scale - Viewport scale
+ * @param {Array<number[]>} boxes - Regions `[x0, y0, x1, y1]` in PDF units
+ * @returns {Promise<Blob[]>} One image per region
+ */
+export async function renderPageRegionsToBlobs(page, scale, boxes) {
+  if (boxes.length === 0) return [];
+
+  const viewport = page.getViewport({ scale });
+  const canvas = new OffscreenCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  await page.render({ canvasContext: context, viewport }).promise;
+
+  return Promise.all(boxes.map(box => {
+    const [x0, y0, x1, y1] = viewport.convertToViewportRectangle(box);
+    const left = Math.max(0, Math.floor(Math.min(x0, x1)));
+    const top = Math.max(0, Math.floor(Math.min(y0, y1)));
+    const width = Math.max(1, Math.min(canvas.width, Math.ceil(Math.max(x0, x1))) - left);
+    const height = Math.max(1, Math.min(canvas.height, Math.ceil(Math.max(y0, y1))) - top);
+
+    const region = new OffscreenCanvas(width, height);
+    region.getContext('2d').drawImage(canvas, left, top, width, height, 0, 0, width, height);
+    return region.convertToBlob({ type: 'image/png' });
+  }));
+}
@@ -0,0 +1,377 @@
+/**
+ * @fileoverview Page text reconstruction from pdfjs text content
+ *
+ * Pure functions with no DOM access, so they can run both on the main
+ * thread and inside the PDF worker.
+ */
+
+import { segmentLayout, describeLayout } from './layout.js';
+import { needsSpace, repairText, vocabularyFromTextContent } from './textRepair.js';
+
+/**
+ * Minimum horizontal gap (in PDF units) that separates two table cells
+ */
+const MIN_CELL_GAP = 12;
+
+/**
+ * Cell gap expressed in average character widths, for larger fonts
+ */
+const CELL_GAP_CHARS = 3;
+
+/**
+ * Two-column runs only count as tables when cells are this short (median
+ * characters), so prose with a wide gap is not mistaken for a table
+ */
+const MAX_TWO_COLUMN_CELL_LENGTH = 30;
+
+/**
+ * Group pdfjs text items into visual lines, top to bottom
+ * @param {Object} textContent - Result of pdfjs `page.getTextContent()`
+ * @returns {Array<{y: number, items: Array<{x: number, text: string, width: number, fontName: string, fontSize: number}>}>}
+ */
+export function groupItemsIntoLines(textContent) {
+  if (!textContent || !textContent.items || !Array.isArray(textContent.items)) {
+    return [];
+  }
+
+  const lines = {};
+  
+  // Group text items by Y position (line)
+  textContent.items.forEach(item => {
+    if (!item.transform || !item.str) return;
+    
+    const y = Math.round(item.transform[5]); // Y position
+    const x = Math.round(item.transform[4]); // X position
+    
+    if (!lines[y]) lines[y] = [];
+    lines[y].push({
+      x: x,
+      text: item.str,
+      width: item.width || 0,
+      fontName: item.fontName,
+      fontSize: item.height || Math.hypot(item.transform[2], item.transform[3])
+    });
+  });
+  
+  // Sort lines by Y position (top to bottom), items left to right
+  return Object.keys(lines)
+    .sort((a, b) => b - a)
+    .map(y => ({
+      y: Number(y),
+      items: lines[y].sort((a, b) => a.x - b.x)
+    }));
+}
+
+/**
+ * Join the items of one line, inserting a space wherever the gap between
+ * two items is wide for their font size
+ * @param {Array<{x: number, text: string, width: number, fontSize?: number}>} lineItems - Items sorted by X
+ * @returns {string} Line text
+ */
+export function joinLineItems(lineItems) {
+  return lineItems
+    .reduce((lineText, item, index) => {
+      if (index === 0) return item.text;
+      return lineText + (needsSpace(lineItems[index - 1], item) ? ' ' : '') + item.text;
+    }, '')
+    .trim();
+}
+
+/**
+ * Split a line into cells wherever items are separated by a wide gap
+ * @param {Array<{x: number, text: string, width: number}>} lineItems - Items sorted by X
+ * @returns {Array<{x0: number, x1: number, items: Array}>} Cells with their horizontal extent
+ */
+function splitLineIntoCells(lineItems) {
+  const totalChars = lineItems.reduce((sum, item) => sum + item.text.length, 0);
+  const totalWidth = lineItems.reduce((sum, item) => sum + item.width, 0);
+  const charWidth = totalChars > 0 ? totalWidth / totalChars : 0;
+  const minGap = Math.max(MIN_CELL_GAP, charWidth * CELL_GAP_CHARS);
+
+  const cells = [];
+  lineItems.forEach(item => {
+    const current = cells[cells.length - 1];
+    if (current && item.x - current.x1 < minGap) {
+      current.items.push(item);
+      current.x1 = Math.max(current.x1, item.x + item.width);
+    } else {
+      cells.push({ x0: item.x, x1: item.x + item.width, items: [item] });
+    }
+  });
+
+  return cells.filter(cell => cell.items.some(item => item.text.trim()));
+}
+
+/**
+ * Merge the cell intervals of several lines into column intervals.
+ * Returns null when some line has two cells in the same column, i.e. the
+ * lines do not share a column grid.
+ * @param {Array<Array<{x0: number, x1: number}>>} rowsOfCells - Cells per line
+ * @returns {Array<{x0: number, x1: number}>|null} Columns, left to right
+ */
+function mergeColumns(rowsOfCells) {
+  const intervals = rowsOfCells.flat().map(({ x0, x1 }) => ({ x0, x1 })).sort((a, b) => a.x0 - b.x0);
+  const columns = [];
+
+  intervals.forEach(interval => {
+    const last = columns[columns.length - 1];
+    if (last && interval.x0 <= last.x1) {
+      last.x1 = Math.max(last.x1, interval.x1);
+    } else {
+      columns.push({ ...interval });
+    }
+  });
+
+  const fitsGrid = rowsOfCells.every(cells => {
+    const used = new Set(cells.map(cell => columnIndexOf(columns, cell)));
+    return used.size === cells.length;
+  });
+
+  return fitsGrid ? columns : null;
+}
+
+/**
+ * @param {Array<{x0: number, x1: number}>} columns - Column intervals
+ * @param {{x0: number}} cell - Cell to locate
+ * @returns {number} Index of the column containing the cell start
+ */
+function columnIndexOf(columns, cell) {
+  return columns.findIndex(column => cell.x0 >= column.x0 && cell.x0 <= column.x1);
+}
+
+/**
+ * Whether a run of lines looks like a table rather than spaced-out prose
+ * @param {Array<Array<Object>>} rowsOfCells - Cells per line
+ * @param {Array<Object>} columns - Merged columns
+ * @returns {boolean}
+ */
+function looksTabular(rowsOfCells, columns) {
+  if (rowsOfCells.length < 2 || columns.length < 2) return false;
+  if (columns.length > 2) return true;
+
+  const lengths = rowsOfCells.flat()
+    .map(cell => joinLineItems(cell.items).length)
+    .sort((a, b) => a - b);
+  return lengths[Math.floor(lengths.length / 2)] <= MAX_TWO_COLUMN_CELL_LENGTH;
+}
+
+/**
+ * Split lines into plain-text blocks and table blocks. A table is a run of
+ * consecutive lines with two or more cells whose X extents line up in a
+ * shared column grid (left, right or centre aligned).
+ * @param {Array<{y: number, items: Array}>} lines - Output of `groupItemsIntoLines`
+ * @returns {Array<{type: 'text', lines: Array}|{type: 'table', rows: string[][]}>} Blocks in reading order
+ */
+export function detectTableBlocks(lines) {
+  const blocks = [];
+  const pushText = (line) => {
+    const last = blocks[blocks.length - 1];
+    if (last?.type === 'text') {
+      last.lines.push(line);
+    } else {
+      blocks.push({ type: 'text', lines: [line] });
+    }
+  };
+
+  const cellsPerLine = lines.map(line => splitLineIntoCells(line.items));
+  let i = 0;
+
+  while (i < lines.length) {
+    if (cellsPerLine[i].length < 2) {
+      pushText(lines[i]);
+      i++;
+      continue;
+    }
+
+    // Grow the run while the lines keep sharing a column grid
+    let end = i + 1;
+    let columns = mergeColumns([cellsPerLine[i]]);
+    while (end < lines.length && cellsPerLine[end].length >= 2) {
+      const extended = mergeColumns(cellsPerLine.slice(i, end + 1));
+      if (!extended) break;
+      columns = extended;
+      end++;
+    }
+
+    const run = cellsPerLine.slice(i, end);
+    if (looksTabular(run, columns)) {
+      const rows = run.map(cells => {
+        const row = columns.map(() => '');
+        cells.forEach(cell => {
+          row[columnIndexOf(columns, cell)] = joinLineItems(cell.items);
+        });
+        return row;
+      });
+      blocks.push({ type: 'table', rows });
+      i = end;
+    } else {
+      pushText(lines[i]);
+      i++;
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Format table rows as a Markdown table; the first row becomes the header
+ * @param {string[][]} rows - Cell text per row
+ * @returns {string} Markdown table
+ */
+export function formatMarkdownTable(rows) {
+  const formatRow = (cells) => `| ${cells.map(cell => cell.replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim()).join(' | ')} |`;
+  const [header, ...body] = rows;
+
+  return [
+    formatRow(header),
+    formatRow(header.map(() => '---')),
+    ...body.map(formatRow)
+  ].join('\n');
+}
+
+/**
+ * Group a page into lines and split them into reading-order groups: one
+ * group per column of each multi-column region, one per full-width region
+ * @param {Object} textContent - Result of pdfjs `page.getTextContent()`
+ * @returns {Array<Array<{y: number, items: Array}>>} Line groups in reading order
+ */
+function readingOrderGroups(textContent) {
+  return segmentLayout(groupItemsIntoLines(textContent))
+    .flatMap(region => region.columns.map(column => column.lines));
+}
+
+/**
+ * Rebuild page text with font-metric spacing and repair of common
+ * extraction artifacts (hyphenated and letter-spaced words, sentence joins).
+ * Multi-column pages are read column by column, and tabular regions are
+ * emitted as Markdown tables, separated from the prose by blank lines.
+ * @param {Object} textContent - Result of pdfjs `page.getTextContent()`
+ * @param {Object} [options]
+ * @param {boolean} [options.tables=true] - Emit tabular regions as Markdown tables
+ * @param {boolean} [options.cleanUp=true] - Repair extraction artifacts in prose (see `repairText`)
+ * @param {Set<string>} [options.vocabulary] - Known words confirming repairs; defaults to the page's own words
+ * @returns {string} Page text, one line per visual line
+ */
+export function reconstructPageText(textContent, { tables = true, cleanUp = true, vocabulary } = {}) {
+  const knownWords = cleanUp ? vocabulary || vocabularyFromTextContent(textContent) : null;
+  const blocks = readingOrderGroups(textContent)
+    .flatMap(lines => (tables ? detectTableBlocks(lines) : [{ type: 'text', lines }]));
+
+  return blocks
+    .map(block => {
+      if (block.type === 'table') {
+        return formatMarkdownTable(block.rows);
+      }
+      const text = block.lines
+        .map(line => joinLineItems(line.items))
+        .filter(line => line.length > 0)
+        .join('\n');
+      return cleanUp ? repairText(text, { vocabulary: knownWords }) : text;
+    })
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Lines in reading order with their font size and weight, as input for
+ * heading detection
+ * @param {Object} textContent - Result of pdfjs `page.getTextContent()`
+ * @param {Object<string, {bold: boolean}>} [fonts={}] - Font facts by pdfjs font name
+ * @returns {Array<{text: string, fontSize: number, bold: boolean}>} Lines in reading order
+ */
+export function extractStyledLines(textContent, fonts = {}) {
+  return readingOrderGroups(textContent)
+    .flat()
+    .map(({ items }) => ({
+      text: joinLineItems(items),
+      fontSize: Math.max(...items.map(item => item.fontSize || 0)),
+      bold: items.every(item => fonts[item.fontName]?.bold)
+    }))
+    .filter(line => line.text.length > 0);
+}
+
+/**
+ * Describe the layout detected on a page (debug mode)
+ * @param {Object} textContent - Result of pdfjs `page.getTextContent()`
+ * @returns {Array<Object>} Layout blocks, see `describeLayout`
+ */
+export function analyzePageLayout(textContent) {
+  return describeLayout(segmentLayout(groupItemsIntoLines(textContent)));
+}
+
+/**
+ * Rebuild page text inserting a space wherever two items on the same
+ * line are separated by a visible gap, without any further clean-up.
+ * Multi-column pages are read column by column.
+ * @param {Object} textContent - Result of pdfjs `page.getTextContent()`
+ * @param {Object} [options]
+ * @param {number} [options.gapThreshold=1] - Smallest gap (in PDF units) that becomes a space
+ * @returns {string} Page text, one line per visual line
+ */
+export function reconstructSimplePageText(textContent, { gapThreshold = 1 } = {}) {
+  return readingOrderGroups(textContent)
+    .map(lines => lines.map(({ items }) => {
+      let lineText = '';
+      
+      for (let i = 0; i < items.length; i++) {
+        const item = items[i];
+        if (i > 0) {
+          const prevItem = items[i - 1];
+          const prevEnd = prevItem.x + prevItem.width;
+          
+          // Add space if there's a gap between items
+          if (item.x - prevEnd > gapThreshold) {
+            lineText += ' ';
+          }
+        }
+        lineText += item.text;
+      }
+      
+      return lineText.trim();
+    }).filter(line => line).join('\n'))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Rebuild page text straight from pdf.js text content: items in
+ * content-stream order, concatenated, with a line break whenever the
+ * baseline changes (what the removed pdf-parse path produced). No layout
+ * analysis at all, useful as a baseline when comparing strategies.
+ * @param {Object} textContent - Result of pdfjs `page.getTextContent()`
+ * @returns {string} Page text
+ */
+export function reconstructRawPageText(textContent) {
+  let text = '';
+  let lastY = null;
+
+  (textContent?.items || []).forEach(item => {
+    if (!item.transform || typeof item.str !== 'string') return;
+    const y = item.transform[5];
+    text += lastY === null || y === lastY ? item.str : '\n' + item.str;
+    lastY = y;
+  });
+
+  return text.trim();
+}
+
+/**
+ * Visual lines in reading order with their position on the page
+ * @param {Object} textContent - Result of pdfjs `page.getTextContent()`
+ * @returns {Array<{text: string, x: number, y: number, width: number, fontSize: number}>} Lines; `y` is the PDF baseline (origin bottom-left)
+ */
+export function extractPositionedLines(textContent) {
+  return readingOrderGroups(textContent)
+    .flat()
+    .map(({ y, items }) => {
+      const x = items[0].x;
+      return {
+        text: joinLineItems(items),
+        x,
+        y,
+        width: Math.max(...items.map(item => item.x + (item.width || 0))) - x,
+        fontSize: Math.max(...items.map(item => item.fontSize || 0))
+      };
+    })
+    .filter(line => line.text.length > 0);
+}
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Shrinking embeddings: Matryoshka truncation and quantization
+ *
+ * `text-embedding-3` models are trained so that a prefix of the vector is
+ * an embedding in its own right: cut to 256-1024 dimensions and
+ * renormalised, it loses little retrieval quality. Quantization then keeps
+ * each dimension in one byte (int8, with one scale per vector) or in one
+ * bit (binary, the sign). Quantized scores are only good for picking
+ * candidates; full-precision vectors, when kept, rescore them. Codes
+ * serialize to base64, so an exported index carries them in place of the
+ * vectors.
+ */
+
+import { dotProduct, magnitude } from './vectors.js';
+
+/**
+ * Dimensions worth truncating `text-embedding-3` vectors to
+ */
+export const MATRYOSHKA_DIMENSIONS = [256, 512, 1024, 1536, 3072];
+
+/**
+ * First `dimensions` values of an embedding, renormalised to unit length
+ * @param {ArrayLike<number>} vector - Embedding
+ * @param {number} [dimensions] - Dimensions to keep (all when absent or larger)
+ * @returns {Float32Array} Truncated unit vector
+ */
+export function truncateEmbedding(vector, dimensions = vector.length) {
+  const prefix = Float32Array.from({ length: Math.min(dimensions, vector.length) }, (_, i) => vector[i]);
+  const norm = magnitude(prefix) || 1;
+  return prefix.map(value => value / norm);
+}
+
+/**
+ * Set bits in every byte value
+ */
+const POPCOUNT = Uint8Array.from({ length: 256 }, (_, byte) => {
+  let bits = 0;
+  for (let b = byte; b; b >>= 1) bits += b & 1;
+  return bits;
+});
+
+/**
+ * Sign bits of a vector, eight dimensions per byte
+ * @param {ArrayLike<number>} vector - Vector
+ * @returns {Uint8Array} Bits (1 for positive values)
+ */
+function signBits(vector) {
+  const bits = new Uint8Array(Math.ceil(vector.length / 8));
+  for (let i = 0; i < vector.length; i++) {
+    if (vector[i] > 0) bits[i >> 3] |= 1 << (i & 7);
+  }
+  return bits;
+}
+
+/**
+ * Bytes of a typed array as base64
+ * @param {ArrayBufferView} array - Typed array
+ * @returns {string} Base64
+ */
+function toBase64(array) {
+  const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Typed array from the base64 of its bytes
+ * @param {string} text - Base64
+ * @param {Function} Type - Typed array constructor
+ * @returns {ArrayBufferView} Typed array
+ */
+function fromBase64(text, Type) {
+  return new Type(Uint8Array.from(atob(text), char => char.charCodeAt(0)).buffer);
+}
+
+/**
+ * Ways to encode unit vectors. `encode` turns a vector into its stored
+ * code, `prepare` a query into the form `score` compares with codes, and
+ * `score` approximates the cosine similarity. `bytes` is the code size.
+ * `serialize` and `deserialize` turn a code into JSON-safe data and back;
+ * `decode` approximates the unit vector a code came from.
+ */
+export const QUANTIZATION_MODES = {
+  none: {
+    id: 'none',
+    label: 'Float32',
+    description: 'Sem quantização: 4 bytes por dimensão',
+    bytes: (dimensions) => dimensions * 4,
+    encode: (vector) => Float32Array.from(vector),
+    prepare: (query) => query,
+    score: (query, code) => dotProduct(query, code),
+    serialize: toBase64,
+    deserialize: (data) => fromBase64(data, Float32Array),
+    decode: (code) => code,
+  },
+  int8: {
+    id: 'int8',
+    label: 'Int8',
+    description: '1 byte por dimensão, com uma escala por vetor',
+    bytes: (dimensions) => dimensions + 4,
+    encode: (vector) => {
+      const scale = Math.max(...Array.from(vector, Math.abs)) / 127 || 1;
+      return { scale, values: Int8Array.from(vector, value => Math.round(value / scale)) };
+    },
+    prepare: (query) => query,
+    score: (query, code) => dotProduct(query, code.values) * code.scale,
+    serialize: ({ scale, values }) => ({ scale, values: toBase64(values) }),
+    deserialize: ({ scale, values }) => ({ scale, values: fromBase64(values, Int8Array) }),
+    decode: ({ scale, values }) => Float32Array.from(values, value => value * scale),
+  },
+  binary: {
+    id: 'binary',
+    label: 'Binária',
+    description: '1 bit por dimensão (o sinal); semelhança pela distância de Hamming',
+    bytes: (dimensions) => Math.ceil(dimensions / 8),
+    encode: signBits,
+    prepare: (query) => ({ bits: signBits(query), dimensions: query.length }),
+    score: ({ bits, dimensions }, code) => {
+      let differing = 0;
+      for (let i = 0; i < bits.length; i++) differing += POPCOUNT[bits[i] ^ code[i]];
+      return 1 - (2 * differing) / dimensions;
+    },
+    serialize: toBase64,
+    deserialize: (data) => fromBase64(data, Uint8Array),
+    decode: (code, dimensions) => {
+      const unit = 1 / Math.sqrt(dimensions);
+      return Float32Array.from({ length: dimensions }, (_, i) => (code[i >> 3] >> (i & 7)) & 1 ? unit : -unit);
+    },
+  },
+};
+
+/**
+ * Mode used when none is given
+ */
+export const DEFAULT_QUANTIZATION_MODE = 'none';
+
+/**
+ * Look up a quantization mode by name
+ * @param {string} [name=DEFAULT_QUANTIZATION_MODE] - Mode id
+ * @returns {Object} Mode
+ * @throws {Error} When no mode has that name
+ */
+export function getQuantizationMode(name = DEFAULT_QUANTIZATION_MODE) {
+  const mode = QUANTIZATION_MODES[name];
+  if (!mode) {
+    throw new Error(`Unknown quantization mode: ${name}`);
+  }
+  return mode;
+}
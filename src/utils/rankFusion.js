@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Fusing ranked result lists (full-text and vector search)
+ *
+ * BM25 scores are unbounded and cosine similarities are not, so the lists
+ * cannot be compared score to score. Reciprocal rank fusion only looks at
+ * positions; weighted fusion scales each list by its best score first.
+ * Both give fused scores between 0 and 1 and keep, for every result, the
+ * rank and score it had in each list.
+ */
+
+/**
+ * @typedef {Object} RankedHit
+ * @property {string} id - Document id, shared by the lists
+ * @property {number} score - Score in its list
+ * @property {*} document - Anything carried along with the hit
+ */
+
+/**
+ * @typedef {Object} FusedHit
+ * @property {string} id - Document id
+ * @property {*} document - Document of the first list that had it
+ * @property {number} score - Fused score (0-1)
+ * @property {Object<string, {rank: number, score: number}|null>} sources - Rank (1-based) and score
+ *   in each list, null where the list did not have it
+ */
+
+/**
+ * Gather the hits of every list by id
+ * @param {Object<string, RankedHit[]>} rankings - Lists by name, best first
+ * @returns {Map<string, {id: string, document: *, sources: Object}>} Hits in order of first appearance
+ */
+function collectHits(rankings) {
+  const names = Object.keys(rankings);
+  const hits = new Map();
+  names.forEach(name => {
+    rankings[name].forEach((hit, index) => {
+      if (!hits.has(hit.id)) {
+        hits.set(hit.id, { id: hit.id, document: hit.document, sources: Object.fromEntries(names.map(other => [other, null])) });
+      }
+      const entry = hits.get(hit.id);
+      // A list may hold the same id twice; its best position counts
+      entry.sources[name] ??= { rank: index + 1, score: hit.score };
+    });
+  });
+  return hits;
+}
+
+const weightOf = (weights, name) => weights[name] ?? 1;
+
+/**
+ * Reciprocal rank fusion: each list adds `weight / (k + rank)`, scaled so
+ * that being first in every list scores 1
+ * @param {Object<string, RankedHit[]>} rankings - Lists by name, best first
+ * @param {Object} [options]
+ * @param {number} [options.k=60] - Damping constant; higher values flatten the rank differences
+ * @param {Object<string, number>} [options.weights={}] - Weight per list (default 1)
+ * @returns {FusedHit[]} Hits, best first
+ */
+function reciprocalRankFusion(rankings, { k = 60, weights = {} } = {}) {
+  const names = Object.keys(rankings);
+  const best = names.reduce((sum, name) => sum + weightOf(weights, name) / (k + 1), 0) || 1;
+
+  return [...collectHits(rankings).values()].map(hit => ({
+    ...hit,
+    score: names.reduce((sum, name) => {
+      const source = hit.sources[name];
+      return source ? sum + weightOf(weights, name) / (k + source.rank) : sum;
+    }, 0) / best
+  }));
+}
+
+/**
+ * Weighted score fusion: each list's scores are divided by the list's best
+ * score, then averaged with the weights
+ * @param {Object<string, RankedHit[]>} rankings - Lists by name, best first
+ * @param {Object} [options]
+ * @param {Object<string, number>} [options.weights={}] - Weight per list (default 1)
+ * @returns {FusedHit[]} Hits, best first
+ */
+function weightedFusion(rankings, { weights = {} } = {}) {
+  const names = Object.keys(rankings);
+  const totalWeight = names.reduce((sum, name) => sum + weightOf(weights, name), 0) || 1;
+  const maxScores = Object.fromEntries(names.map(name => [
+    name,
+    Math.max(0, ...rankings[name].map(hit => hit.score)) || 1
+  ]));
+
+  return [...collectHits(rankings).values()].map(hit => ({
+    ...hit,
+    score: names.reduce((sum, name) => {
+      const source = hit.sources[name];
+      return source ? sum + weightOf(weights, name) * (source.score / maxScores[name]) : sum;
+    }, 0) / totalWeight
+  }));
+}
+
+/**
+ * Available fusion methods. `defaults` lists the options each one accepts.
+ */
+export const FUSION_METHODS = {
+  rrf: {
+    id: 'rrf',
+    label: 'Reciprocal rank fusion',
+    description: 'Soma 1/(k + posição) de cada lista; ignora a escala das pontuações',
+    defaults: { k: 60, weights: {} },
+    fuse: reciprocalRankFusion,
+  },
+  weighted: {
+    id: 'weighted',
+    label: 'Pesos',
+    description: 'Média ponderada das pontuações, cada lista dividida pela sua melhor pontuação',
+    defaults: { weights: {} },
+    fuse: weightedFusion,
+  },
+};
+
+/**
+ * Method used when none is given
+ */
+export const DEFAULT_FUSION_METHOD = 'rrf';
+
+/**
+ * Look up a fusion method by name
+ * @param {string} [name=DEFAULT_FUSION_METHOD] - Method id
+ * @returns {Object} Method
+ * @throws {Error} When no method has that name
+ */
+export function getFusionMethod(name = DEFAULT_FUSION_METHOD) {
+  const method = FUSION_METHODS[name];
+  if (!method) {
+    throw new Error(`Unknown fusion method: ${name}`);
+  }
+  return method;
+}
+
+/**
+ * Fuse ranked lists with a named method
+ * @param {Object<string, RankedHit[]>} rankings - Lists by name, best first
+ * @param {string} [name=DEFAULT_FUSION_METHOD] - Method id
+ * @param {Object} [options] - Overrides for the method's `defaults`
+ * @returns {FusedHit[]} Hits, best first
+ */
+export function fuseRankings(rankings, name = DEFAULT_FUSION_METHOD, options = {}) {
+  const method = getFusionMethod(name);
+  return method.fuse(rankings, { ...method.defaults, ...options })
+    .sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Calibrating similarity scores per index
+ *
+ * How similar an unrelated passage looks depends on the embedding model and
+ * on the documents: in a single-topic report every chunk is fairly close to
+ * every question, while elsewhere even the right passage scores low. A fixed
+ * cutoff lets noise through on the first kind of index and filters
+ * everything out on the second. Calibration measures the similarities that
+ * sample queries get from passages that do not answer them (the background)
+ * and judges a score by where it falls in that distribution.
+ */
+
+/**
+ * Fewest background scores worth calibrating from
+ */
+export const MIN_BACKGROUND_SCORES = 20;
+
+/**
+ * @typedef {Object} Calibration
+ * @property {number} floor - Median background similarity; confidence is 0 at or below it
+ * @property {number} threshold - Background quantile below which a result is not a match
+ * @property {number} ceiling - Background similarity almost never reached (99th percentile); confidence 1 above it
+ * @property {number} quantile - Quantile used for the threshold
+ * @property {number} samples - Background scores measured (0 when not calibrated)
+ * @property {boolean} calibrated - False for a fixed threshold
+ */
+
+/**
+ * @typedef {Object} Confidence
+ * @property {number} similarity - Similarity judged
+ * @property {number} score - 0 at the floor, 0.5 at the threshold, 1 at the ceiling, linear in between
+ * @property {'high'|'medium'|'low'} level - Above the ceiling, above the threshold, or below it
+ */
+
+/**
+ * Value at a quantile of sorted values, interpolating between neighbours
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} q - Quantile (0-1)
+ * @returns {number} Value
+ */
+export function quantileOf(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Calibration from background similarities
+ * @param {number[]} scores - Similarities of passages that do not answer the sample queries
+ * @param {Object} [options]
+ * @param {number} [options.quantile=0.9] - Share of the background the threshold must beat
+ * @returns {Calibration} Calibration
+ * @throws {Error} With fewer than `MIN_BACKGROUND_SCORES` scores
+ */
+export function calibrate(scores, { quantile = 0.9 } = {}) {
+  if (scores.length < MIN_BACKGROUND_SCORES) {
+    throw new Error(`Not enough background scores to calibrate: ${scores.length} (at least ${MIN_BACKGROUND_SCORES})`);
+  }
+  const sorted = [...scores].sort((a, b) => a - b);
+  return {
+    floor: quantileOf(sorted, 0.5),
+    threshold: quantileOf(sorted, quantile),
+    ceiling: quantileOf(sorted, 0.99),
+    quantile,
+    samples: sorted.length,
+    calibrated: true
+  };
+}
+
+/**
+ * Calibration standing for a fixed threshold, for indexes not calibrated yet
+ * @param {number} threshold - Similarity cutoff
+ * @returns {Calibration} Calibration spanning 0-1 around the threshold
+ */
+export function fixedCalibration(threshold) {
+  return { floor: 0, threshold, ceiling: 1, quantile: null, samples: 0, calibrated: false };
+}
+
+/**
+ * `value / span` kept within 0-1; `whenFlat` when the span is empty
+ */
+const clampedRatio = (value, span, whenFlat = 0) =>
+  (span > 0 ? Math.min(Math.max(value / span, 0), 1) : whenFlat);
+
+/**
+ * Judge a similarity against a calibration
+ * @param {number} similarity - Query-passage similarity
+ * @param {Calibration} calibration - Calibration of the index
+ * @returns {Confidence} Confidence
+ */
+export function assessConfidence(similarity, { floor, threshold, ceiling }) {
+  const score = similarity < threshold
+    ? 0.5 * clampedRatio(similarity - floor, threshold - floor)
+    : 0.5 + 0.5 * clampedRatio(similarity - threshold, ceiling - threshold, 1);
+  const level = similarity >= ceiling ? 'high' : similarity >= threshold ? 'medium' : 'low';
+  return { similarity, score, level };
+}
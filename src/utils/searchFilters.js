@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Search filters over chunk metadata
+ *
+ * Filters are written in terms of the document (`source`, `pageNumber`,
+ * `language`, `sectionPath`, `type`) and translated into an Orama `where`
+ * clause over the indexed fields. A page filter keeps chunks that overlap
+ * the range, so a chunk running from page 39 onto page 40 is in "pages
+ * 40–60". A section filter also keeps its subsections, through the
+ * `sections` field that lists every ancestor of a chunk's section path.
+ */
+
+import { SECTION_PATH_SEPARATOR } from './sections.js';
+
+/**
+ * @typedef {Object} SearchFilters
+ * @property {string|string[]} [source] - Document name(s)
+ * @property {number|{between: [number, number]}|{gte?: number, lte?: number}} [pageNumber] - Page or page range
+ * @property {string|string[]} [language] - Language code(s)
+ * @property {string|string[]} [sectionPath] - Section path(s), subsections included
+ * @property {string|string[]} [type] - Chunk type(s): `text`, `figure`
+ */
+
+/**
+ * Filters translated here; any other key goes to Orama as written
+ */
+const KNOWN_FILTERS = new Set(['source', 'pageNumber', 'language', 'sectionPath', 'type']);
+
+const asList = (value) => (Array.isArray(value) ? value : [value]);
+
+/**
+ * A section path and all of its ancestors, outermost first
+ * @param {string} [sectionPath] - Path such as `2 Resultados > 2.1 Receita`
+ * @returns {string[]} Paths; empty for chunks outside any section
+ */
+export function sectionAncestors(sectionPath) {
+  if (!sectionPath) return [];
+  const parts = sectionPath.split(SECTION_PATH_SEPARATOR);
+  return parts.map((_, index) => parts.slice(0, index + 1).join(SECTION_PATH_SEPARATOR));
+}
+
+/**
+ * First and last page of a page filter
+ * @param {SearchFilters['pageNumber']} filter - Page filter
+ * @returns {{from: number, to: number}} Inclusive range (open ends are infinite)
+ */
+export function pageRangeOf(filter) {
+  if (typeof filter === 'number') return { from: filter, to: filter };
+  if (filter.between) return { from: filter.between[0], to: filter.between[1] };
+  return { from: filter.gte ?? -Infinity, to: filter.lte ?? Infinity };
+}
+
+/**
+ * Orama `where` clause for some filters
+ * @param {SearchFilters} [filters] - Filters; empty values are ignored
+ * @returns {Object|undefined} Clause, or undefined when nothing filters
+ */
+export function buildWhere(filters = {}) {
+  const where = {};
+
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) return;
+
+    switch (key) {
+      case 'source':
+      case 'language':
+      case 'type':
+        where[key] = { in: asList(value) };
+        break;
+      case 'sectionPath':
+        where.sections = { containsAny: asList(value) };
+        break;
+      case 'pageNumber': {
+        const { from, to } = pageRangeOf(value);
+        if (Number.isFinite(to)) where.pageStart = { lte: to };
+        if (Number.isFinite(from)) where.pageEnd = { gte: from };
+        break;
+      }
+      default:
+        where[key] = value;
+    }
+  });
+
+  return Object.keys(where).length > 0 ? where : undefined;
+}
+
+/**
+ * Whether a chunk's metadata passes the filters (for chunks fetched by id,
+ * which Orama does not filter). Keys passed through to Orama are not checked.
+ * @param {Object} metadata - Chunk metadata or stored document
+ * @param {SearchFilters} [filters] - Filters
+ * @returns {boolean} True when every known filter matches
+ */
+export function matchesFilters(metadata, filters = {}) {
+  return Object.entries(filters).every(([key, value]) => {
+    if (!KNOWN_FILTERS.has(key) || value === undefined || value === null || value === '' ||
+      (Array.isArray(value) && value.length === 0)) {
+      return true;
+    }
+    if (key === 'pageNumber') {
+      const { from, to } = pageRangeOf(value);
+      const pageStart = metadata.pageStart ?? metadata.pageNumber;
+      const pageEnd = metadata.pageEnd ?? metadata.pageNumber;
+      return pageStart <= to && pageEnd >= from;
+    }
+    if (key === 'sectionPath') {
+      const ancestors = sectionAncestors(metadata.sectionPath);
+      return asList(value).some(path => ancestors.includes(path));
+    }
+    return asList(value).includes(metadata[key]);
+  });
+}
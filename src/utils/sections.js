@@ -0,0 +1,324 @@
+/**
+ * @fileoverview Heading detection and section hierarchy for PDF documents
+ *
+ * Headings come from two sources that are merged: lines whose font is
+ * larger or bolder than the body text, and the PDF outline (bookmarks).
+ * The result is a section tree plus, for every heading, the path of titles
+ * leading to it ("3 Results > 3.2 Costs").
+ */
+
+/**
+ * Separator between titles in a section path
+ */
+export const SECTION_PATH_SEPARATOR = ' > ';
+
+/**
+ * Font size ratio over the body text from which a line counts as a heading
+ */
+const HEADING_SIZE_RATIO = 1.15;
+
+/**
+ * Longest line (characters / words) that can still be a heading
+ */
+const MAX_HEADING_LENGTH = 120;
+const MAX_HEADING_WORDS = 15;
+
+/**
+ * Font names that indicate a bold face
+ */
+const BOLD_FONT_PATTERN = /bold|black|heavy|semibold|demi/i;
+
+/**
+ * @param {Object} font - pdfjs font object from `page.commonObjs`
+ * @returns {boolean} Whether the font is bold
+ */
+export const isBoldFont = (font) => !!(font && (font.bold || font.black || BOLD_FONT_PATTERN.test(font.name || '')));
+
+/**
+ * @param {string} text - Any text
+ * @returns {string} Lower-case letters and digits only, for fuzzy matching
+ */
+const compact = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+/**
+ * @param {number} size - Font size
+ * @returns {number} Size rounded to half points, so near-equal sizes group together
+ */
+const roundSize = (size) => Math.round(size * 2) / 2;
+
+/**
+ * Add the characters of some lines to a font-size histogram
+ * @param {Map<number, number>} histogram - Characters per rounded font size; updated in place
+ * @param {Array<{text: string, fontSize: number}>} lines - Lines with their font size
+ */
+export function accumulateFontSizes(histogram, lines) {
+  lines.forEach(({ text, fontSize }) => {
+    if (!fontSize) return;
+    const size = roundSize(fontSize);
+    histogram.set(size, (histogram.get(size) || 0) + text.length);
+  });
+}
+
+/**
+ * @param {Map<number, number>} histogram - Characters per rounded font size
+ * @returns {number} Most common font size by characters (the body text size)
+ */
+export function estimateBodyFontSize(histogram) {
+  let bodySize = 0;
+  let maxChars = -1;
+  histogram.forEach((chars, size) => {
+    if (chars > maxChars) {
+      bodySize = size;
+      maxChars = chars;
+    }
+  });
+  return bodySize;
+}
+
+/**
+ * Short lines that may be headings. Consecutive candidates in the same font
+ * are merged, so headings wrapped over two lines stay one heading.
+ * @param {Array<{text: string, fontSize: number, bold: boolean}>} lines - Page lines in reading order
+ * @returns {Array<{text: string, fontSize: number, bold: boolean, order: number}>} Candidates in page order
+ */
+export function collectHeadingCandidates(lines) {
+  const candidates = [];
+  let previous = null;
+
+  lines.forEach(({ text, fontSize, bold }, index) => {
+    const trimmed = text.trim();
+    const isCandidate = trimmed.length >= 2 &&
+      trimmed.length <= MAX_HEADING_LENGTH &&
+      trimmed.split(/\s+/).length <= MAX_HEADING_WORDS &&
+      /\p{L}/u.test(trimmed) &&
+      !/[.,;:]$/.test(trimmed);
+
+    if (!isCandidate) {
+      previous = null;
+      return;
+    }
+
+    if (previous && previous.index === index - 1 &&
+        roundSize(previous.candidate.fontSize) === roundSize(fontSize) &&
+        previous.candidate.bold === bold) {
+      previous.candidate.text += ' ' + trimmed;
+      previous.index = index;
+      return;
+    }
+
+    const candidate = { text: trimmed, fontSize, bold, order: candidates.length };
+    candidates.push(candidate);
+    previous = { candidate, index };
+  });
+
+  return candidates;
+}
+
+/**
+ * @param {{fontSize: number, bold: boolean}} candidate - Heading candidate
+ * @param {number} bodyFontSize - Body text size
+ * @returns {boolean} Whether the candidate stands out from the body text
+ */
+const standsOut = ({ fontSize, bold }, bodyFontSize) => {
+  if (!bodyFontSize) return bold;
+  return fontSize >= bodyFontSize * HEADING_SIZE_RATIO || (bold && fontSize >= bodyFontSize * 0.95);
+};
+
+/**
+ * @param {string} title - Heading text
+ * @returns {number|null} Depth of a leading "3.2"-style number, if any
+ */
+const numberingDepth = (title) => {
+  const match = title.match(/^(\d+(?:\.\d+)*)[.)]?\s+\S/);
+  return match ? match[1].split('.').length : null;
+};
+
+/**
+ * Nest headings (in document order) into a tree by level and set each
+ * heading's `path` to the titles leading to it
+ * @param {Array<{title: string, level: number, pageNumber: number}>} headings - Headings; `path` is set in place
+ * @returns {Array<{title: string, level: number, pageNumber: number, children: Array}>} Root sections
+ */
+export function buildTree(headings) {
+  const tree = [];
+  const stack = [];
+  headings.forEach(heading => {
+    while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) {
+      stack.pop();
+    }
+
+    const node = { title: heading.title, level: heading.level, pageNumber: heading.pageNumber, children: [] };
+    (stack.length > 0 ? stack[stack.length - 1].children : tree).push(node);
+    stack.push(node);
+
+    heading.path = stack.map(entry => entry.title).join(SECTION_PATH_SEPARATOR);
+  });
+  return tree;
+}
+
+/**
+ * Resolve the PDF outline to a flat list of entries with page numbers
+ * @param {Object} pdf - pdfjs document proxy
+ * @returns {Promise<Array<{title: string, level: number, pageNumber: number|null}>>} Entries in outline order
+ */
+export async function resolveOutline(pdf) {
+  let outline = null;
+  try {
+    outline = await pdf.getOutline();
+  } catch (error) {
+    console.warn('Falha ao ler o sumário do PDF:', error);
+  }
+  if (!outline) return [];
+
+  const resolvePage = async (dest) => {
+    try {
+      const explicit = typeof dest === 'string' ? await pdf.getDestination(dest) : dest;
+      if (!Array.isArray(explicit)) return null;
+      const [ref] = explicit;
+      return typeof ref === 'number' ? ref + 1 : (await pdf.getPageIndex(ref)) + 1;
+    } catch {
+      return null;
+    }
+  };
+
+  const entries = [];
+  const visit = async (items, level) => {
+    for (const item of items) {
+      const title = (item.title || '').trim();
+      if (title) {
+        entries.push({ title, level, pageNumber: await resolvePage(item.dest) });
+      }
+      if (item.items?.length) {
+        await visit(item.items, level + 1);
+      }
+    }
+  };
+  await visit(outline, 1);
+
+  return entries;
+}
+
+/**
+ * Decide which candidates are headings, give every heading a level and
+ * build the section tree.
+ *
+ * Levels come from the outline when a heading matches an outline entry,
+ * otherwise from "3.2"-style numbering, otherwise from font-size rank.
+ * Headings missing from a document that has an outline become children of
+ * the outline section they appear in. Outline entries not found in the
+ * text start at the top of their page.
+ *
+ * @param {Object} params
+ * @param {Array<{pageNumber: number, candidates: Array}>} params.pages - Candidates per page
+ * @param {Array<{title: string, level: number, pageNumber: number|null}>} [params.outline] - Resolved outline
+ * @param {number} params.bodyFontSize - Body text size
+ * @returns {{tree: Array<Object>, headings: Array<{title: string, level: number, pageNumber: number, order: number, path: string, anchored: boolean}>}}
+ */
+export function buildSectionTree({ pages, outline = [], bodyFontSize }) {
+  const detected = pages.flatMap(({ pageNumber, candidates }) => candidates
+    .filter(candidate => standsOut(candidate, bodyFontSize))
+    .map(candidate => ({ ...candidate, title: candidate.text, pageNumber, anchored: true })));
+
+  // Font-size rank: larger sizes are higher levels; bold body-size text comes last
+  const sizes = [...new Set(detected.map(heading => roundSize(heading.fontSize)))].sort((a, b) => b - a);
+  detected.forEach(heading => {
+    heading.level = numberingDepth(heading.title) ?? sizes.indexOf(roundSize(heading.fontSize)) + 1;
+  });
+
+  let headings = detected;
+
+  if (outline.length > 0) {
+    const unmatched = [];
+    outline.forEach(entry => {
+      const key = compact(entry.title);
+      const match = detected.find(heading => !heading.fromOutline &&
+        (entry.pageNumber === null || heading.pageNumber === entry.pageNumber) &&
+        key && (compact(heading.title) === key || compact(heading.title).includes(key) || key.includes(compact(heading.title))));
+
+      if (match) {
+        match.title = entry.title;
+        match.level = entry.level;
+        match.fromOutline = true;
+      } else if (entry.pageNumber !== null) {
+        unmatched.push({ title: entry.title, level: entry.level, pageNumber: entry.pageNumber, order: -1, anchored: false, fromOutline: true });
+      }
+    });
+
+    headings = [...detected, ...unmatched].sort((a, b) => a.pageNumber - b.pageNumber || a.order - b.order);
+
+    // Headings only found in the text nest under the current outline section
+    let outlineLevel = 0;
+    headings.forEach(heading => {
+      if (heading.fromOutline) {
+        outlineLevel = heading.level;
+      } else {
+        heading.level = outlineLevel + 1;
+      }
+    });
+  } else {
+    headings.sort((a, b) => a.pageNumber - b.pageNumber || a.order - b.order);
+  }
+
+  const tree = buildTree(headings);
+
+  return {
+    tree,
+    headings: headings.map(({ title, level, pageNumber, order, path, anchored }) => ({ title, level, pageNumber, order, path, anchored }))
+  };
+}
+
+/**
+ * Cut a page's text at its headings
+ * @param {string} text - Page text
+ * @param {Array<{title: string, path: string, anchored: boolean}>} pageHeadings - Headings on this page, in order
+ * @param {string} currentPath - Section path in effect at the top of the page
+ * @returns {{segments: Array<{text: string, sectionPath: string, startsSection: boolean, start: number}>, currentPath: string}}
+ *   Segments with their offset in `text`, and the path in effect at the end of the page
+ */
+export function splitTextBySections(text, pageHeadings, currentPath) {
+  // Map compacted characters back to offsets in the original text
+  const offsets = [];
+  let compactText = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = compact(text[i]);
+    if (char) {
+      compactText += char;
+      offsets.push(i);
+    }
+  }
+
+  const cuts = [];
+  let cursor = 0;
+  let path = currentPath;
+
+  pageHeadings.forEach(heading => {
+    if (!heading.anchored) {
+      // Outline entry not found in the text: the section starts with the page
+      path = heading.path;
+      return;
+    }
+    const index = compactText.indexOf(compact(heading.title), cursor);
+    if (index === -1) return;
+
+    cuts.push({ offset: offsets[index], path: heading.path });
+    cursor = index + 1;
+  });
+
+  const segments = [];
+  const pushSegment = (start, end, sectionPath, startsSection) => {
+    const segmentText = text.slice(start, end);
+    const trimmed = segmentText.trim();
+    if (trimmed) {
+      segments.push({ text: trimmed, sectionPath, startsSection, start: start + segmentText.indexOf(trimmed) });
+    }
+  };
+
+  pushSegment(0, cuts[0]?.offset ?? text.length, path, false);
+  cuts.forEach((cut, index) => {
+    const end = cuts[index + 1]?.offset ?? text.length;
+    pushSegment(cut.offset, end, cut.path, true);
+    path = cut.path;
+  });
+
+  return { segments, currentPath: path };
+}
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Unicode-aware spacing repair and dehyphenation
+ *
+ * Word spacing is decided from font metrics (the gap between two text
+ * items relative to the font size) instead of fixed distances. Text-level
+ * repairs - joining words hyphenated across lines and letter-spaced words
+ * ("T Í T U L O") - are only made when the document's own vocabulary
+ * confirms the result, so short words like "e o", "a é" or enumerations
+ * like "a b c" are never merged.
+ */
+
+/**
+ * Gap, as a fraction of the font size, from which two items are separate
+ * words. A normal space is about 0.25em; kerning and tracking stay well
+ * below 0.1em.
+ */
+const SPACE_GAP_RATIO = 0.15;
+
+/**
+ * Font size assumed when an item does not report one
+ */
+const DEFAULT_FONT_SIZE = 10;
+
+/**
+ * Characters that never take a space before them
+ */
+const CLOSING_PUNCTUATION = /^[.,;:!?%)\]}»”’…]/u;
+
+/**
+ * Characters that never take a space after them
+ */
+const OPENING_PUNCTUATION = /[([{«“‘/]$/u;
+
+/**
+ * Collect the lower-case words of some texts
+ * @param {string[]} texts - Texts to read
+ * @param {Set<string>} [vocabulary=new Set()] - Set to add to
+ * @returns {Set<string>} Vocabulary, including hyphenated compounds ("guarda-chuva")
+ */
+export function collectVocabulary(texts, vocabulary = new Set()) {
+  texts.forEach(text => {
+    (text.toLowerCase().match(/[\p{L}\p{M}]+(?:-[\p{L}\p{M}]+)*/gu) || []).forEach(word => {
+      vocabulary.add(word);
+      if (word.includes('-')) {
+        word.split('-').forEach(part => vocabulary.add(part));
+      }
+    });
+  });
+  return vocabulary;
+}
+
+/**
+ * Vocabulary of a page's own text items
+ * @param {Object} textContent - Result of pdfjs `page.getTextContent()`
+ * @returns {Set<string>} Vocabulary
+ */
+export const vocabularyFromTextContent = (textContent) =>
+  collectVocabulary((textContent?.items || []).map(item => item.str || ''));
+
+/**
+ * Whether two neighbouring items on a line are separate words
+ * @param {{x: number, text: string, width: number, fontSize?: number}} previous - Item on the left
+ * @param {{x: number, text: string, fontSize?: number}} item - Item on the right
+ * @returns {boolean} Whether a space goes between them
+ */
+export function needsSpace(previous, item) {
+  if (/\s$/.test(previous.text) || /^\s/.test(item.text)) return false;
+  if (CLOSING_PUNCTUATION.test(item.text) || OPENING_PUNCTUATION.test(previous.text)) return false;
+
+  const fontSize = previous.fontSize || item.fontSize || DEFAULT_FONT_SIZE;
+  const gap = item.x - (previous.x + (previous.width || 0));
+  return gap > fontSize * SPACE_GAP_RATIO;
+}
+
+/**
+ * Join words hyphenated at line ends. The hyphen is dropped when the joined
+ * word is known (or unknown but continues in lower case, the usual syllable
+ * break) and kept when the hyphenated compound is known.
+ * @param {string} text - Lines joined with newlines
+ * @param {Set<string>} [vocabulary] - Known words
+ * @returns {string} Text with hyphenated words rejoined
+ */
+export function dehyphenate(text, vocabulary = new Set()) {
+  return text
+    // Soft hyphens only ever mark a break
+    .replace(/\u00AD[^\S\n]*\n[^\S\n]*/g, '')
+    .replace(/([\p{L}\p{M}]+)[-\u2010][^\S\n]*\n[^\S\n]*([\p{L}\p{M}]+)/gu, (match, head, tail) => {
+      const joined = (head + tail).toLowerCase();
+      const compound = `${head}-${tail}`.toLowerCase();
+      if (vocabulary.has(compound) && !vocabulary.has(joined)) return `${head}-${tail}`;
+      if (vocabulary.has(joined) || /^\p{Ll}/u.test(tail)) return head + tail;
+      return `${head}-${tail}`;
+    });
+}
+
+/**
+ * Join runs of three or more single letters ("T Í T U L O") when the joined
+ * word appears elsewhere in the document
+ * @param {string} text - Text to repair
+ * @param {Set<string>} [vocabulary] - Known words
+ * @returns {string} Text with letter-spaced words joined
+ */
+export function joinSpacedLetters(text, vocabulary = new Set()) {
+  return text.replace(/(?<![\p{L}\p{M}])[\p{L}\p{M}](?:[^\S\n][\p{L}\p{M}]){2,}(?![\p{L}\p{M}])/gu, (run) => {
+    const joined = run.replace(/\s/g, '');
+    return vocabulary.has(joined.toLowerCase()) ? joined : run;
+  });
+}
+
+/**
+ * Repair a block of prose: rejoin hyphenated and letter-spaced words,
+ * collapse repeated spaces and join lines at sentence boundaries
+ * @param {string} text - Lines joined with newlines
+ * @param {Object} [options]
+ * @param {Set<string>} [options.vocabulary] - Known words; without it only unambiguous repairs are made
+ * @returns {string} Repaired text
+ */
+export function repairText(text, { vocabulary = new Set() } = {}) {
+  return joinSpacedLetters(dehyphenate(text, vocabulary), vocabulary)
+    .replace(/[^\S\n]{2,}/g, ' ')
+    .replace(/([.!?])[^\S\n]*\n[^\S\n]*(?=\p{Lu})/gu, '$1 ')
+    .trim();
+}
+
+/**
+ * Split text into words (letters and digits), for quality measures
+ * @param {string} text - Any text
+ * @returns {string[]} Words
+ */
+export const tokenizeWords = (text) => text.match(/[\p{L}\p{M}\p{N}]+/gu) || [];
@@ -0,0 +1,45 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectVocabulary, dehyphenate, joinSpacedLetters } from './textRepair.js';
+
+describe('dehyphenate', () => {
+  test('joins a word broken across lines when the tail is lower case', () => {
+    assert.equal(dehyphenate('foi trans-\nmitida ao servidor'), 'foi transmitida ao servidor');
+  });
+
+  test('keeps the hyphen of a known compound', () => {
+    const vocabulary = collectVocabulary(['o guarda-chuva novo']);
+    assert.equal(dehyphenate('Levei o guarda-\nchuva', vocabulary), 'Levei o guarda-chuva');
+  });
+
+  test('joins a known word even when it also splits into known parts', () => {
+    const vocabulary = collectVocabulary(['o guarda-chuva novo', 'o guardachuva velho']);
+    assert.equal(dehyphenate('o guarda-\nchuva', vocabulary), 'o guardachuva');
+  });
+
+  test('keeps the hyphen before an unknown capitalised tail', () => {
+    assert.equal(dehyphenate('acordo Mercosul-\nUnião Europeia'), 'acordo Mercosul-União Europeia');
+  });
+
+  test('drops soft hyphens at line ends', () => {
+    assert.equal(dehyphenate('infor\u00AD\nmação'), 'informação');
+  });
+});
+
+describe('joinSpacedLetters', () => {
+  test('joins a letter-spaced word found in the vocabulary', () => {
+    const vocabulary = collectVocabulary(['Este resumo descreve o método.']);
+    assert.equal(joinSpacedLetters('R E S U M O', vocabulary), 'RESUMO');
+  });
+
+  test('leaves enumerations and unknown runs alone', () => {
+    const vocabulary = collectVocabulary(['Opções de resposta']);
+    assert.equal(joinSpacedLetters('Opções: a b c ou d.', vocabulary), 'Opções: a b c ou d.');
+    assert.equal(joinSpacedLetters('X Y Z', vocabulary), 'X Y Z');
+  });
+
+  test('does not join across lines', () => {
+    const vocabulary = collectVocabulary(['abc']);
+    assert.equal(joinSpacedLetters('a\nb\nc', vocabulary), 'a\nb\nc');
+  });
+});
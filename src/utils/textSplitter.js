@@ -1,94 +1,186 @@
 /**
  * @fileoverview Enhanced text splitter with intelligent chunking
+ *
+ * How text is cut is up to a named strategy (see `CHUNKING_STRATEGIES`);
+ * every chunk keeps its `start`/`end` offsets in the text it came from.
  */
 
+import { detectLanguage, getLanguageProfile } from './language.js';
+import { countTokens, DEFAULT_ENCODING, loadEncoder } from './tokenizer.js';
+import { DEFAULT_CHUNKING_STRATEGY, getChunkingStrategy } from './chunkingStrategies.js';
+
 export class SimpleTextSplitter {
+  /**
+   * @param {Object} options
+   * @param {number} [options.chunkSize=512] - Largest chunk, in tokens
+   * @param {number} [options.chunkOverlap=50] - Tokens repeated from the previous chunk
+   * @param {string[]|null} [options.separators=null] - Split points, coarsest first; null uses the language's
+   * @param {string|null} [options.language=null] - Language code, `'auto'` to detect it per text, or null for none
+   * @param {Function|null} [options.tokenizer=null] - Token counter; null counts BPE tokens of `model`
+   * @param {string} [options.model] - Model (or encoding) whose tokens are counted, usually the embedding model
+   * @param {string} [options.strategy='recursive'] - Chunking strategy id (see `CHUNKING_STRATEGIES`)
+   * @param {Object} [options.strategyOptions={}] - Overrides for the strategy's `defaults`
+   * @param {function(string[]): Promise<number[][]>} [options.embed] - Embeds texts; required by `semantic`
+   * @param {{chunkSize: number, chunkOverlap?: number}|null} [options.children=null] - Also cut every chunk into
+   *   smaller child chunks (with the `recursive` strategy), for small-to-big retrieval
+   */
   constructor({ 
     chunkSize = 512, 
     chunkOverlap = 50, 
-    separators = ["\n\n", "\n", ". ", "! ", "? ", "; ", ": ", " "],
+    separators = null,
+    language = null,
     preserveContext = true,
-    tokenizer = null 
+    tokenizer = null,
+    model = DEFAULT_ENCODING,
+    strategy = DEFAULT_CHUNKING_STRATEGY,
+    strategyOptions = {},
+    embed = null,
+    children = null
   }) {
+    const profile = getLanguageProfile(language);
+    this.options = { chunkSize, chunkOverlap, separators, preserveContext, tokenizer, model, strategy, strategyOptions, embed, children };
+    this.model = model;
+    this.strategy = getChunkingStrategy(strategy);
+    this.strategyOptions = strategyOptions;
+    this.embed = embed;
     this.chunkSize = chunkSize;
     this.chunkOverlap = chunkOverlap;
-    this.separators = separators;
+    this.language = language;
+    this.separators = separators || profile?.separators || ["\n\n", "\n", ". ", "! ", "? ", "; ", ": ", " "];
+    this.abbreviations = profile?.abbreviations || new Set();
     this.preserveContext = preserveContext;
-    this.tokenizer = tokenizer || this.defaultTokenizer;
+    this.tokenizer = tokenizer || (text => this.defaultTokenizer(text));
+    this.languageSplitters = new Map();
+    this.childSplitter = children && language !== 'auto'
+      ? new SimpleTextSplitter({ ...this.options, language, strategy: 'recursive', strategyOptions: {}, chunkOverlap: 0, ...children, children: null })
+      : null;
   }
 
   /**
-   * Simple token counter (approximation)
+   * Token counter with the BPE encoding of the splitter's model
    * @param {string} text - Text to count tokens
-   * @returns {number} Approximate token count
+   * @returns {number} Token count
    */
   defaultTokenizer(text) {
-    // Approximate: 1 token ≈ 4 characters
-    return Math.ceil(text.length / 4);
+    return countTokens(text, this.model);
+  }
+
+  /**
+   * Wait for the vocabulary of the splitter's model, so chunks are cut by
+   * exact token counts rather than estimates
+   * @returns {Promise<void>}
+   */
+  async ready() {
+    if (!this.options.tokenizer) {
+      await loadEncoder(this.model);
+    }
+  }
+
+  /**
+   * Splitter with the same options for one language
+   * @param {string} language - Language code
+   * @returns {SimpleTextSplitter} Splitter
+   */
+  forLanguage(language) {
+    if (!this.languageSplitters.has(language)) {
+      this.languageSplitters.set(language, new SimpleTextSplitter({ ...this.options, language }));
+    }
+    return this.languageSplitters.get(language);
   }
 
+  /**
+   * Split a text with the splitter's strategy
+   * @param {string} text - Text to split
+   * @returns {Promise<Array<{text: string, index: number, tokens: number, start: number, end: number, metadata: Object}>>}
+   *   Chunks in order; `text.slice(start, end)` of the input is the chunk (after any repeated table header)
+   */
   async splitText(text) {
     if (!text || typeof text !== 'string') {
       return [];
     }
 
-    // Normalize text
-    text = text.trim();
-    const textTokens = this.tokenizer(text);
-    
-    if (textTokens <= this.chunkSize) {
-      return [text];
+    if (this.language === 'auto') {
+      return this.forLanguage(detectLanguage(text).language).splitText(text);
     }
 
-    const chunks = [];
-    let currentChunk = '';
-    let currentTokenCount = 0;
-    const sentences = this.splitBySeparators(text);
+    await this.ready();
+    const spans = await this.strategy.split(text, {
+      ...this.strategy.defaults,
+      ...this.strategyOptions,
+      chunkSize: this.chunkSize,
+      chunkOverlap: this.chunkOverlap,
+      tokenizer: this.tokenizer,
+      separators: this.separators,
+      abbreviations: this.abbreviations,
+      embed: this.embed
+    });
 
-    for (const sentence of sentences) {
-      const sentenceTokens = this.tokenizer(sentence);
-      
-      // If adding this sentence would exceed chunk size
-      if (currentChunk && (currentTokenCount + sentenceTokens + 1) > this.chunkSize) {
-        // Add current chunk if it has content
-        if (currentChunk.trim()) {
-          chunks.push(this.formatChunk(currentChunk.trim(), chunks.length));
-        }
+    return spans.map(({ start, end, prefix, ...extra }, index) => this.formatChunk(
+      (prefix ? prefix + '\n' : '') + text.slice(start, end),
+      index,
+      { start, end, ...extra }
+    ));
+  }
 
-        // Start new chunk with overlap from previous chunk
-        if (chunks.length > 0 && this.chunkOverlap > 0) {
-          const overlapData = this.getOverlapWithTokens(chunks[chunks.length - 1].text, this.chunkOverlap);
-          currentChunk = overlapData.text ? overlapData.text + ' ' + sentence : sentence;
-          currentTokenCount = overlapData.tokens + sentenceTokens + 1;
-        } else {
-          currentChunk = sentence;
-          currentTokenCount = sentenceTokens;
+  /**
+   * Chunk consecutive section segments of a page or document, so no chunk
+   * mixes text from two sections. With `language: 'auto'` each segment is
+   * split with its own language's settings and each chunk gets its detected
+   * language (the segment's when the chunk is too short to tell).
+   * @param {Array<{text: string, sectionPath: string, startsSection: boolean, start?: number}>} segments - Segments in order;
+   *   `start` is the segment's offset in the page text
+   * @returns {Promise<Array<{text: string, sectionPath: string, startsSection: boolean, language: string|null, start: number, end: number, children?: Array<{text: string, start: number, end: number}>}>>}
+   *   Chunks in order, with offsets in the page text (or in the segment when it has no `start`); with the
+   *   `children` option, each chunk cut into more than one child also lists its children, with the same kind of offsets
+   */
+  async splitSegments(segments) {
+    const chunks = [];
+    for (const segment of segments) {
+      const auto = this.language === 'auto';
+      const segmentLanguage = auto ? detectLanguage(segment.text).language : this.language;
+      const splitter = auto ? this.forLanguage(segmentLanguage) : this;
+      const offset = segment.start || 0;
+      const splitChunks = await splitter.splitText(segment.text);
+      for (const [index, { text, start, end }] of splitChunks.entries()) {
+        const chunk = {
+          text,
+          sectionPath: segment.sectionPath,
+          startsSection: segment.startsSection && index === 0,
+          language: auto ? detectLanguage(text, { fallback: segmentLanguage }).language : this.language,
+          start: offset + start,
+          end: offset + end
+        };
+        if (splitter.childSplitter) {
+          const children = await splitter.childSplitter.splitText(text);
+          // A chunk that fits in one child is its own child: nothing to add
+          if (children.length > 1) {
+            // Chunk text ends with its span (a repeated table header may precede it), so count from the end
+            const toOffset = (position) => Math.max(chunk.start, chunk.end - (text.length - position));
+            chunk.children = children.map(child => ({
+              text: child.text,
+              start: toOffset(child.start),
+              end: toOffset(child.end)
+            }));
+          }
         }
-      } else {
-        // Add sentence to current chunk
-        currentChunk = currentChunk ? currentChunk + ' ' + sentence : sentence;
-        currentTokenCount += sentenceTokens + (currentChunk ? 1 : 0);
+        chunks.push(chunk);
       }
     }
-
-    // Add the last chunk if it has content
-    if (currentChunk.trim()) {
-      chunks.push(this.formatChunk(currentChunk.trim(), chunks.length));
-    }
-
-    return chunks.filter(chunk => chunk.text && chunk.text.length > 0);
+    return chunks;
   }
 
   /**
    * Format chunk with metadata
    * @param {string} text - Chunk text
    * @param {number} index - Chunk index
+   * @param {Object} [span={}] - Offsets and strategy extras (`window`, `heading`)
    * @returns {Object} Formatted chunk
    */
-  formatChunk(text, index) {
+  formatChunk(text, index, span = {}) {
     return {
       text,
       index,
+      ...span,
       tokens: this.tokenizer(text),
       metadata: {
         chunkIndex: index,
@@ -97,85 +189,43 @@ export class SimpleTextSplitter {
     };
   }
 
-  splitBySeparators(text) {
-    let parts = [text];
-    
-    for (const separator of this.separators) {
-      const newParts = [];
-      for (const part of parts) {
-        if (part.includes(separator)) {
-          const split = part.split(separator);
-          for (let i = 0; i < split.length; i++) {
-            if (split[i].trim()) {
-              newParts.push(split[i].trim());
-            }
-          }
-        } else {
-          newParts.push(part);
-        }
-      }
-      parts = newParts;
-    }
-    
-    return parts;
-  }
-
-  /**
-   * Get overlap text with token count
-   * @param {string} text - Text to get overlap from
-   * @param {number} overlapTokens - Number of tokens to overlap
-   * @returns {Object} Overlap text and token count
-   */
-  getOverlapWithTokens(text, overlapTokens) {
-    if (!text || overlapTokens <= 0) return { text: '', tokens: 0 };
-    
-    // Get last words that fit within overlap token count
-    const words = text.split(' ');
-    let overlap = '';
-    let currentTokens = 0;
-    
-    for (let i = words.length - 1; i >= 0; i--) {
-      const word = words[i];
-      const wordTokens = this.tokenizer(word);
-      
-      if (currentTokens + wordTokens + (overlap ? 1 : 0) <= overlapTokens) {
-        overlap = word + (overlap ? ' ' + overlap : '');
-        currentTokens += wordTokens + (overlap ? 1 : 0);
-      } else {
-        break;
-      }
-    }
-    
-    return { text: overlap, tokens: currentTokens };
-  }
-
   /**
    * Split text for PDF processing with page context
-   * @param {string} text - PDF text content
+   * @param {string} text - PDF text content, pages concatenated
    * @param {Object} options - Additional options
-   * @returns {Promise<Array>} Chunks with metadata
+   * @param {number[]} [options.pageBreaks=[]] - Offset in `text` where each page after the first starts
+   * @param {string} [options.sourceFile='unknown'] - File name
+   * @returns {Promise<Array>} Chunks with metadata, including the pages each chunk covers
    */
   async splitPDFText(text, options = {}) {
     const { pageBreaks = [], sourceFile = 'unknown' } = options;
     const chunks = await this.splitText(text);
     
     // Enhance chunks with PDF metadata
-    return chunks.map(chunk => ({
-      ...chunk,
-      metadata: {
-        ...chunk.metadata,
-        sourceFile,
-        pageNumber: this.findPageNumber(chunk.index, pageBreaks)
-      }
-    }));
+    return chunks.map(chunk => {
+      const pageStart = this.findPageNumber(chunk.start, pageBreaks);
+      const pageEnd = this.findPageNumber(Math.max(chunk.start, chunk.end - 1), pageBreaks);
+      return {
+        ...chunk,
+        metadata: {
+          ...chunk.metadata,
+          sourceFile,
+          pageNumber: pageStart,
+          pageStart,
+          pageEnd
+        }
+      };
+    });
   }
 
   /**
-   * Find page number for chunk
+   * Find the page holding an offset
+   * @param {number} offset - Offset in the concatenated text
+   * @param {number[]} pageBreaks - Offsets where pages 2, 3, ... start, ascending
+   * @returns {number} Page number (1-based)
    * @private
    */
-  findPageNumber(chunkIndex, pageBreaks) {
-    // Implementation would map chunk indices to page numbers
-    return 1; // Placeholder
+  findPageNumber(offset, pageBreaks) {
+    return 1 + pageBreaks.filter(pageBreak => pageBreak <= offset).length;
   }
-}
\ No newline at end of file
+}
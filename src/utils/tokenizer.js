@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Exact token counts with the BPE encodings of OpenAI models
+ *
+ * The cl100k_base and o200k_base vocabularies ship with the app (through
+ * `js-tiktoken`), so counting needs no network and matches what the API
+ * bills. Chunk sizes, context budgets and cost estimates all count with
+ * these functions, each with the encoding of the model the text goes to.
+ *
+ * The vocabularies weigh about 3.4 MB, so each is loaded the first time it
+ * is needed; until it arrives, counts are estimated from the text length.
+ * Callers that need exact counts from the start await `loadEncoder` first.
+ */
+
+import { Tiktoken } from 'js-tiktoken/lite';
+
+/**
+ * Vocabulary loaders by encoding name
+ */
+const RANKS = {
+  cl100k_base: () => import('js-tiktoken/ranks/cl100k_base'),
+  o200k_base: () => import('js-tiktoken/ranks/o200k_base'),
+};
+
+/**
+ * Characters per token assumed while a vocabulary loads. English averages
+ * about 4 and Portuguese or Spanish about 3; the lower figure makes the
+ * estimate err on the high side, so budgets are not overrun.
+ */
+const ESTIMATE_CHARS_PER_TOKEN = 3;
+
+/**
+ * Encoding used for models not listed in `MODEL_ENCODINGS`
+ */
+export const DEFAULT_ENCODING = 'o200k_base';
+
+/**
+ * Encoding by model name prefix; the longest matching prefix wins
+ */
+export const MODEL_ENCODINGS = {
+  'gpt-4o': 'o200k_base',
+  'gpt-4.1': 'o200k_base',
+  'gpt-5': 'o200k_base',
+  'o1': 'o200k_base',
+  'o3': 'o200k_base',
+  'o4': 'o200k_base',
+  'gpt-4': 'cl100k_base',
+  'gpt-3.5-turbo': 'cl100k_base',
+  'text-embedding-3': 'cl100k_base',
+  'text-embedding-ada-002': 'cl100k_base',
+};
+
+/**
+ * Largest input of the embedding models, in tokens
+ */
+export const EMBEDDING_MAX_TOKENS = 8191;
+
+const encoders = new Map();
+const loading = new Map();
+
+/**
+ * Encoding of a model
+ * @param {string} [modelOrEncoding] - Model name (`gpt-4o-mini`) or encoding name (`cl100k_base`)
+ * @returns {string} Encoding name
+ */
+export function getEncodingName(modelOrEncoding) {
+  if (!modelOrEncoding) return DEFAULT_ENCODING;
+  if (RANKS[modelOrEncoding]) return modelOrEncoding;
+
+  const prefix = Object.keys(MODEL_ENCODINGS)
+    .filter(candidate => modelOrEncoding.startsWith(candidate))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? MODEL_ENCODINGS[prefix] : DEFAULT_ENCODING;
+}
+
+/**
+ * Load the vocabulary of a model and build its encoder, once
+ * @param {string} [modelOrEncoding] - Model or encoding name
+ * @returns {Promise<Tiktoken|null>} Encoder, or null when the vocabulary could not be loaded
+ *   (counts stay estimated, and the next call tries again)
+ */
+export function loadEncoder(modelOrEncoding) {
+  const name = getEncodingName(modelOrEncoding);
+  if (!loading.has(name)) {
+    loading.set(name, RANKS[name]()
+      .then(({ default: ranks }) => {
+        const encoder = new Tiktoken(ranks);
+        encoders.set(name, encoder);
+        return encoder;
+      })
+      .catch(error => {
+        console.warn(`Falha ao carregar a codificação ${name}; as contagens de tokens seguem estimadas:`, error);
+        loading.delete(name);
+        return null;
+      }));
+  }
+  return loading.get(name);
+}
+
+/**
+ * Encoder for a model, if its vocabulary is loaded; otherwise starts loading it
+ * @param {string} [modelOrEncoding] - Model or encoding name
+ * @returns {Tiktoken|null} Encoder, or null until the vocabulary arrives
+ */
+export function getEncoder(modelOrEncoding) {
+  const name = getEncodingName(modelOrEncoding);
+  if (!encoders.has(name)) {
+    loadEncoder(name);
+    return null;
+  }
+  return encoders.get(name);
+}
+
+/**
+ * Approximate number of tokens of a text, from its length
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+  if (!text || typeof text !== 'string') {
+    return 0;
+  }
+  return Math.ceil(text.length / ESTIMATE_CHARS_PER_TOKEN);
+}
+
+/**
+ * Number of tokens of a text for a model; estimated until the model's vocabulary is loaded
+ * @param {string} text - Text to count
+ * @param {string} [modelOrEncoding] - Model or encoding name
+ * @returns {number} Token count
+ */
+export function countTokens(text, modelOrEncoding) {
+  if (!text || typeof text !== 'string') {
+    return 0;
+  }
+  const encoder = getEncoder(modelOrEncoding);
+  return encoder ? encoder.encode(text).length : estimateTokens(text);
+}
+
+/**
+ * Cut a text to at most `maxTokens` tokens of a model
+ * @param {string} text - Text to cut
+ * @param {number} maxTokens - Token budget
+ * @param {string} [modelOrEncoding] - Model or encoding name
+ * @returns {string} The text, or its longest prefix within the budget (by the estimate until
+ *   the model's vocabulary is loaded)
+ */
+export function truncateToTokens(text, maxTokens, modelOrEncoding) {
+  if (!text || typeof text !== 'string') {
+    return '';
+  }
+  const encoder = getEncoder(modelOrEncoding);
+  if (!encoder) {
+    return text.slice(0, maxTokens * ESTIMATE_CHARS_PER_TOKEN);
+  }
+  const tokens = encoder.encode(text);
+  if (tokens.length <= maxTokens) return text;
+  // A cut inside a multi-byte character decodes to U+FFFD
+  return encoder.decode(tokens.slice(0, maxTokens)).replace(/\uFFFD+$/, '');
+}
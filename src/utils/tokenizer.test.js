@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { countTokens, estimateTokens, getEncoder, loadEncoder, truncateToTokens } from './tokenizer.js';
+
+const TEXT = 'A receita líquida da empresa cresceu 12% no exercício.';
+
+// One process per test file: the encodings start out unloaded
+test('counts are estimated until the vocabulary loads, then exact', async () => {
+  assert.equal(getEncoder('gpt-4o-mini'), null);
+  assert.equal(countTokens(TEXT, 'text-embedding-3-large'), estimateTokens(TEXT));
+  assert.equal(truncateToTokens(TEXT, 5, 'text-embedding-3-large'), TEXT.slice(0, 15));
+
+  const encoder = await loadEncoder('text-embedding-3-large');
+  assert.equal(getEncoder('cl100k_base'), encoder);
+  assert.equal(countTokens(TEXT, 'text-embedding-3-large'), encoder.encode(TEXT).length);
+  assert.notEqual(countTokens(TEXT, 'text-embedding-3-large'), estimateTokens(TEXT));
+  assert.equal(countTokens(truncateToTokens(TEXT, 5, 'text-embedding-3-large'), 'text-embedding-3-large'), 5);
+});
+
+test('each vocabulary is loaded once', async () => {
+  const [first, second] = await Promise.all([loadEncoder('gpt-4o'), loadEncoder('o200k_base')]);
+  assert.ok(first);
+  assert.equal(first, second);
+  assert.equal(getEncoder('gpt-4o-mini'), first);
+});
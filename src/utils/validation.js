@@ -2,43 +2,42 @@
  * @fileoverview Utility functions for validation
  */
 
-import { PDF_CONFIG } from '../constants';
+import { DOCUMENT_CONFIG } from '../constants';
+import { getLoaders, getLoaderForFile } from '../loaders';
+import { formatFileSize } from './format.js';
 
 /**
- * Validate PDF file
+ * Validate a document before extraction: a registered loader must read its
+ * format and it must fit the upload size limit
  * @param {File} file - File to validate
- * @returns {{isValid: boolean, error: string|null}} Validation result
+ * @param {Object} [options]
+ * @param {string[]} [options.loaders] - Ids of the loaders accepted; every registered loader by default
+ * @returns {{isValid: boolean, error: string|null, loader: Object|null}} Validation result and the file's loader
  * 
  * @example
- * const result = validatePDFFile(file);
+ * const result = validateDocumentFile(file, { loaders: ['pdf'] });
  * if (!result.isValid) console.error(result.error);
  */
-export function validatePDFFile(file) {
+export function validateDocumentFile(file, { loaders } = {}) {
   if (!file) {
-    return { isValid: false, error: 'No file provided' };
+    return { isValid: false, error: 'Nenhum arquivo selecionado', loader: null };
   }
 
-  if (file.size > PDF_CONFIG.MAX_FILE_SIZE) {
-    return { 
-      isValid: false, 
-      error: `File too large. Maximum size: ${formatFileSize(PDF_CONFIG.MAX_FILE_SIZE)}` 
-    };
+  const loader = getLoaderForFile(file);
+  if (!loader || (loaders && !loaders.includes(loader.id))) {
+    const accepted = getLoaders()
+      .filter(candidate => !loaders || loaders.includes(candidate.id))
+      .flatMap(candidate => candidate.extensions);
+    return { isValid: false, error: `Formato não suportado. Use: ${accepted.join(', ')}`, loader: null };
   }
 
-  if (!PDF_CONFIG.ACCEPTED_TYPES.includes(file.type)) {
-    return { 
-      isValid: false, 
-      error: 'Invalid file type. Only PDF files are accepted.' 
+  if (file.size > DOCUMENT_CONFIG.MAX_FILE_SIZE) {
+    return {
+      isValid: false,
+      error: `Arquivo muito grande. Máximo: ${formatFileSize(DOCUMENT_CONFIG.MAX_FILE_SIZE, 0)}`,
+      loader
     };
   }
 
-  return { isValid: true, error: null };
+  return { isValid: true, error: null, loader };
 }
-
-// Helper function to format file size
-function formatFileSize(bytes) {
-  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-  if (bytes === 0) return '0 Bytes';
-  const i = Math.floor(Math.log(bytes) / Math.log(1024));
-  return Math.round(bytes / Math.pow(1024, i) * 100) / 100 + ' ' + sizes[i];
-}
\ No newline at end of file
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Recall and latency of vector stores
+ *
+ * The corpus is synthetic: unit vectors scattered around a few random
+ * topic centres, as chunk embeddings of a document cluster around its
+ * subjects, with queries drawn the same way. With `decay` the early
+ * dimensions carry more of each vector, as in Matryoshka-trained
+ * embeddings, so truncation behaves roughly as it does on real ones.
+ * Exact search gives the true neighbours; a store's recall@k is the share
+ * of them it returns. Run `npm run bench:vectors` to measure every store.
+ */
+
+/**
+ * Seeded pseudo-random numbers (mulberry32), so runs are comparable
+ * @param {number} seed - Seed
+ * @returns {function(): number} Generator of numbers in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal sample (Box-Muller)
+ * @param {function(): number} random - Uniform generator
+ * @returns {number} Sample
+ */
+const gaussian = (random) => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+const normalise = (vector) => {
+  const norm = Math.hypot(...vector) || 1;
+  return vector.map(value => value / norm);
+};
+
+/**
+ * Clustered unit vectors
+ * @param {number} count - Vectors to make
+ * @param {number} dimensions - Vector length
+ * @param {Object} [options]
+ * @param {number} [options.clusters=20] - Topic centres
+ * @param {number} [options.spread=0.6] - Noise around a centre, relative to the centre's length
+ * @param {number} [options.decay=0] - Dimension `i` is scaled by `1 / sqrt(1 + decay * i)`; 0 weighs all alike
+ * @param {number} [options.seed=1] - Seed; the same seed gives the same centres
+ * @param {number} [options.sampleSeed] - Seed for the vectors around the centres (defaults to `seed`)
+ * @returns {number[][]} Vectors
+ */
+export function syntheticVectors(count, dimensions, { clusters = 20, spread = 0.6, decay = 0, seed = 1, sampleSeed = seed } = {}) {
+  const weights = Array.from({ length: dimensions }, (_, i) => 1 / Math.sqrt(1 + decay * i));
+  const centreRandom = createRandom(seed);
+  const centres = Array.from({ length: clusters }, () =>
+    normalise(weights.map(weight => weight * gaussian(centreRandom))));
+
+  const random = createRandom(sampleSeed * 7919 + 1);
+  const noise = spread / Math.sqrt(dimensions);
+  return Array.from({ length: count }, () => {
+    const centre = centres[Math.floor(random() * clusters)];
+    return normalise(centre.map((value, i) => value + weights[i] * noise * gaussian(random)));
+  });
+}
+
+/**
+ * Share of the true neighbours a store returned
+ * @param {string[]} expected - True neighbour ids
+ * @param {string[]} actual - Returned ids
+ * @returns {number} Recall (0-1); 1 when nothing was expected
+ */
+export function recallAtK(expected, actual) {
+  if (expected.length === 0) return 1;
+  const returned = new Set(actual);
+  return expected.filter(id => returned.has(id)).length / expected.length;
+}
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+/**
+ * Search a store with every query and compare it with the true neighbours
+ * @param {Object} store - Vector store, already filled
+ * @param {Object} options
+ * @param {number[][]} options.queries - Query vectors
+ * @param {string[][]} options.truth - True neighbour ids of each query, best first
+ * @param {number} [options.k=10] - Neighbours asked for
+ * @returns {Promise<{recall: number, minRecall: number, meanMs: number, p50Ms: number, p95Ms: number}>} Measures
+ */
+export async function benchmarkStore(store, { queries, truth, k = 10 }) {
+  const recalls = [];
+  const times = [];
+
+  for (let i = 0; i < queries.length; i++) {
+    const start = performance.now();
+    const matches = await store.search(queries[i], { limit: k, threshold: -1 });
+    times.push(performance.now() - start);
+    recalls.push(recallAtK(truth[i].slice(0, k), matches.map(match => match.id)));
+  }
+
+  const sorted = [...times].sort((a, b) => a - b);
+  return {
+    recall: recalls.reduce((sum, recall) => sum + recall, 0) / recalls.length,
+    minRecall: Math.min(...recalls),
+    meanMs: times.reduce((sum, time) => sum + time, 0) / times.length,
+    p50Ms: percentile(sorted, 0.5),
+    p95Ms: percentile(sorted, 0.95)
+  };
+}
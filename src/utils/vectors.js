@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Vector arithmetic for embeddings
+ *
+ * Works on plain arrays and typed arrays alike. Vectors of different
+ * lengths are compared over their common prefix.
+ */
+
+/**
+ * Dot product of two vectors
+ * @param {ArrayLike<number>} a - Vector
+ * @param {ArrayLike<number>} b - Vector
+ * @returns {number} Dot product
+ */
+export function dotProduct(a, b) {
+  const length = Math.min(a.length, b.length);
+  let sum = 0;
+  for (let i = 0; i < length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+/**
+ * Euclidean length of a vector
+ * @param {ArrayLike<number>} vector - Vector
+ * @returns {number} Length
+ */
+export function magnitude(vector) {
+  return Math.sqrt(dotProduct(vector, vector));
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {ArrayLike<number>|null} a - Vector
+ * @param {ArrayLike<number>|null} b - Vector
+ * @returns {number} Similarity (-1 to 1); 0 when either is missing or zero
+ */
+export function cosineSimilarity(a, b) {
+  if (!a || !b) return 0;
+  const lengths = magnitude(a) * magnitude(b);
+  return lengths > 0 ? dotProduct(a, b) / lengths : 0;
+}
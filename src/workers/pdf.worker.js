@@ -0,0 +1,369 @@
+/**
+ * @fileoverview Web Worker for PDF text extraction and chunking
+ *
+ * Protocol (all messages carry the `jobId` of the request they belong to):
+ * - in  `process-pdf` `{ buffer, strategy, strategyOptions, positions, splitter, ocr, sections, boilerplate, figures, debugLayout }` - start a job;
+ *   `strategy` names the text extraction strategy (see `EXTRACTION_STRATEGIES`);
+ *   `positions` adds each page's lines with their coordinates;
+ *   `splitter` holds SimpleTextSplitter options (`language: 'auto'` detects it per chunk; no `embed`, so not the
+ *   `semantic` strategy), or null to skip chunking - pages still carry their `segments` to chunk elsewhere;
+ *   `ocr` runs OCR on pages that have no text layer;
+ *   `sections` detects headings and gives each chunk a `sectionPath`;
+ *   `boilerplate` removes running headers, footers and page numbers;
+ *   `figures` cuts raster images out of each page as PNG blobs;
+ *   `debugLayout` adds the detected layout blocks to every page
+ * - in  `compare-page` `{ buffer, pageNumber, strategies, strategyOptions }` - extract one page
+ *   with several strategies; completes with `{ pageNumber, totalPages, lines, results: [{ strategy, label, text }] }`
+ * - in  `cancel` - stop the job after the page being read
+ * - out `progress` `{ current, total }` - after every page
+ * - out `complete` `{ totalPages, pages, chunks, sections, boilerplate }` - `pages` holds
+ *   `{ pageNumber, text, language, segments: [{ text, sectionPath, startsSection, start }], ocr, ocrConfidence,
+ *   boilerplateLines, figures?: [{ bbox, image }], lines?, layout? }` (`ocr` is `'failed'`, with empty text,
+ *   when OCR could not read the page),
+ *   `chunks` the document's chunks `{ text, sectionPath, startsSection, language, start, end, pageStart, pageEnd }`
+ *   with offsets in the pages' concatenated text (see `buildDocumentStream`), which may cross page breaks,
+ *   `sections` the section tree (empty unless `sections` was requested),
+ *   `boilerplate` the removed patterns `{ text, position, pageCount }`
+ * - out `cancelled` - the job stopped before finishing
+ * - out `error` `{ error }` - extraction failed
+ */
+
+import * as pdfjsLib from 'pdfjs-dist';
+import { PDF_CONFIG, PDF_WORKER_MESSAGES, OCR_CONFIG, FIGURE_CONFIG } from '../constants';
+import {
+  analyzePageLayout,
+  extractStyledLines,
+  extractPositionedLines,
+} from '../utils/pageText.js';
+import {
+  EXTRACTION_STRATEGIES,
+  DEFAULT_EXTRACTION_STRATEGY,
+  getExtractionStrategy,
+  extractPageText,
+} from '../utils/extractionStrategies.js';
+import {
+  isBoldFont,
+  accumulateFontSizes,
+  estimateBodyFontSize,
+  collectHeadingCandidates,
+  resolveOutline,
+  buildSectionTree,
+  splitTextBySections,
+} from '../utils/sections.js';
+import {
+  collectEdgeLines,
+  findBoilerplate,
+  removeBoilerplate,
+  removeBoilerplateFromText,
+} from '../utils/boilerplate.js';
+import { collectVocabulary } from '../utils/textRepair.js';
+import { detectLanguage } from '../utils/language.js';
+import { SimpleTextSplitter } from '../utils/textSplitter.js';
+import { chunkDocument } from '../utils/documentStream.js';
+import { findFigureRegions } from '../utils/figures.js';
+import { OffscreenCanvasFactory, renderPageToBlob, renderPageRegionsToBlobs } from '../utils/offscreenCanvas.js';
+import { createOCRService } from '../services/ocr.service';
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = PDF_CONFIG.PDFJS_WORKER_SRC;
+
+// Jobs in progress, and those of them asked to stop. A cancel that arrives after its job
+// finished is ignored, so no id outlives its job
+const runningJobs = new Set();
+const cancelledJobs = new Set();
+
+/**
+ * Let queued messages run, then tell whether the job was cancelled. Passes 2 to 4
+ * never wait on pdfjs, so without the pause a cancel would only arrive after the job
+ * @param {number} jobId - Job identifier
+ * @returns {Promise<boolean>}
+ */
+async function isCancelled(jobId) {
+  await new Promise(resolve => setTimeout(resolve, 0));
+  return cancelledJobs.has(jobId);
+}
+
+// Kept across jobs: loading the OCR models is the expensive part
+const ocrService = createOCRService();
+
+/**
+ * OCR a page that has no text layer
+ * @param {Object} page - pdfjs page proxy
+ * @returns {Promise<{text: string, confidence: number}>}
+ */
+async function recognizePage(page) {
+  const image = await renderPageToBlob(page, OCR_CONFIG.RENDER_SCALE);
+  return ocrService.recognize(image);
+}
+
+/**
+ * Cut the figures (raster images) out of a page
+ * @param {Object} page - pdfjs page proxy
+ * @returns {Promise<Array<{bbox: number[], image: Blob}>>} Figures; empty when they cannot be read
+ */
+async function extractFigures(page) {
+  try {
+    const regions = findFigureRegions(await page.getOperatorList(), pdfjsLib.OPS, page.view);
+    const images = await renderPageRegionsToBlobs(page, FIGURE_CONFIG.RENDER_SCALE, regions.map(region => region.bbox));
+    return regions.map((region, index) => ({ ...region, image: images[index] }));
+  } catch (error) {
+    console.warn('Falha ao extrair figuras da página:', error);
+    return [];
+  }
+}
+
+/**
+ * Read font weights for a page's text items. Fonts are only available in
+ * `commonObjs` once the page's operator list has been loaded.
+ * @param {Object} page - pdfjs page proxy
+ * @param {Object} textContent - Result of `page.getTextContent()`
+ * @returns {Promise<Object<string, {bold: boolean}>>} Font facts by font name
+ */
+async function resolveFonts(page, textContent) {
+  const fonts = {};
+  try {
+    await page.getOperatorList();
+  } catch (error) {
+    console.warn('Falha ao carregar fontes da página:', error);
+    return fonts;
+  }
+
+  Object.keys(textContent.styles || {}).forEach(fontName => {
+    try {
+      fonts[fontName] = { bold: isBoldFont(page.commonObjs.get(fontName)) };
+    } catch {
+      fonts[fontName] = { bold: false };
+    }
+  });
+  return fonts;
+}
+
+/**
+ * Extract and optionally chunk every page of a PDF
+ * @param {number} jobId - Job identifier
+ * @param {Object} data - Job payload
+ * @returns {Promise<Object|null>} Job result, or null if cancelled
+ */
+async function processPDF(jobId, { buffer, strategy = DEFAULT_EXTRACTION_STRATEGY, strategyOptions = {}, positions = false, splitter = null, ocr = false, sections = false, boilerplate = false, figures = false, debugLayout = false }) {
+  getExtractionStrategy(strategy); // Fail before reading any page
+  const textSplitter = splitter ? new SimpleTextSplitter(splitter) : null;
+
+  const pdf = await pdfjsLib.getDocument({
+    data: buffer,
+    CanvasFactory: OffscreenCanvasFactory
+  }).promise;
+  const totalPages = pdf.numPages;
+  const extracted = [];
+  const pages = [];
+  const fontSizes = new Map();
+  const headingCandidates = [];
+
+  try {
+    // Pass 1: read every page
+    for (let pageNumber = 1; pageNumber <= totalPages; pageNumber++) {
+      if (await isCancelled(jobId)) {
+        return null;
+      }
+
+      const page = await pdf.getPage(pageNumber);
+      const textContent = await page.getTextContent();
+      const entry = { pageNumber, textContent, edgeLines: [], fonts: {}, figures: [], ocrText: null, ocrConfidence: null, ocrFailed: false };
+
+      // Scanned or image-only page: fall back to OCR; a page it cannot read stays empty
+      if (ocr && !textContent.items.some(item => item.str?.trim())) {
+        try {
+          const result = await recognizePage(page);
+          entry.ocrText = result.text;
+          entry.ocrConfidence = result.confidence;
+        } catch (error) {
+          console.warn(`Falha no OCR da página ${pageNumber}:`, error);
+          entry.ocrFailed = true;
+        }
+      }
+
+      if (boilerplate) {
+        entry.edgeLines = collectEdgeLines(textContent, page.view);
+      }
+      if (sections) {
+        entry.fonts = await resolveFonts(page, textContent);
+      }
+      if (figures) {
+        entry.figures = await extractFigures(page);
+      }
+      page.cleanup();
+      extracted.push(entry);
+
+      self.postMessage({
+        type: PDF_WORKER_MESSAGES.PROGRESS,
+        jobId,
+        data: { current: pageNumber, total: totalPages }
+      });
+    }
+
+    // Pass 2: page text without the lines repeated across pages
+    const patterns = boilerplate ? findBoilerplate(extracted, totalPages) : [];
+    // Words of the whole document confirm dehyphenation and spacing repairs
+    const vocabulary = collectVocabulary(extracted.flatMap(entry => entry.textContent.items.map(item => item.str || '')));
+    for (const entry of extracted) {
+      if (await isCancelled(jobId)) {
+        return null;
+      }
+
+      const isOCR = entry.ocrConfidence !== null;
+      let text;
+      let boilerplateLines;
+
+      if (isOCR) {
+        ({ text, removedLines: boilerplateLines } = removeBoilerplateFromText(entry.ocrText, patterns));
+      } else {
+        const stripped = removeBoilerplate(entry.textContent, entry.edgeLines, patterns);
+        text = extractPageText(stripped.textContent, strategy, { vocabulary, ...strategyOptions });
+        boilerplateLines = stripped.removedLines;
+        entry.textContent = stripped.textContent;
+      }
+
+      if (sections && !isOCR) {
+        const lines = extractStyledLines(entry.textContent, entry.fonts);
+        accumulateFontSizes(fontSizes, lines);
+        headingCandidates.push({ pageNumber: entry.pageNumber, candidates: collectHeadingCandidates(lines) });
+      }
+
+      const pageData = {
+        pageNumber: entry.pageNumber,
+        text,
+        language: detectLanguage(text).language,
+        ocr: entry.ocrFailed ? 'failed' : isOCR,
+        ocrConfidence: entry.ocrConfidence,
+        boilerplateLines
+      };
+      if (figures) {
+        pageData.figures = entry.figures;
+      }
+      if (positions) {
+        pageData.lines = isOCR ? [] : extractPositionedLines(entry.textContent);
+      }
+      if (debugLayout) {
+        pageData.layout = analyzePageLayout(entry.textContent);
+      }
+      pages.push(pageData);
+    }
+    extracted.length = 0;
+
+    // Pass 3: section hierarchy, which needs the document-wide body font size
+    if (await isCancelled(jobId)) {
+      return null;
+    }
+    let sectionTree = [];
+    let headings = [];
+    if (sections) {
+      ({ tree: sectionTree, headings } = buildSectionTree({
+        pages: headingCandidates,
+        outline: await resolveOutline(pdf),
+        bodyFontSize: estimateBodyFontSize(fontSizes)
+      }));
+    }
+
+    // Pass 4: cut each page at its headings, then chunk the whole document section by section
+    let currentPath = '';
+    for (const pageData of pages) {
+      if (await isCancelled(jobId)) {
+        return null;
+      }
+
+      const pageHeadings = headings.filter(heading => heading.pageNumber === pageData.pageNumber);
+      const split = splitTextBySections(pageData.text, pageHeadings, currentPath);
+      currentPath = split.currentPath;
+      pageData.segments = split.segments;
+    }
+    if (await isCancelled(jobId)) {
+      return null;
+    }
+    const chunks = textSplitter ? await chunkDocument(pages, textSplitter) : [];
+    if (await isCancelled(jobId)) {
+      return null;
+    }
+
+    return {
+      totalPages,
+      pages,
+      chunks,
+      sections: sectionTree,
+      boilerplate: patterns.map(({ text, position, pageCount }) => ({ text, position, pageCount }))
+    };
+  } finally {
+    pdf.destroy();
+  }
+}
+
+/**
+ * Extract one page with several strategies, for side-by-side comparison
+ * @param {number} jobId - Job identifier
+ * @param {Object} data - Job payload
+ * @returns {Promise<Object|null>} Comparison, or null if cancelled
+ */
+async function comparePage(jobId, { buffer, pageNumber, strategies = Object.keys(EXTRACTION_STRATEGIES), strategyOptions = {} }) {
+  const pdf = await pdfjsLib.getDocument({ data: buffer }).promise;
+
+  try {
+    if (pageNumber < 1 || pageNumber > pdf.numPages) {
+      throw new Error(`Página ${pageNumber} inexistente (o PDF tem ${pdf.numPages} páginas)`);
+    }
+
+    const page = await pdf.getPage(pageNumber);
+    const textContent = await page.getTextContent();
+    page.cleanup();
+
+    if (cancelledJobs.has(jobId)) {
+      return null;
+    }
+
+    return {
+      pageNumber,
+      totalPages: pdf.numPages,
+      lines: extractPositionedLines(textContent),
+      results: strategies.map(name => ({
+        strategy: name,
+        label: getExtractionStrategy(name).label,
+        text: extractPageText(textContent, name, strategyOptions[name])
+      }))
+    };
+  } finally {
+    pdf.destroy();
+  }
+}
+
+const HANDLERS = {
+  [PDF_WORKER_MESSAGES.PROCESS]: processPDF,
+  [PDF_WORKER_MESSAGES.COMPARE]: comparePage,
+};
+
+self.onmessage = async (event) => {
+  const { type, jobId, data } = event.data;
+
+  if (type === PDF_WORKER_MESSAGES.CANCEL) {
+    if (runningJobs.has(jobId)) {
+      cancelledJobs.add(jobId);
+    }
+    return;
+  }
+
+  const handler = HANDLERS[type];
+  if (!handler) {
+    return;
+  }
+
+  runningJobs.add(jobId);
+  try {
+    const result = await handler(jobId, data);
+
+    if (result) {
+      self.postMessage({ type: PDF_WORKER_MESSAGES.COMPLETE, jobId, data: result });
+    } else {
+      self.postMessage({ type: PDF_WORKER_MESSAGES.CANCELLED, jobId });
+    }
+  } catch (error) {
+    self.postMessage({ type: PDF_WORKER_MESSAGES.ERROR, jobId, error: error.message });
+  } finally {
+    runningJobs.delete(jobId);
+    cancelledJobs.delete(jobId);
+  }
+};
@@ -1,8 +1,50 @@
+import { readFileSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { OCR_CONFIG } from './src/constants/index.js'
+
+/**
+ * Files tesseract.js loads at runtime, by the name it asks for. Served from
+ * `/${OCR_CONFIG.ASSETS_PATH}/` so OCR never falls back to its CDN:
+ * the worker script, the LSTM-only cores (it picks relaxed SIMD, SIMD or
+ * plain by what the browser supports) and the language data.
+ */
+const TESSERACT_ASSETS = {
+  'worker.min.js': 'tesseract.js/dist/worker.min.js',
+  'tesseract-core-lstm.wasm.js': 'tesseract.js-core/tesseract-core-lstm.wasm.js',
+  'tesseract-core-simd-lstm.wasm.js': 'tesseract.js-core/tesseract-core-simd-lstm.wasm.js',
+  'tesseract-core-relaxedsimd-lstm.wasm.js': 'tesseract.js-core/tesseract-core-relaxedsimd-lstm.wasm.js',
+  ...Object.fromEntries(OCR_CONFIG.LANGUAGES.map(code => [
+    `${code}.traineddata.gz`,
+    `@tesseract.js-data/${code}/4.0.0_best_int/${code}.traineddata.gz`
+  ]))
+}
+
+const readTesseractAsset = (name) =>
+  readFileSync(new URL(`./node_modules/${TESSERACT_ASSETS[name]}`, import.meta.url))
+
+// Serve the OCR assets in dev and emit them with the build
+const tesseractAssets = () => ({
+  name: 'tesseract-assets',
+  configureServer(server) {
+    server.middlewares.use(`/${OCR_CONFIG.ASSETS_PATH}`, (req, res, next) => {
+      const name = req.url.split('?')[0].slice(1)
+      if (!TESSERACT_ASSETS[name]) return next()
+      res.setHeader('Content-Type', name.endsWith('.js') ? 'text/javascript' : 'application/octet-stream')
+      res.end(readTesseractAsset(name))
+    })
+  },
+  generateBundle() {
+    Object.keys(TESSERACT_ASSETS).forEach(name => this.emitFile({
+      type: 'asset',
+      fileName: `${OCR_CONFIG.ASSETS_PATH}/${name}`,
+      source: readTesseractAsset(name)
+    }))
+  }
+})
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), tesseractAssets()],
   optimizeDeps: {
     include: ['openai', '@orama/orama', 'pdfjs-dist']
   },
@@ -20,6 +62,8 @@ export default defineConfig({
           'openai': ['openai'],
           'pdf': ['pdfjs-dist'],
           'search': ['@orama/orama'],
+          // The cl100k/o200k ranks stay out: tokenizer.js imports each on demand, in its own chunk
+          'tokenizer': ['js-tiktoken/lite'],
           'ui': ['@material-tailwind/react']
         }
       }